@@ -0,0 +1,169 @@
+/**
+ * FogOfWarRenderer.js
+ * Draws core/Vision.js fog of war for the player whose turn it is.
+ *
+ * Hexes the viewer cannot see get a dark translucent cap so the terrain
+ * still reads but is clearly out of sight; crystals and enemy beasts on
+ * those hexes are hidden. The renderer only draws, FogOfWar decides what
+ * is visible.
+ */
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[FOG] ${message}`, data);
+  } else {
+    console.log(`[FOG] ${message}`);
+  }
+}
+
+/**
+ * Look of the cap drawn over hidden hexes
+ */
+export const FOG_COLOR = 0x05070d;
+export const FOG_OPACITY = 0.65;
+
+/**
+ * Class darkening the hexes the current viewer cannot see
+ */
+export class FogOfWarRenderer {
+  /**
+   * @param {Object} THREE - The THREE.js library
+   * @param {FogOfWar} fogOfWar - Visibility source
+   * @param {Object} options - Scene hooks supplied by game.js
+   * @param {Function} options.getHexagons - () => current hex meshes
+   * @param {Function} options.getBeastViews - () => current Beast views
+   * @param {Function} options.getViewer - () => id of the player whose view is drawn, or null
+   */
+  constructor(THREE, fogOfWar, options = {}) {
+    this.THREE = THREE;
+    this.fogOfWar = fogOfWar;
+    this.getHexagons = options.getHexagons || (() => []);
+    this.getBeastViews = options.getBeastViews || (() => []);
+    this.getViewer = options.getViewer || (() => null);
+
+    // Fog caps currently attached to hexes, keyed by "q,r"
+    this.caps = new Map();
+
+    // Redraw on the next frame rather than mid-event, so meshes created by
+    // other listeners of the same event (respawned crystals) are covered too
+    this.dirty = true;
+
+    this.capGeometry = new THREE.CircleGeometry(1, 6);
+    this.capMaterial = new THREE.MeshBasicMaterial({
+      color: FOG_COLOR,
+      transparent: true,
+      opacity: FOG_OPACITY,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+
+    this._unsubscribe = this.fogOfWar.on('visibilityChanged', () => this.refresh());
+  }
+
+  /**
+   * Redraw on the next update(), e.g. when the viewer changes
+   */
+  refresh() {
+    this.dirty = true;
+  }
+
+  /**
+   * Apply pending visibility changes, call once per frame
+   */
+  update() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const viewer = this.getViewer();
+    const visible = viewer && this.fogOfWar.rules.enabled
+      ? this.fogOfWar.getVisibleHexes(viewer)
+      : null;
+
+    let hidden = 0;
+    this.getHexagons().forEach(hex => {
+      const { q, r } = hex.userData;
+      const isVisible = !visible || visible.has(`${q},${r}`);
+      this._setCap(hex, !isVisible);
+      if (hex.userData.crystal) hex.userData.crystal.visible = isVisible;
+      if (!isVisible) hidden++;
+    });
+
+    this.getBeastViews().forEach(view => {
+      const record = view.getStateRecord();
+      if (!view.group || !record) return;
+      view.group.visible = !viewer || this.fogOfWar.canSeeBeast(viewer, record);
+    });
+
+    debugLog(`Drew fog for ${viewer}: ${hidden} hidden hexes`);
+  }
+
+  /**
+   * Attach or remove the fog cap on a hex
+   * @param {Object} hex - Hex mesh
+   * @param {boolean} fogged - Whether the hex should be covered
+   * @private
+   */
+  _setCap(hex, fogged) {
+    const key = `${hex.userData.q},${hex.userData.r}`;
+    const cap = this.caps.get(key);
+
+    if (!fogged) {
+      if (cap) {
+        cap.parent?.remove(cap);
+        this.caps.delete(key);
+      }
+      return;
+    }
+    // Regenerated maps reuse keys with new meshes
+    if (cap && cap.parent === hex) return;
+    if (cap) cap.parent?.remove(cap);
+
+    const mesh = new this.THREE.Mesh(this.capGeometry, this.capMaterial);
+    // Lie flat on the hex top, corners lined up with the cylinder's
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.rotation.z = Math.PI / 6;
+    const hexHeight = hex.geometry?.parameters?.height ?? 0.2;
+    const radius = hex.geometry?.parameters?.radiusTop ?? 1;
+    mesh.scale.set(radius, radius, 1);
+    mesh.position.y = hexHeight / 2 + 0.01;
+    mesh.renderOrder = 800;
+    // Keep the hover and click raycasts resolving to the hex itself
+    mesh.raycast = () => {};
+
+    hex.add(mesh);
+    this.caps.set(key, mesh);
+  }
+
+  /**
+   * Remove every cap and show everything again
+   */
+  clear() {
+    this.caps.forEach(cap => cap.parent?.remove(cap));
+    this.caps.clear();
+    this.getHexagons().forEach(hex => {
+      if (hex.userData.crystal) hex.userData.crystal.visible = true;
+    });
+    this.getBeastViews().forEach(view => {
+      if (view.group) view.group.visible = true;
+    });
+  }
+
+  /**
+   * Remove the fog and free GPU resources
+   */
+  dispose() {
+    this._unsubscribe();
+    this.clear();
+    this.capGeometry.dispose();
+    this.capMaterial.dispose();
+  }
+}
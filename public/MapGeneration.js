@@ -4,6 +4,13 @@
  * including biome distribution, crystal shard spawning, and related functionality.
  */
 
+import { GameState } from './core/GameState.js';
+import { hexesInRadius, axialToWorld } from './core/HexGrid.js';
+import { ELEMENT_TYPES } from './core/ElementChart.js';
+import { ElevationRules, generateElevation, getElevation } from './core/Elevation.js';
+import { Random } from './core/Random.js';
+import { MapFile, MAP_SHAPES, getSpawnPoints } from './core/MapFile.js';
+
 // FBXLoader reference variable and loading status
 let FBXLoader = null;
 let fbxLoaderLoaded = false;
@@ -158,11 +165,32 @@ function debugLog(message, data = null) {
  * Map Generation class that handles all map creation functionality
  */
 export class MapGenerator {
-  constructor(scene, THREE) {
+  /**
+   * @param {THREE.Scene} scene - The THREE.js scene
+   * @param {Object} THREE - The THREE.js module
+   * @param {GameState} gameState - State the map is recorded in and rendered from
+   * @param {Object} options - Optional settings
+   * @param {ElevationRules} options.elevationRules - Hex height generation and level height
+   * @param {Random} options.random - Seeded generator the board is rolled from
+   *   (default: a fresh seed); its 'map' stream restarts with every generation,
+   *   so regenerating with the same seed gives the same board
+   * @param {MapFile} options.mapFile - Board to build instead of rolling one
+   */
+  constructor(scene, THREE, gameState = null, options = {}) {
     console.log('[MAP] Initializing Map Generator...');
     
     this.scene = scene;
     this.THREE = THREE;
+    this.gameState = gameState || new GameState();
+    this.elevationRules = options.elevationRules || new ElevationRules();
+    this.random = options.random || new Random();
+    this.mapRandom = this.random.fork('map');
+    this.mapFile = options.mapFile || null;
+    // Tiles as the board was built or loaded, before play changed them; exportMap() writes these
+    this.builtTiles = [];
+    this.gameState.on('crystalChanged', (event) => this._onCrystalChanged(event));
+    this.gameState.on('tileChanged', (event) => this._onTileChanged(event));
+    this.gameState.on('stateRestored', () => this._onStateRestored());
     this.hexagons = [];
     this.hexCount = 0;
     this.onMapGeneratedCallback = null;
@@ -183,20 +211,7 @@ export class MapGenerator {
     };
     
     // Define all element types
-    this.elementTypes = [
-      'Combat',
-      'Corrosion',
-      'Dark',
-      'Earth',
-      'Electric',
-      'Fire',
-      'Light',
-      'Metal',
-      'Plant',
-      'Spirit',
-      'Water',
-      'Wind',
-    ];
+    this.elementTypes = [...ELEMENT_TYPES];
     
     // Create URLs for local assets
     this.elemUrls = {};
@@ -487,7 +502,7 @@ export class MapGenerator {
         const randomOffset = Math.random() * 0.05;
         crystal.position.set(
           hex.position.x + (Math.random() - 0.5) * 0.1,
-          hex.position.y + this.config.hexHeight/2 + this.config.crystalHeightOffset + randomOffset,
+          getHexTopY(hex) + this.config.crystalHeightOffset + randomOffset,
           hex.position.z + (Math.random() - 0.5) * 0.1
         );
         console.log(`[MAP] Positioned crystal at: ${crystal.position.x.toFixed(2)}, ${crystal.position.y.toFixed(2)}, ${crystal.position.z.toFixed(2)}`);
@@ -540,6 +555,9 @@ export class MapGenerator {
       6
     );
     
+    // Taller columns for raised hexes, built on first use per level
+    this.hexGeometries = { 0: this.hexGeometry };
+    
     // Add side material (edges of hexagons)
     this.edgeMaterial = new this.THREE.MeshPhongMaterial({
       color: 0x333333,
@@ -684,6 +702,18 @@ export class MapGenerator {
         return;
       }
       
+      // A state that already holds tiles (e.g. built elsewhere) is rendered as-is
+      if (this.gameState.tiles.size > 0) {
+        debugLog("Game state already has tiles, rendering them instead of generating");
+        this.renderFromState();
+        return;
+      }
+      
+      if (this.mapFile) {
+        this.buildFromMap(this.mapFile);
+        return;
+      }
+      
       // If no hexagons yet, proceed with generation
       this.generateHexagonGrid();
     }
@@ -697,8 +727,23 @@ export class MapGenerator {
     this.onMapGeneratedCallback = callback;
   }
   
+  /**
+   * Roll a new tile for the given coordinates and record it in the game state
+   * @param {number} q - q coordinate in axial system
+   * @param {number} r - r coordinate in axial system
+   * @returns {Object} - The tile record
+   */
+  _generateTile(q, r) {
+    // Assign element type - for now, random selection
+    const randomElement = this.mapRandom.pick(this.elementTypes);
+    
+    return this.gameState.setTile(q, r, { element: randomElement });
+  }
+  
   /**
    * Create an individual hexagon with the given coordinates
+   * The hex renders the tile stored in the game state, rolling a new one if
+   * the state has no tile at these coordinates yet
    * @param {number} q - q coordinate in axial system
    * @param {number} r - r coordinate in axial system
    * @param {number} horizontalSpacing - Horizontal spacing between hexagons
@@ -706,12 +751,12 @@ export class MapGenerator {
    * @returns {Object} - The created hexagon mesh
    */
   createHex(q, r, horizontalSpacing = 1.5, verticalFactor = 1.0) {
-    // Assign element type - for now, random selection
-    const randomElement =
-      this.elementTypes[Math.floor(Math.random() * this.elementTypes.length)];
+    const tile = this.gameState.getTile(q, r) || this._generateTile(q, r);
+    const element = tile.element;
+    const elevation = getElevation(tile);
     
     // Get appropriate material based on element type
-    const hexMaterial = this.hexMaterials[randomElement] || this.fallbackMaterials[0];
+    const hexMaterial = this.getHexMaterial(element);
     
     // Create multi-material for top/bottom and side
     const materials = [
@@ -721,28 +766,35 @@ export class MapGenerator {
     ];
     
     // Create mesh with geometry and materials
-    const hex = new this.THREE.Mesh(this.hexGeometry, materials);
+    const hex = new this.THREE.Mesh(this._getHexGeometry(elevation), materials);
     
-    // Store element data for game logic
-    hex.userData.element = randomElement;
+    // Mirror tile data for game logic and diagnostics that read userData
+    hex.userData.element = element;
     hex.userData.q = q;
     hex.userData.r = r;
+    hex.userData.elevation = elevation;
+    // World height the column's top is raised by
+    hex.userData.height = this.elevationRules.getHeight(elevation);
     
     // Make sure raycast works properly by adding a proper name and enabling raycasting
-    hex.name = `Hex_${q}_${r}_${randomElement}`;
+    hex.name = `Hex_${q}_${r}_${element}`;
     hex.raycast = this.THREE.Mesh.prototype.raycast;
     
     // Position hexagon in grid
     // For perfect fit in axial coordinate system:
     // x = hexRadius * 3/2 * q
     // z = hexRadius * sqrt(3) * (r + q/2)
-    const x = this.config.hexRadius * horizontalSpacing * q;
-    const z = this.config.hexRadius * Math.sqrt(3) * verticalFactor * (r + q / 2);
-    hex.position.set(x, 0, z);
+    const { x, z } = axialToWorld(q, r, {
+      hexRadius: this.config.hexRadius,
+      horizontalSpacing,
+      verticalFactor,
+    });
+    // Raised columns grow upward: the bottom stays level with the other hexes
+    hex.position.set(x, hex.userData.height / 2, z);
     
     // Debug rotation values for troubleshooting
     debugLog(
-      `Creating hex at (${q},${r}) with position (${x},0,${z}) - Element: ${randomElement}`
+      `Creating hex at (${q},${r}) with position (${x},0,${z}) - Element: ${element}`
     );
     
     // In THREE.js, cylinders stand upright along Y axis by default
@@ -763,6 +815,8 @@ export class MapGenerator {
   
   /**
    * Try to spawn a crystal shard on a given hexagon based on probability
+   * Tiles whose crystal was already decided (e.g. a state rebuilt from data)
+   * skip the roll and simply render what the state says.
    * This method handles the entire crystal creation process, including:
    * - Random chance determination
    * - Model loading with fallbacks
@@ -783,9 +837,15 @@ export class MapGenerator {
         return;
       }
       
-      // Check if we should spawn a crystal based on probability
-      if (Math.random() >= this.config.crystalSpawnChance) {
-        console.log(`[MAP] Crystal spawn skipped for hex at (${hex.userData.q}, ${hex.userData.r}) - random check failed`); 
+      // Roll the crystal once per tile and record the result in the game state
+      const tile = this.gameState.getTile(hex.userData.q, hex.userData.r);
+      if (tile && tile.crystal === undefined) {
+        const spawned = this.mapRandom.next() < this.config.crystalSpawnChance;
+        this.gameState.setCrystal(tile.q, tile.r, spawned, 'spawned');
+      }
+      
+      if (!tile || !tile.crystal) {
+        console.log(`[MAP] Crystal spawn skipped for hex at (${hex.userData.q}, ${hex.userData.r}) - no crystal on tile`); 
         return;
       }
       
@@ -1010,7 +1070,7 @@ export class MapGenerator {
         // Position slightly above hex with small random offset for natural look
         const hexPosition = hex.position.clone();
         const randomOffset = (Math.random() - 0.5) * 0.1; // Small random offset
-        hexPosition.y += 0.35 + randomOffset; // Position above the hex
+        hexPosition.y = getHexTopY(hex) + 0.25 + randomOffset; // Position above the hex
         crystal.position.copy(hexPosition);
         
         // Log position data
@@ -1127,7 +1187,7 @@ export class MapGenerator {
             const randomYOffset = (Math.random() - 0.5) * 0.1; // ±0.05 units Y
             
             // Calculate position with all components
-            const baseYPosition = hex.position.y + (this.config.hexHeight / 2);
+            const baseYPosition = getHexTopY(hex);
             const finalYPosition = baseYPosition + this.config.crystalHeightOffset + randomYOffset;
             
             // Apply the calculated position
@@ -1397,46 +1457,30 @@ export class MapGenerator {
     // Clear any existing hexagons if we're regenerating
     if (this.hexagons.length > 0) {
       debugLog("Clearing existing hexagons before regeneration");
-      this.hexagons.forEach((hex) => {
-        // Also remove any crystal attached to this hex
-        if (hex.userData.crystal) {
-          this.scene.remove(hex.userData.crystal);
-        }
-        this.scene.remove(hex);
-      });
-      this.hexagons.length = 0;
-      this.hexCount = 0;
+      this._removeHexMeshes();
     }
     
+    // Regenerating rolls a fresh board, so drop the old tiles from the state
+    this.gameState.clearTiles();
+    this.mapFile = null;
+    
+    // Same seed, same board: every generation rolls from the start of the stream
+    this.mapRandom = this.random.fork('map');
+    console.log(`[MAP] Generating map from seed ${this.random.seed}`);
+    
+    // Roll every biome first so hills can be shaped over the whole board
+    hexesInRadius(gridRadius).forEach(({ q, r }) => this._generateTile(q, r));
+    const elevationDistribution = generateElevation(this.gameState, this.elevationRules, {
+      random: this.mapRandom.next,
+    });
+    debugLog('Elevation distribution:', elevationDistribution);
+    
     console.log('[MAP] Beginning map generation with grid radius:', gridRadius);
     
-    for (let q = -gridRadius; q <= gridRadius; q++) {
-      for (
-        let r = Math.max(-gridRadius, -q - gridRadius);
-        r <= Math.min(gridRadius, -q + gridRadius);
-        r++
-      ) {
-        const hex = this.createHex(q, r, horizontalSpacing, verticalFactor);
-        this.hexagons.push(hex);
-        this.hexCount++;
-        
-        // Track element distribution if hex has element data
-        if (hex.userData.element) {
-          elementDistribution[hex.userData.element]++;
-        }
-        
-        // Track crystal statistics for post-generation reporting
-        crystalStats.total++;
-        if (hex.userData.crystal) {
-          crystalStats.spawned++;
-        }
-        
-        // Log progress every 20 hexagons to show generation status
-        if (this.hexCount % 20 === 0) {
-          debugLog(`Created ${this.hexCount} hexagons so far...`);
-        }
-      }
-    }
+    this._buildHexMeshes(hexesInRadius(gridRadius), horizontalSpacing, verticalFactor, {
+      elementDistribution,
+      crystalStats
+    });
     
     debugLog(`Grid generation complete: ${this.hexagons.length} hexagons created`);
     debugLog("Element distribution:", elementDistribution);
@@ -1444,6 +1488,7 @@ export class MapGenerator {
     // Log crystal spawning statistics
     const crystalPercentage = (crystalStats.spawned / crystalStats.total * 100).toFixed(1);
     debugLog(`Crystal spawning: ${crystalStats.spawned}/${crystalStats.total} hexes (${crystalPercentage}%)`);
+    this._rememberBuiltTiles();
     
     // Call the callback if it exists
     if (this.onMapGeneratedCallback) {
@@ -1453,6 +1498,366 @@ export class MapGenerator {
     return this.hexagons;
   }
   
+  /**
+   * Rebuild the hex meshes from the tiles already stored in the game state
+   * Used when the state comes from somewhere other than random generation
+   * @returns {Array} - Array of hexagon meshes
+   */
+  renderFromState() {
+    console.log(`[MAP] Rendering map from game state (${this.gameState.tiles.size} tiles)`);
+    
+    this._removeHexMeshes();
+    this._buildHexMeshes(
+      this.gameState.getTiles(),
+      this.config.horizontalSpacing,
+      this.config.verticalFactor
+    );
+    this._rememberBuiltTiles();
+    
+    if (this.onMapGeneratedCallback) {
+      this.onMapGeneratedCallback(this.hexagons);
+    }
+    
+    return this.hexagons;
+  }
+  
+  /**
+   * Build the board from a map file instead of rolling it
+   * The file's tiles replace whatever the state held, crystals included.
+   * @param {MapFile} mapFile - The map to build
+   * @returns {Array} - Array of hexagon meshes
+   */
+  buildFromMap(mapFile) {
+    console.log(`[MAP] Building map '${mapFile.name}' (${mapFile.grid.shape}, radius ${mapFile.grid.radius})`);
+    
+    this.mapFile = mapFile;
+    this.config.gridRadius = mapFile.grid.radius;
+    mapFile.applyTo(this.gameState);
+    return this.renderFromState();
+  }
+  
+  /**
+   * Capture the board as it was built, in the map file format
+   * Spawn points come from the map the board was built from, else from the
+   * spawn zones of the match set up on it.
+   * @param {Object} metadata - Optional name, description and author
+   * @returns {Object} - Map JSON, see MapFile.js
+   */
+  exportMap(metadata = {}) {
+    const source = this.mapFile;
+    const spawns = source && source.spawns.length > 0 ? source.spawns : getSpawnPoints(this.gameState);
+    const hexagon = !source || source.grid.shape === MAP_SHAPES.HEXAGON;
+    
+    return MapFile.fromTiles(this.builtTiles, {
+      name: metadata.name || source?.name || `Seed ${this.random.seed}`,
+      description: metadata.description ?? source?.description,
+      author: metadata.author ?? source?.author,
+      seed: source ? source.seed : this.random.seed,
+      spawns,
+      radius: hexagon ? (source ? source.grid.radius : this.config.gridRadius) : undefined,
+    }).toJSON();
+  }
+  
+  /**
+   * Copy the state's tiles as the built board
+   * @private
+   */
+  _rememberBuiltTiles() {
+    this.builtTiles = this.gameState.getTiles().map(tile => ({ ...tile }));
+  }
+  
+  /**
+   * Remove every hex mesh and attached crystal from the scene
+   * @private
+   */
+  _removeHexMeshes() {
+    this.hexagons.forEach((hex) => {
+      if (hex.userData.transition) hex.userData.transition.finish();
+      this.removeCrystal(hex);
+      this.scene.remove(hex);
+    });
+    this.hexagons.length = 0;
+    this.hexCount = 0;
+  }
+  
+  /**
+   * Keep crystal meshes in sync with crystals added or removed after generation
+   * Generation renders its own rolls, and collected crystals are removed by
+   * playCrystalCollection() once the collecting beast arrives.
+   * @param {Object} event - crystalChanged payload
+   * @private
+   */
+  _onCrystalChanged({ tile, reason }) {
+    if (reason === 'spawned' || reason === 'collected') return;
+    
+    const hex = this.findHexByCoordinates(tile.q, tile.r);
+    if (!hex) return;
+    
+    if (tile.crystal && !hex.userData.crystal) {
+      debugLog(`Crystal ${reason} on hex (${tile.q}, ${tile.r})`);
+      this.trySpawnCrystalShard(hex);
+    } else if (!tile.crystal && hex.userData.crystal) {
+      this.removeCrystal(hex);
+    }
+  }
+  
+  /**
+   * Column geometry for an elevation level
+   * @param {number} level - Elevation level
+   * @returns {THREE.CylinderGeometry}
+   * @private
+   */
+  _getHexGeometry(level) {
+    if (!this.hexGeometries[level]) {
+      this.hexGeometries[level] = new this.THREE.CylinderGeometry(
+        this.config.hexRadius,
+        this.config.hexRadius,
+        this.config.hexHeight + this.elevationRules.getHeight(level),
+        6
+      );
+    }
+    return this.hexGeometries[level];
+  }
+  
+  /**
+   * Material for the top and bottom of a hex of an element
+   * @param {string} element - Hex element
+   * @returns {THREE.Material}
+   */
+  getHexMaterial(element) {
+    return this.hexMaterials[element]
+      || this.fallbackMaterials[this.elementTypes.indexOf(element)]
+      || this.fallbackMaterials[0];
+  }
+  
+  /**
+   * Follow biome changes made after the hex was built (see core/TerrainTransform.js)
+   * @param {Object} event - tileChanged payload
+   * @private
+   */
+  _onTileChanged({ tile, previous }) {
+    if (!previous || previous.element === tile.element) return;
+    
+    const hex = this.findHexByCoordinates(tile.q, tile.r);
+    if (!hex || hex.userData.element === tile.element) return;
+    
+    this.transformHex(hex, tile.element);
+  }
+  
+  /**
+   * Bring every hex back in line with a restored state (undo/redo)
+   * Biomes switch without the transition, crystals appear or vanish at once.
+   * @private
+   */
+  _onStateRestored() {
+    this.hexagons.forEach((hex) => {
+      const tile = this.gameState.getTile(hex.userData.q, hex.userData.r);
+      if (!tile) return;
+      
+      if (tile.element !== hex.userData.element) {
+        this.transformHex(hex, tile.element, { animate: false });
+      }
+      if (tile.crystal && !hex.userData.crystal) {
+        this.trySpawnCrystalShard(hex);
+      } else if (!tile.crystal && hex.userData.crystal) {
+        this.removeCrystal(hex);
+      }
+    });
+  }
+  
+  /**
+   * Switch a hex to another element's material
+   * The new biome fades in over the old one while the hex lifts and settles.
+   * @param {Object} hex - Hex mesh
+   * @param {string} element - New element
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.animate - Play the transition (default true)
+   * @param {number} options.duration - Transition length in ms (default 700)
+   */
+  transformHex(hex, element, options = {}) {
+    const { animate = true, duration = 700 } = options;
+    const material = this.getHexMaterial(element);
+    const from = hex.userData.element;
+    
+    // A transition still running finishes instantly before the next starts
+    if (hex.userData.transition) hex.userData.transition.finish();
+    
+    hex.userData.element = element;
+    hex.name = `Hex_${hex.userData.q}_${hex.userData.r}_${element}`;
+    console.log(`[MAP] Hex (${hex.userData.q}, ${hex.userData.r}) transformed: ${from} -> ${element}`);
+    
+    const applyMaterial = () => {
+      hex.material = [this.edgeMaterial, material, material];
+    };
+    if (!animate) {
+      applyMaterial();
+      return;
+    }
+    
+    // Cap showing the new biome on top of the old one, fading in
+    const fadeMaterial = material.clone();
+    fadeMaterial.transparent = true;
+    fadeMaterial.opacity = 0;
+    fadeMaterial.depthWrite = false;
+    const cap = new this.THREE.Mesh(
+      new this.THREE.CircleGeometry(this.config.hexRadius, 6),
+      fadeMaterial
+    );
+    cap.rotation.x = -Math.PI / 2;
+    cap.rotation.z = Math.PI / 6;
+    cap.position.y = hex.geometry.parameters.height / 2 + 0.005;
+    cap.renderOrder = 700;
+    // Keep the hover and click raycasts resolving to the hex itself
+    cap.raycast = () => {};
+    hex.add(cap);
+    
+    const startY = hex.position.y;
+    const startTime = Date.now();
+    let frame = null;
+    
+    const transition = {
+      finish: () => {
+        cancelAnimationFrame(frame);
+        hex.remove(cap);
+        cap.geometry.dispose();
+        fadeMaterial.dispose();
+        hex.position.y = startY;
+        applyMaterial();
+        hex.userData.transition = null;
+      },
+    };
+    hex.userData.transition = transition;
+    
+    const animateStep = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      fadeMaterial.opacity = progress;
+      // Lift and settle: a single sine hump
+      hex.position.y = startY + Math.sin(progress * Math.PI) * 0.15;
+      
+      if (progress < 1) {
+        frame = requestAnimationFrame(animateStep);
+      } else {
+        transition.finish();
+      }
+    };
+    frame = requestAnimationFrame(animateStep);
+  }
+  
+  /**
+   * Remove a hex's crystal mesh from the scene and free its resources
+   * @param {Object} hex - Hex mesh holding the crystal
+   */
+  removeCrystal(hex) {
+    if (!hex.userData.crystal) return;
+    this._disposeCrystalMesh(hex.userData.crystal);
+    hex.userData.crystal = null;
+  }
+  
+  /**
+   * @param {Object} crystal - Crystal mesh or loaded model
+   * @private
+   */
+  _disposeCrystalMesh(crystal) {
+    this.scene.remove(crystal);
+    crystal.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => material && material.dispose());
+    });
+  }
+  
+  /**
+   * Play the harvest effect on a hex's crystal, then remove it
+   * The shard rises, spins and shrinks while fading out.
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @param {Function} onComplete - Called once the crystal is gone
+   */
+  playCrystalCollection(q, r, onComplete = null) {
+    const hex = this.findHexByCoordinates(q, r);
+    const crystal = hex?.userData.crystal;
+    if (!crystal) {
+      if (onComplete) onComplete();
+      return;
+    }
+    
+    // Detach from the hex right away so a respawn can place a new shard
+    hex.userData.crystal = null;
+    
+    const materials = [];
+    crystal.traverse((child) => {
+      const list = Array.isArray(child.material) ? child.material : [child.material];
+      list.forEach(material => {
+        if (!material) return;
+        material.transparent = true;
+        materials.push({ material, opacity: material.opacity ?? 1 });
+      });
+    });
+    
+    const duration = 600; // ms
+    const startTime = Date.now();
+    const startY = crystal.position.y;
+    const startScale = crystal.scale.clone();
+    
+    const animate = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      const eased = 1 - Math.pow(1 - progress, 2);
+      
+      crystal.position.y = startY + eased * 0.8;
+      crystal.rotation.y += 0.25;
+      crystal.scale.copy(startScale).multiplyScalar(1 - eased * 0.7);
+      materials.forEach(({ material, opacity }) => {
+        material.opacity = opacity * (1 - progress);
+      });
+      
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+        return;
+      }
+      
+      this._disposeCrystalMesh(crystal);
+      debugLog(`Crystal collection finished on hex (${q}, ${r})`);
+      if (onComplete) onComplete();
+    };
+    requestAnimationFrame(animate);
+  }
+  
+  /**
+   * Create hex meshes for a list of coordinates
+   * @param {Array<{q: number, r: number}>} coords - Coordinates to build
+   * @param {number} horizontalSpacing - Horizontal spacing between hexagons
+   * @param {number} verticalFactor - Vertical spacing factor
+   * @param {Object} stats - Optional distribution/crystal counters to fill in
+   * @private
+   */
+  _buildHexMeshes(coords, horizontalSpacing, verticalFactor, stats = {}) {
+    const elementDistribution = stats.elementDistribution || {};
+    const crystalStats = stats.crystalStats || { total: 0, spawned: 0 };
+    
+    for (const { q, r } of coords) {
+      const hex = this.createHex(q, r, horizontalSpacing, verticalFactor);
+      this.hexagons.push(hex);
+      this.hexCount++;
+      
+      // Track element distribution if hex has element data
+      if (hex.userData.element) {
+        elementDistribution[hex.userData.element] =
+          (elementDistribution[hex.userData.element] || 0) + 1;
+      }
+      
+      // Track crystal statistics for post-generation reporting
+      crystalStats.total++;
+      if (hex.userData.crystal) {
+        crystalStats.spawned++;
+      }
+      
+      // Log progress every 20 hexagons to show generation status
+      if (this.hexCount % 20 === 0) {
+        debugLog(`Created ${this.hexCount} hexagons so far...`);
+      }
+    }
+  }
+  
   /**
    * Get all hexagons on the map
    * @returns {Array} - Array of hexagon meshes
@@ -1492,8 +1897,7 @@ export class MapGenerator {
     const hexesOfElement = this.findHexesByElement(elementType);
     if (hexesOfElement.length === 0) return null;
     
-    const randomIndex = Math.floor(Math.random() * hexesOfElement.length);
-    return hexesOfElement[randomIndex];
+    return this.mapRandom.pick(hexesOfElement);
   }
   
   /**
@@ -1506,19 +1910,16 @@ export class MapGenerator {
   }
 }
 
+/**
+ * World y of a hex's top face, where beasts, crystals and markers stand
+ * @param {Object} hex - Hex mesh
+ * @returns {number}
+ */
+export function getHexTopY(hex) {
+  const height = hex.geometry?.parameters?.height ?? 0.2;
+  return hex.position.y + height / 2;
+}
+
 // Export element types as a constant for other modules to use
-// This allows other modules to reference these without duplicating the values
-export const ELEMENT_TYPES = [
-  'Combat',
-  'Corrosion',
-  'Dark',
-  'Earth',
-  'Electric',
-  'Fire',
-  'Light',
-  'Metal',
-  'Plant',
-  'Spirit',
-  'Water',
-  'Wind',
-];
+// The list itself lives in the headless core so rules can share it
+export { ELEMENT_TYPES };
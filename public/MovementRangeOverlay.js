@@ -0,0 +1,284 @@
+/**
+ * MovementRangeOverlay.js
+ * Highlights the hexes a beast can reach this turn, plus enemies it can attack,
+ * and previews the path the beast would walk to the hovered hex.
+ *
+ * Each highlighted hex gets a translucent fill and a gold outline drawn with
+ * the same Line2/LineMaterial stroke the hover effect uses. The overlay only
+ * draws; which hexes to show comes from core/Movement.js.
+ */
+import { Line2 } from 'three/addons/lines/Line2.js';
+import { LineGeometry } from 'three/addons/lines/LineGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[RANGE] ${message}`, data);
+  } else {
+    console.log(`[RANGE] ${message}`);
+  }
+}
+
+/**
+ * Colors for each kind of highlight
+ */
+export const RANGE_COLORS = {
+  move: 0xffd700,   // Gold, matches the hover stroke
+  attack: 0xff3300, // Red for attackable enemies
+  path: 0xffffff,   // Walking path preview
+  summon: 0xc77dff, // Free spawn hexes while placing a summon
+  ability: 0x00e5ff, // Hexes an ability can be aimed at
+  area: 0xff7f00,   // Hexes the aimed ability would hit
+};
+
+/**
+ * Class drawing highlight outlines on a set of hex meshes
+ */
+export class MovementRangeOverlay {
+  /**
+   * @param {THREE.Scene} scene - The scene the path preview is drawn in
+   * @param {Object} THREE - The THREE.js library
+   * @param {Object} options - Optional settings
+   * @param {number} options.hexRadius - Radius of the outline (default 0.9)
+   * @param {number} options.linewidth - Stroke width in pixels (default 4)
+   */
+  constructor(scene, THREE, options = {}) {
+    this.scene = scene;
+    this.THREE = THREE;
+    this.hexRadius = options.hexRadius ?? 0.9;
+
+    // Highlight meshes currently attached to hexes, keyed by "q,r"
+    this.highlights = new Map();
+
+    // Shared geometry for every highlight
+    this.fillGeometry = new THREE.CircleGeometry(this.hexRadius, 6);
+    this.outlineGeometry = this._createOutlineGeometry();
+
+    // Path preview line, rebuilt on every hover change
+    this.pathLine = null;
+    this.pathMaterial = new LineMaterial({
+      color: RANGE_COLORS.path,
+      linewidth: 3,
+      transparent: true,
+      opacity: 0.9,
+      resolution: new THREE.Vector2(window.innerWidth, window.innerHeight),
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    // One material per highlight kind so they can pulse together
+    this.materials = {};
+    ['move', 'attack', 'summon', 'ability', 'area'].forEach((kind) => {
+      const color = RANGE_COLORS[kind];
+      this.materials[kind] = {
+        fill: new THREE.MeshBasicMaterial({
+          color,
+          transparent: true,
+          opacity: 0.25,
+          depthWrite: false,
+          side: THREE.DoubleSide,
+        }),
+        outline: new LineMaterial({
+          color,
+          linewidth: options.linewidth ?? 4,
+          transparent: true,
+          opacity: 0.9,
+          resolution: new THREE.Vector2(window.innerWidth, window.innerHeight),
+          depthTest: false,
+          depthWrite: false,
+          toneMapped: false,
+        }),
+      };
+    });
+
+    this._onResize = () => {
+      Object.values(this.materials).forEach(({ outline }) => {
+        outline.resolution.set(window.innerWidth, window.innerHeight);
+      });
+      this.pathMaterial.resolution.set(window.innerWidth, window.innerHeight);
+    };
+    window.addEventListener('resize', this._onResize);
+  }
+
+  /**
+   * Build the closed hexagon outline shared by every highlight
+   * @returns {LineGeometry}
+   * @private
+   */
+  _createOutlineGeometry() {
+    const positions = [];
+    for (let i = 0; i <= 6; i++) {
+      // Reuse the first corner for the last point so the loop closes exactly
+      const angle = ((i % 6) / 6) * Math.PI * 2;
+      positions.push(this.hexRadius * Math.cos(angle), 0, this.hexRadius * Math.sin(angle));
+    }
+    const geometry = new LineGeometry();
+    geometry.setPositions(positions);
+    return geometry;
+  }
+
+  /**
+   * Replace the current highlights
+   * @param {Array<Object>} hexes - Hex meshes to highlight as reachable
+   * @param {Array<Object>} attackHexes - Hex meshes holding attackable enemies
+   */
+  show(hexes, attackHexes = []) {
+    this.clear();
+    hexes.forEach(hex => this._addHighlight(hex, 'move'));
+    attackHexes.forEach(hex => this._addHighlight(hex, 'attack'));
+    debugLog(`Showing ${hexes.length} reachable and ${attackHexes.length} attackable hexes`);
+  }
+
+  /**
+   * Attach a highlight to a hex mesh
+   * @param {Object} hex - Hex mesh
+   * @param {string} kind - 'move', 'attack', 'summon', 'ability' or 'area'
+   * @private
+   */
+  _addHighlight(hex, kind) {
+    const THREE = this.THREE;
+    const key = `${hex.userData.q},${hex.userData.r}`;
+    const { fill, outline } = this.materials[kind];
+
+    const group = new THREE.Group();
+    group.userData = { isRangeHighlight: true, kind };
+
+    // Cylinder corners sit 30 degrees off the outline's, turn to line them up
+    group.rotation.y = Math.PI / 6;
+
+    // Fill lies flat just above the hex top
+    const fillMesh = new THREE.Mesh(this.fillGeometry, fill);
+    fillMesh.rotation.x = -Math.PI / 2;
+    fillMesh.position.y = 0.02;
+    fillMesh.renderOrder = 900;
+    group.add(fillMesh);
+
+    const outlineMesh = new Line2(this.outlineGeometry, outline);
+    outlineMesh.computeLineDistances();
+    outlineMesh.position.y = 0.04;
+    outlineMesh.renderOrder = 950;
+    group.add(outlineMesh);
+
+    // Offset by the hex's half height, children of the hex inherit its transform
+    const hexHeight = hex.geometry?.parameters?.height ?? 0.2;
+    group.position.y = hexHeight / 2;
+
+    // Highlights are children of the hex; keep them out of the hover and
+    // click raycasts so those still resolve to the hex itself
+    fillMesh.raycast = () => {};
+    outlineMesh.raycast = () => {};
+
+    hex.add(group);
+    this.highlights.set(key, { hex, group, kind });
+  }
+
+  /**
+   * Replace the current highlights with one kind
+   * @param {Array<Object>} hexes - Hex meshes to highlight
+   * @param {string} kind - Highlight kind, one of RANGE_COLORS' fill kinds
+   */
+  showKind(hexes, kind) {
+    this.clear();
+    hexes.forEach(hex => this._addHighlight(hex, kind));
+    debugLog(`Showing ${hexes.length} ${kind} hexes`);
+  }
+
+  /**
+   * Draw a line through the centers of the hexes on a path
+   * @param {Array<Object>} hexes - Hex meshes from the start to the destination
+   */
+  showPath(hexes) {
+    this.clearPath();
+    if (hexes.length < 2) return;
+
+    const positions = [];
+    hexes.forEach(hex => {
+      const hexHeight = hex.geometry?.parameters?.height ?? 0.2;
+      positions.push(hex.position.x, hex.position.y + hexHeight / 2 + 0.08, hex.position.z);
+    });
+
+    const geometry = new LineGeometry();
+    geometry.setPositions(positions);
+    this.pathLine = new Line2(geometry, this.pathMaterial);
+    this.pathLine.computeLineDistances();
+    this.pathLine.renderOrder = 1000;
+    this.pathLine.raycast = () => {};
+    this.scene.add(this.pathLine);
+    debugLog(`Showing path through ${hexes.length} hexes`);
+  }
+
+  /**
+   * Remove the path preview line
+   */
+  clearPath() {
+    if (!this.pathLine) return;
+    this.scene.remove(this.pathLine);
+    this.pathLine.geometry.dispose();
+    this.pathLine = null;
+  }
+
+  /**
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {string|null} - The highlight kind, or null when not highlighted
+   */
+  getHighlightKind(q, r) {
+    const highlight = this.highlights.get(`${q},${r}`);
+    return highlight ? highlight.kind : null;
+  }
+
+  /**
+   * @returns {boolean} - Whether anything is highlighted
+   */
+  isVisible() {
+    return this.highlights.size > 0;
+  }
+
+  /**
+   * Pulse the highlights, call once per frame
+   */
+  update() {
+    if (this.highlights.size === 0) return;
+    const pulse = (Math.sin(Date.now() * 0.005) + 1) / 2; // 0 to 1
+    Object.values(this.materials).forEach(({ fill, outline }) => {
+      fill.opacity = 0.15 + pulse * 0.15;
+      outline.opacity = 0.6 + pulse * 0.4;
+    });
+  }
+
+  /**
+   * Remove every highlight and the path preview
+   */
+  clear() {
+    this.clearPath();
+    this.highlights.forEach(({ hex, group }) => {
+      hex.remove(group);
+    });
+    this.highlights.clear();
+  }
+
+  /**
+   * Remove highlights and free GPU resources
+   */
+  dispose() {
+    this.clear();
+    window.removeEventListener('resize', this._onResize);
+    this.fillGeometry.dispose();
+    this.outlineGeometry.dispose();
+    this.pathMaterial.dispose();
+    Object.values(this.materials).forEach(({ fill, outline }) => {
+      fill.dispose();
+      outline.dispose();
+    });
+  }
+}
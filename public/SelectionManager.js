@@ -0,0 +1,241 @@
+/**
+ * SelectionManager.js
+ * Owns the one mouse listener for commanding beasts.
+ *
+ * Clicking one of the active player's beasts selects it; only the selected
+ * beast shows its range and receives move/attack clicks and path-preview
+ * hovers. Clicking empty ground, pressing Escape or ending the turn clears
+ * the selection.
+ *
+ * Events emitted:
+ *   selectionChanged { beast, previous }  (Beast views, null when none)
+ */
+import { EventEmitter } from './core/EventEmitter.js';
+import { isAIPlayer } from './core/AI.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[SELECT] ${message}`, data);
+  } else {
+    console.log(`[SELECT] ${message}`);
+  }
+}
+
+/**
+ * Class routing pointer input to the selected beast
+ */
+export class SelectionManager extends EventEmitter {
+  /**
+   * @param {THREE.Camera} camera - Camera used for picking
+   * @param {Object} THREE - The THREE.js library
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Decides whose beasts can be selected
+   * @param {Object} options - Optional settings
+   * @param {Function} options.getHexagons - () => current hex meshes
+   * @param {boolean} options.enabled - Whether clicks may command beasts (default true;
+   *   replays turn it off)
+   */
+  constructor(camera, THREE, gameState, turnManager, options = {}) {
+    super();
+    this.camera = camera;
+    this.THREE = THREE;
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.getHexagons = options.getHexagons || (() => []);
+    this.enabled = options.enabled !== false;
+
+    // Beast views by beast id
+    this.views = new Map();
+    this.selected = null;
+
+    this.raycaster = new THREE.Raycaster();
+
+    this._onClick = (event) => this._handleClick(event);
+    this._onMouseMove = (event) => this._handleMouseMove(event);
+    this._onKeyDown = (event) => {
+      if (event.key === 'Escape') this.deselect();
+    };
+    window.addEventListener('click', this._onClick);
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._unsubscribers = [
+      this.gameState.on('beastRemoved', ({ beast }) => {
+        if (this.selected && this.selected.id === beast.id) this.deselect();
+        this.views.delete(beast.id);
+      }),
+      this.turnManager.on('turnStart', () => this.deselect()),
+      // An undo can take back the summon of a beast we still hold a view of
+      this.gameState.on('stateRestored', () => {
+        this.views.forEach((view, id) => {
+          if (this.gameState.getBeast(id)) return;
+          if (this.selected === view) this.deselect();
+          this.views.delete(id);
+        });
+      }),
+    ];
+  }
+
+  /**
+   * Start routing input for a beast view
+   * @param {Beast} view - Beast bound to a state record
+   */
+  addBeast(view) {
+    if (!view.id) {
+      console.warn('[SELECT] Ignoring beast without a state binding');
+      return;
+    }
+    this.views.set(view.id, view);
+  }
+
+  /**
+   * @returns {Beast|null} - The selected beast view
+   */
+  getSelected() {
+    return this.selected;
+  }
+
+  /**
+   * Whether the player whose turn it is may select a beast
+   * The computer's beasts are never selectable, even on its own turn.
+   * @param {Beast} view - Beast view
+   * @returns {boolean}
+   */
+  canSelect(view) {
+    const record = view.getStateRecord();
+    if (!this.enabled) return false;
+    if (!record || !view.isLoaded || !this.turnManager.isActivePlayer(record.owner)) return false;
+    return !isAIPlayer(this.turnManager.getActivePlayer());
+  }
+
+  /**
+   * Select a beast, deselecting the previous one
+   * @param {Beast} view - Beast view to select
+   * @returns {boolean} - Whether the beast is now selected
+   */
+  select(view) {
+    if (view === this.selected) return true;
+    if (!this.canSelect(view)) {
+      debugLog(`Cannot select ${view.id} right now`);
+      return false;
+    }
+
+    const previous = this.selected;
+    if (previous) previous.setSelected(false);
+    this.selected = view;
+    view.setSelected(true);
+
+    console.log(`[SELECT] Selected ${view.type} Beast ${view.id}`);
+    this.emit('selectionChanged', { beast: view, previous });
+    return true;
+  }
+
+  /**
+   * Clear the selection
+   */
+  deselect() {
+    if (!this.selected) return;
+    const previous = this.selected;
+    this.selected = null;
+    previous.setSelected(false);
+
+    debugLog(`Deselected ${previous.id}`);
+    this.emit('selectionChanged', { beast: null, previous });
+  }
+
+  /**
+   * Point the raycaster at the cursor
+   * @param {MouseEvent} event - Mouse event
+   * @private
+   */
+  _setRay(event) {
+    const pointer = new this.THREE.Vector2(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1,
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+  }
+
+  /**
+   * Hex mesh under the ray
+   * @returns {Object|null}
+   * @private
+   */
+  _pickHex() {
+    const intersects = this.raycaster.intersectObjects(this.getHexagons(), false);
+    return intersects.length > 0 ? intersects[0].object : null;
+  }
+
+  /**
+   * Beast view whose sprite is under the ray
+   * Sprites stand above their hex, so clicking one usually hits a hex behind it
+   * @returns {Beast|null}
+   * @private
+   */
+  _pickBeast() {
+    // Raycasts don't skip hidden objects, and beasts in the fog are hidden
+    const groups = [...this.views.values()].map(view => view.group).filter(group => group && group.visible);
+    const intersects = this.raycaster.intersectObjects(groups, true);
+    for (const { object } of intersects) {
+      let node = object;
+      while (node && !groups.includes(node)) node = node.parent;
+      const view = [...this.views.values()].find(v => v.group === node);
+      if (view) return view;
+    }
+    return null;
+  }
+
+  /**
+   * Command the selected beast, or change the selection
+   * @param {MouseEvent} event - Window click
+   * @private
+   */
+  _handleClick(event) {
+    this._setRay(event);
+
+    // A clicked sprite stands for the hex it is on
+    const clickedBeast = this._pickBeast();
+    const hex = clickedBeast ? clickedBeast.getCurrentHex() : this._pickHex();
+
+    // Highlighted hexes (moves, attacks) belong to the selected beast first
+    if (this.selected && hex && this.selected.handleHexClick(hex)) return;
+
+    const occupant = hex ? this.gameState.getBeastAt(hex.userData.q, hex.userData.r) : null;
+    const view = occupant ? this.views.get(occupant.id) : null;
+    if (view && view !== this.selected && this.select(view)) return;
+
+    this.deselect();
+  }
+
+  /**
+   * Forward the hovered hex to the selected beast for path previews
+   * @param {MouseEvent} event - Window mousemove
+   * @private
+   */
+  _handleMouseMove(event) {
+    if (!this.selected) return;
+    this._setRay(event);
+    this.selected.handleHexHover(this._pickHex());
+  }
+
+  /**
+   * Remove listeners and clear the selection
+   */
+  dispose() {
+    this.deselect();
+    window.removeEventListener('click', this._onClick);
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('keydown', this._onKeyDown);
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.views.clear();
+  }
+}
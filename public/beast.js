@@ -5,6 +5,19 @@
  * for frame-based animations from pre-made spritesheets.
  */
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.162.0/build/three.module.js";
+import { hexKey } from './core/HexGrid.js';
+import { getReachableHexes } from './core/Movement.js';
+import { findPath } from './core/Pathfinding.js';
+import { AFFINITY } from './core/TerrainAffinity.js';
+import { MovementRangeOverlay } from './MovementRangeOverlay.js';
+import { getHexTopY } from './MapGeneration.js';
+import { canAttack, resolveAttack, getCombatStat } from './core/Combat.js';
+import { COMMAND_TYPES } from './core/Commands.js';
+import {
+  getBeastDefinition,
+  loadBeastDefinition,
+  createBeastStats,
+} from './core/BeastDefinitions.js';
 
 
 // Import SpriteMixer as a module
@@ -25,6 +38,23 @@ const SpriteMixer = (function() {
 // Debug flag
 const DEBUG = true;
 
+// Aura color per element, from the fallback hex colors (Dark brightened so
+// the additive glow stays visible)
+const ELEMENT_COLORS = {
+  Combat: 0xff5733,
+  Corrosion: 0x7cfc00,
+  Dark: 0x9b59b6,
+  Earth: 0x964b00,
+  Electric: 0xffff00,
+  Fire: 0xff4500,
+  Light: 0xffffff,
+  Metal: 0xc0c0c0,
+  Plant: 0x2ecc71,
+  Spirit: 0xd8bfd8,
+  Water: 0x3498db,
+  Wind: 0xc6e2ff,
+};
+
 /**
  * Enhanced logging function that only logs in debug mode
  * @param {string} message - Log message
@@ -48,10 +78,23 @@ export class Beast {
    * @param {string} type - The beast elemental type (e.g., 'Fire', 'Water')
    * @param {THREE.Scene} scene - The THREE.js scene
    * @param {THREE.Camera} camera - The THREE.js camera for billboarding
-   * @param {Object} position - The initial position {x, y, z}
+   * @param {Object} position - The initial position {x, y, z}, plus ground: the
+   *   raised height of the hex stood on (default 0)
    * @param {number} scale - Scale factor for the beast (default: 3)
+   * @param {Object} options - Optional settings
+   * @param {GameState} options.gameState - Game state this beast renders from
+   * @param {string} options.beastId - Id of the beast record in the game state
+   * @param {TurnManager} options.turnManager - Turn manager that gates actions
+   * @param {ElementChart} options.elementChart - Chart used for attack damage
+   * @param {TerrainCosts} options.terrainCosts - Per-biome movement costs
+   * @param {TerrainAffinity} options.terrainAffinity - Biome stat bonus/penalty rules
+   * @param {FogOfWar} options.fogOfWar - Hides enemies this beast's team cannot see
+   * @param {StatusRules} options.statusRules - Icons and colors of status effects
+   * @param {CommandHistory} options.commandHistory - Runs moves and attacks so they can be undone
+   * @param {Function} options.random - Damage rolls for attacks made without a commandHistory
+   * @param {Object} options.definition - Preloaded type definition (fetched if omitted)
    */
-  constructor(type, scene, camera, position, scale = 1) {
+  constructor(type, scene, camera, position, scale = 1, options = {}) {
     debugLog(`Creating ${type} Beast`, position);
 
     this.type = type;
@@ -59,6 +102,50 @@ export class Beast {
     this.camera = camera;
     this.scale = scale;
     this.position = position || { x: 0, y: 0.5, z: 0 };
+    // World height of the ground under the beast, follows the hex elevation
+    this.groundHeight = this.position.ground ?? 0;
+
+    // Game state binding - when bound, moves go through the state and the
+    // beast animates in response to state events
+    this.gameState = options.gameState || null;
+    this.id = options.beastId || null;
+    this.turnManager = options.turnManager || null;
+    this.elementChart = options.elementChart || null;
+    this.terrainCosts = options.terrainCosts || null;
+    this.terrainAffinity = options.terrainAffinity || null;
+    this.fogOfWar = options.fogOfWar || null;
+    this.statusRules = options.statusRules || null;
+    this.commandHistory = options.commandHistory || null;
+    this.random = options.random || null;
+    this._stateUnsubscribers = [];
+
+    // Type definition (stats, abilities, sprite layout) from
+    // /assets/Beasts/definitions/<type>.json
+    this.definition = null;
+    this.stats = null;
+
+    // True while a movement tween is running; input is ignored meanwhile
+    this.isMoving = false;
+    // Bumped to abandon a running tween, e.g. when an undo snaps the beast back
+    this._moveToken = 0;
+
+    // Glowing ring shown while standing on a matching biome
+    this.affinityAura = null;
+    this.currentAffinity = AFFINITY.NEUTRAL;
+
+    // Highlights reachable hexes and attackable enemies, rebuilt when dirty
+    this.rangeOverlay = null;
+    this._rangeDirty = true;
+
+    // Set by the SelectionManager; only the selected beast takes commands
+    this.isSelected = false;
+
+    // Set while an ability is being aimed; hides the move/attack range
+    this.isTargeting = false;
+
+    // Rings at the beast's feet: owner's team color, and a pulse while selected
+    this.teamRing = null;
+    this.selectionRing = null;
 
     // Track loading state
     this.isLoaded = false;
@@ -108,18 +195,668 @@ export class Beast {
     this.shadowHeight = 0.15; // Increased height offset to ensure visibility above hexagons
     this.shadowBlur = 1; // Softness factor for shadow edges
     
-    // Load animated texture based on beast type
-    this.loadAnimatedTexture();
+    // Load the type definition, then the sprite it describes
+    this.definitionReady = this._loadDefinition(options.definition);
 
     // Create shadow plane beneath the beast
     this._createShadow();
 
-    // Create directional indicators
-    this._createDirectionalIndicators();
+    // Follow the state record if we have one
+    if (this.gameState && this.id) {
+      this._createHealthBar();
+      this._createStatusIcons();
+      this._createTeamRings();
+      this._bindToState();
+    }
 
     debugLog(`${type} Beast initialized`);
   }
 
+  /**
+   * Load this type's definition and start loading its sprite
+   * Uses an already-loaded definition synchronously when one is available
+   * @param {Object} preloaded - Definition passed in by the caller, if any
+   * @returns {Promise<Object>} - Resolves with the definition
+   * @private
+   */
+  _loadDefinition(preloaded) {
+    const cached = preloaded || getBeastDefinition(this.type);
+    if (cached) {
+      this._applyDefinition(cached);
+      this.loadAnimatedTexture();
+      return Promise.resolve(cached);
+    }
+
+    return loadBeastDefinition(this.type).then((definition) => {
+      // Disposed while the file was loading
+      if (!this.group) return definition;
+      this._applyDefinition(definition);
+      this.loadAnimatedTexture();
+      return definition;
+    });
+  }
+
+  /**
+   * Take stats from a definition and seed the state record if it has none
+   * @param {Object} definition - Complete beast definition
+   * @private
+   */
+  _applyDefinition(definition) {
+    this.definition = definition;
+    this.stats = { ...definition.stats };
+    debugLog(`${this.type} Beast definition applied`, this.stats);
+
+    const record = this.getStateRecord();
+    if (record && !record.stats) {
+      this.gameState.updateBeast(this.id, createBeastStats(definition));
+    }
+  }
+
+  /**
+   * Get the plain-data record this beast renders
+   * @returns {Object|null} - The beast record or null when not bound to a state
+   */
+  getStateRecord() {
+    return this.gameState && this.id ? this.gameState.getBeast(this.id) : null;
+  }
+
+  /**
+   * Subscribe to game state events concerning this beast
+   * @private
+   */
+  _bindToState() {
+    debugLog(`Binding ${this.type} Beast to state record ${this.id}`);
+
+    this._stateUnsubscribers.push(
+      this.gameState.on('beastMoved', ({ beast, to, path }) => {
+        if (beast.id !== this.id) return;
+        this._onStateMoved(to, path);
+      }),
+      this.gameState.on('beastRemoved', ({ beast, reason }) => {
+        if (beast.id !== this.id) return;
+        debugLog(`State removed ${this.id} (${reason}), disposing view`);
+        if (reason === 'fainted') {
+          this._playFaintAnimation();
+        } else {
+          this.dispose();
+        }
+      }),
+      this.gameState.on('beastAttacked', ({ attacker, defender, result }) => {
+        // Ability hits are animated once per cast in _onAbilityUsed
+        if (attacker.id === this.id && !result.abilityId) this._onAttackPerformed(defender);
+        if (defender.id === this.id) this._onAttackReceived(result);
+      }),
+      this.gameState.on('abilityUsed', ({ caster, ability, results }) => {
+        if (caster.id === this.id) this._onAbilityUsed(ability);
+        results.forEach(result => {
+          if (result.type === 'heal' && result.beastId === this.id && result.amount > 0) {
+            this._showFloatingText(`+${result.amount}`, '#7CFC00');
+          }
+        });
+      }),
+      this.gameState.on('beastUpdated', ({ beast, changes }) => {
+        if (beast.id !== this.id) return;
+        if ('hp' in changes || 'stats' in changes) this._updateHealthBar();
+        if ('statuses' in changes) this._updateStatusIcons();
+      }),
+      this.gameState.on('statusTicked', ({ beast, status, damage }) => {
+        if (beast.id !== this.id) return;
+        const definition = this.statusRules ? this.statusRules.get(status.id) : null;
+        this._showFloatingText(`-${damage} ${definition ? definition.icon : ''}`, definition ? definition.color : '#ffffff');
+      }),
+      this.gameState.on('stateRestored', () => this._onStateRestored()),
+    );
+
+    // Any beast moving, appearing or leaving can change what we can reach
+    const markRangeDirty = () => { this._rangeDirty = true; };
+    ['beastAdded', 'beastMoved', 'beastUpdated', 'beastRemoved', 'tileChanged', 'stateRestored'].forEach(event => {
+      this._stateUnsubscribers.push(this.gameState.on(event, markRangeDirty));
+    });
+    if (this.turnManager) {
+      this._stateUnsubscribers.push(this.turnManager.on('phaseChanged', markRangeDirty));
+    }
+  }
+
+  /**
+   * Ask to attack the beast standing on a hex, respecting the turn manager
+   * @param {number} q - Target q coordinate
+   * @param {number} r - Target r coordinate
+   * @returns {Object|null} - The attack result, or null if it wasn't allowed
+   */
+  requestAttack(q, r) {
+    if (!this.gameState || !this.id) {
+      console.warn('[BEAST] Cannot attack without a game state binding');
+      return null;
+    }
+
+    const target = this.gameState.getBeastAt(q, r);
+    if (!target) {
+      debugLog(`No beast to attack at (${q}, ${r})`);
+      return null;
+    }
+
+    if (!this.canAttackTarget(target)) {
+      debugLog(`${this.type} Beast cannot attack ${target.id} right now`);
+      return null;
+    }
+
+    if (this.commandHistory) {
+      return this.commandHistory.execute({ type: COMMAND_TYPES.ATTACK, beastId: this.id, targetId: target.id });
+    }
+
+    if (this.turnManager && !this.turnManager.spendAction(this.id, 'attack')) {
+      return null;
+    }
+
+    return resolveAttack(this.gameState, this.id, target.id, this.elementChart, {
+      terrainAffinity: this.terrainAffinity,
+      random: this.random,
+    });
+  }
+
+  /**
+   * Whether this beast could attack a target right now
+   * @param {Object} target - Target beast record
+   * @returns {boolean}
+   */
+  canAttackTarget(target) {
+    if (!this.gameState || !this.id || this.isMoving) return false;
+    if (!canAttack(this.gameState, this.id, target.id).ok) return false;
+    // Enemies in the fog can't be targeted, that would give away where they are
+    if (this.fogOfWar && !this.fogOfWar.canSeeBeast(this.getStateRecord().owner, target)) return false;
+    if (this.turnManager && !this.turnManager.canPerform(this.id, 'attack')) return false;
+    return true;
+  }
+
+  /**
+   * Play the attack animation and lunge toward the target
+   * @param {Object} target - Target beast record
+   * @private
+   */
+  _onAttackPerformed(target) {
+    this._playOneShot('attack');
+
+    const targetHex = this._findHexAtAxialPosition(target.q, target.r);
+    if (!targetHex || !this.group) return;
+
+    // Short lunge toward the target and back
+    const start = this.group.position.clone();
+    const direction = new THREE.Vector3(
+      targetHex.position.x - start.x,
+      0,
+      targetHex.position.z - start.z
+    ).normalize();
+    const lungeDistance = 0.35;
+    const duration = 300; // ms
+    const startTime = Date.now();
+
+    const animate = () => {
+      if (!this.group) return;
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      const offset = Math.sin(progress * Math.PI) * lungeDistance;
+      this.group.position.set(
+        start.x + direction.x * offset,
+        start.y,
+        start.z + direction.z * offset
+      );
+      if (progress < 1) requestAnimationFrame(animate);
+    };
+    animate();
+  }
+
+  /**
+   * Play the cast animation for an ability this beast used
+   * @param {Object} ability - Ability definition
+   * @private
+   */
+  _onAbilityUsed(ability) {
+    debugLog(`${this.type} Beast used ${ability.name}`);
+    this._playOneShot('attack');
+  }
+
+  /**
+   * Play the hurt animation, flash and show the damage taken
+   * @param {Object} result - Attack result from resolveAttack
+   * @private
+   */
+  _onAttackReceived(result) {
+    this._playOneShot('hurt');
+
+    const colors = { strong: '#ff5533', weak: '#aaaaaa', neutral: '#ffffff' };
+    const suffix = result.effectiveness === 'strong' ? '!' : '';
+    this._showFloatingText(`-${result.damage}${suffix}`, colors[result.effectiveness] || '#ffffff');
+
+    // Flash the sprite red briefly
+    const sprite = this.actionSprite || this.fallbackSprite;
+    if (sprite && sprite.material && sprite.material.color) {
+      sprite.material.color.set(0xff6666);
+      setTimeout(() => {
+        if (sprite.material) sprite.material.color.set(0xffffff);
+      }, 200);
+    }
+  }
+
+  /**
+   * Recompute the beast's biome affinity and toggle the aura to match
+   * @private
+   */
+  _updateAffinity() {
+    const record = this.getStateRecord();
+    if (!record) return;
+
+    const affinity = this.terrainAffinity.getBeastAffinity(this.gameState, record);
+    if (affinity === this.currentAffinity) return;
+
+    debugLog(`${this.type} Beast affinity changed: ${this.currentAffinity} -> ${affinity}`);
+    this.currentAffinity = affinity;
+
+    if (affinity === AFFINITY.MATCHING && !this.affinityAura) {
+      this._createAffinityAura();
+    }
+    if (this.affinityAura) {
+      this.affinityAura.visible = affinity === AFFINITY.MATCHING;
+    }
+  }
+
+  /**
+   * Create the glowing ring drawn at the beast's feet while its bonus is active
+   * @private
+   */
+  _createAffinityAura() {
+    try {
+      const geometry = new THREE.RingGeometry(0.45 * this.scale, 0.6 * this.scale, 32);
+      const material = new THREE.MeshBasicMaterial({
+        color: ELEMENT_COLORS[this.type] || 0xffd700,
+        transparent: true,
+        opacity: 0.6,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      });
+      this.affinityAura = new THREE.Mesh(geometry, material);
+      this.affinityAura.rotation.x = -Math.PI / 2;
+      this.affinityAura.renderOrder = 5;
+      this.group.add(this.affinityAura);
+      debugLog(`${this.type} Beast affinity aura created`);
+    } catch (err) {
+      console.error('[BEAST] Error creating affinity aura:', err);
+    }
+  }
+
+  /**
+   * Owning player record, from the state binding
+   * @returns {Object|null}
+   */
+  getOwner() {
+    const record = this.getStateRecord();
+    return record ? this.gameState.getPlayer(record.owner) : null;
+  }
+
+  /**
+   * Create the team-colored ring and the (hidden) selection ring
+   * @private
+   */
+  _createTeamRings() {
+    try {
+      const owner = this.getOwner();
+      const teamColor = owner && owner.color ? owner.color : '#bbbbbb';
+
+      this.teamRing = new THREE.Mesh(
+        new THREE.RingGeometry(0.62 * this.scale, 0.72 * this.scale, 32),
+        new THREE.MeshBasicMaterial({
+          color: teamColor,
+          transparent: true,
+          opacity: 0.8,
+          depthWrite: false,
+          side: THREE.DoubleSide,
+        }),
+      );
+      this.teamRing.rotation.x = -Math.PI / 2;
+      this.teamRing.renderOrder = 4;
+      this.group.add(this.teamRing);
+
+      this.selectionRing = new THREE.Mesh(
+        new THREE.RingGeometry(0.76 * this.scale, 0.84 * this.scale, 32),
+        new THREE.MeshBasicMaterial({
+          color: 0xffffff,
+          transparent: true,
+          opacity: 0.9,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+          side: THREE.DoubleSide,
+        }),
+      );
+      this.selectionRing.rotation.x = -Math.PI / 2;
+      this.selectionRing.renderOrder = 6;
+      this.selectionRing.visible = this.isSelected;
+      this.group.add(this.selectionRing);
+      debugLog(`${this.type} Beast team ring created`, { owner: owner ? owner.id : null, teamColor });
+    } catch (err) {
+      console.error('[BEAST] Error creating team rings:', err);
+    }
+  }
+
+  /**
+   * Create a small HP bar that floats above the sprite
+   * @private
+   */
+  _createHealthBar() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 8;
+      this.healthBarCanvas = canvas;
+      this.healthBarTexture = new THREE.CanvasTexture(canvas);
+      this.healthBarTexture.magFilter = THREE.NearestFilter;
+      this.healthBarTexture.minFilter = THREE.NearestFilter;
+
+      const material = new THREE.SpriteMaterial({
+        map: this.healthBarTexture,
+        depthTest: false,
+        transparent: true,
+      });
+      this.healthBar = new THREE.Sprite(material);
+      this.healthBar.scale.set(0.8 * this.scale, 0.1 * this.scale, 1);
+      this.healthBar.position.set(0, 0.65 * this.scale, 0);
+      this.healthBar.renderOrder = 20;
+      this.group.add(this.healthBar);
+
+      this._updateHealthBar();
+    } catch (err) {
+      console.error('[BEAST] Error creating health bar:', err);
+    }
+  }
+
+  /**
+   * Redraw the HP bar from the state record
+   * @private
+   */
+  _updateHealthBar() {
+    const record = this.getStateRecord();
+    if (!record || !this.healthBarCanvas) return;
+
+    const maxHp = getCombatStat(record, 'maxHp');
+    const hp = record.hp ?? maxHp;
+    const ratio = Math.max(0, Math.min(1, hp / maxHp));
+
+    const ctx = this.healthBarCanvas.getContext('2d');
+    const { width, height } = this.healthBarCanvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = ratio > 0.5 ? '#4caf50' : ratio > 0.25 ? '#ffc107' : '#f44336';
+    ctx.fillRect(1, 1, Math.round((width - 2) * ratio), height - 2);
+    this.healthBarTexture.needsUpdate = true;
+  }
+
+  /**
+   * Create the row of status effect badges above the HP bar
+   * @private
+   */
+  _createStatusIcons() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 128;
+      canvas.height = 32;
+      this.statusCanvas = canvas;
+      this.statusTexture = new THREE.CanvasTexture(canvas);
+
+      const material = new THREE.SpriteMaterial({
+        map: this.statusTexture,
+        depthTest: false,
+        transparent: true,
+      });
+      this.statusIcons = new THREE.Sprite(material);
+      this.statusIcons.scale.set(0.8 * this.scale, 0.2 * this.scale, 1);
+      this.statusIcons.position.set(0, 0.78 * this.scale, 0);
+      this.statusIcons.renderOrder = 21;
+      this.group.add(this.statusIcons);
+
+      this._updateStatusIcons();
+    } catch (err) {
+      console.error('[BEAST] Error creating status icons:', err);
+    }
+  }
+
+  /**
+   * Redraw the status badges from the state record
+   * Each badge shows the effect's icon and its stack count when above one.
+   * @private
+   */
+  _updateStatusIcons() {
+    const record = this.getStateRecord();
+    if (!record || !this.statusCanvas) return;
+
+    const statuses = record.statuses || [];
+    const ctx = this.statusCanvas.getContext('2d');
+    const { width, height } = this.statusCanvas;
+    const size = height;
+    ctx.clearRect(0, 0, width, height);
+    this.statusIcons.visible = statuses.length > 0;
+
+    // Centered row, as many badges as fit
+    const shown = statuses.slice(0, Math.floor(width / size));
+    const left = (width - shown.length * size) / 2;
+    shown.forEach((status, index) => {
+      const definition = this.statusRules ? this.statusRules.get(status.id) : null;
+      const x = left + index * size;
+
+      ctx.fillStyle = 'rgba(0,0,0,0.7)';
+      ctx.fillRect(x + 1, 1, size - 2, size - 2);
+      ctx.strokeStyle = definition ? definition.color : '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 2, 2, size - 4, size - 4);
+
+      ctx.font = '18px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(definition ? definition.icon : status.id[0].toUpperCase(), x + size / 2, size / 2);
+
+      if ((status.stacks || 1) > 1) {
+        ctx.font = 'bold 11px monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${status.stacks}`, x + size - 3, size - 2);
+      }
+    });
+    this.statusTexture.needsUpdate = true;
+  }
+
+  /**
+   * Show a short-lived text sprite rising above the beast
+   * @param {string} text - Text to display
+   * @param {string} color - CSS color of the text
+   * @private
+   */
+  _showFloatingText(text, color = '#ffffff') {
+    if (!this.group) return;
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 128;
+      canvas.height = 32;
+      const ctx = canvas.getContext('2d');
+      ctx.font = 'bold 22px monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = '#000000';
+      ctx.strokeText(text, 64, 16);
+      ctx.fillStyle = color;
+      ctx.fillText(text, 64, 16);
+
+      const texture = new THREE.CanvasTexture(canvas);
+      const material = new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true });
+      const label = new THREE.Sprite(material);
+      label.scale.set(1.0, 0.25, 1);
+      label.position.set(0, 0.8 * this.scale, 0);
+      label.renderOrder = 30;
+      this.group.add(label);
+
+      const duration = 1000; // ms
+      const startTime = Date.now();
+      const animate = () => {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        label.position.y = 0.8 * this.scale + progress * 0.6;
+        material.opacity = 1 - progress;
+        if (progress < 1 && this.group) {
+          requestAnimationFrame(animate);
+        } else {
+          if (label.parent) label.parent.remove(label);
+          texture.dispose();
+          material.dispose();
+        }
+      };
+      animate();
+    } catch (err) {
+      console.error('[BEAST] Error showing floating text:', err);
+    }
+  }
+
+  /**
+   * Fade and shrink the beast, then dispose it
+   * @private
+   */
+  _playFaintAnimation() {
+    // Stop reacting to input immediately
+    this.isLoaded = false;
+    if (this.rangeOverlay) this.rangeOverlay.clear();
+    this._playOneShot('hurt');
+
+    const duration = 800; // ms
+    const startTime = Date.now();
+    const sprite = this.actionSprite || this.fallbackSprite;
+    if (sprite && sprite.material) sprite.material.transparent = true;
+
+    const animate = () => {
+      if (!this.group) return;
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      if (sprite && sprite.material) sprite.material.opacity = 1 - progress;
+      const shrink = 1 - progress * 0.5;
+      this.group.scale.set(shrink, shrink, shrink);
+
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      } else {
+        debugLog(`${this.type} Beast faint animation complete`);
+        this.dispose();
+      }
+    };
+    animate();
+  }
+
+  /**
+   * Animate to the position the state says we're at, hex by hex along the path
+   * @param {{q: number, r: number}} to - Destination axial coordinates
+   * @param {Array<{q: number, r: number}>} path - Hexes walked through, ending at the destination
+   * @private
+   */
+  _onStateMoved(to, path = null) {
+    const steps = path && path.length > 0 ? path : [to];
+    const targetHex = this._findHexAtAxialPosition(to.q, to.r);
+    if (!targetHex) {
+      console.warn(`[BEAST] State moved ${this.id} to (${to.q}, ${to.r}) but no hex mesh exists there`);
+      return;
+    }
+
+    this.walkPath(steps);
+    this.currentAxialPos = { q: to.q, r: to.r };
+  }
+
+  /**
+   * Jump to wherever the restored state puts this beast, or leave the board
+   * if the record is gone (an undone summon)
+   * @private
+   */
+  _onStateRestored() {
+    const record = this.getStateRecord();
+    if (!record) {
+      debugLog(`State restored without ${this.id}, disposing view`);
+      this.dispose();
+      return;
+    }
+
+    // Abandon any walk in progress rather than finishing it
+    this._moveToken++;
+    this.isMoving = false;
+
+    const hex = this._findHexAtAxialPosition(record.q, record.r);
+    if (hex) {
+      const position = this._standingPosition(hex);
+      this.position = { x: position.x, y: position.y, z: position.z };
+      this.group.position.set(position.x, position.y, position.z);
+      this.groundHeight = position.ground;
+      if (this.shadow) this._updateShadow(position.y - this.groundHeight);
+    }
+    this.currentAxialPos = { q: record.q, r: record.r };
+    this._updateHealthBar();
+    this._updateStatusIcons();
+  }
+
+  /**
+   * Walk through a list of hexes one at a time
+   * @param {Array<{q: number, r: number}>} steps - Hexes to visit in order
+   * @returns {Promise<void>} - Resolves when the beast reaches the last hex
+   */
+  walkPath(steps) {
+    const positions = steps
+      .map(({ q, r }) => this._findHexAtAxialPosition(q, r))
+      .filter(Boolean)
+      .map(hex => this._standingPosition(hex));
+
+    if (positions.length === 0) return Promise.resolve();
+    debugLog(`${this.type} Beast walking ${positions.length} hex(es)`);
+
+    this._walkPromise = new Promise((resolve) => {
+      // Single hop keeps the original eased tween
+      if (positions.length === 1) {
+        this.moveTo(positions[0], { onComplete: resolve });
+        return;
+      }
+
+      if (this.animations.attack) {
+        this._playOneShot('attack');
+      }
+
+      // Constant speed through the path, easing out on the final hex
+      const walkStep = (index) => {
+        const isLast = index === positions.length - 1;
+        this.moveTo(positions[index], {
+          duration: isLast ? 400 : 250,
+          easing: isLast ? 'easeOut' : 'linear',
+          playAnimation: false,
+          onComplete: isLast ? resolve : () => walkStep(index + 1),
+        });
+      };
+      walkStep(0);
+    });
+    return this._walkPromise;
+  }
+
+  /**
+   * Where the beast stands on a hex, following the hex's elevation
+   * @param {Object} hex - Hex mesh
+   * @returns {{x: number, y: number, z: number, ground: number}}
+   * @private
+   */
+  _standingPosition(hex) {
+    return {
+      x: hex.position.x,
+      y: getHexTopY(hex) + 0.6, // Offset above the hex top
+      z: hex.position.z,
+      ground: hex.userData.height || 0,
+    };
+  }
+
+  /**
+   * Wait for the current walk to finish
+   * @returns {Promise<void>} - Resolves immediately when the beast is standing still
+   */
+  whenIdle() {
+    return this.isMoving && this._walkPromise ? this._walkPromise : Promise.resolve();
+  }
+
   /**
    * Load the animated texture for the beast using pre-made spritesheets
    */
@@ -149,8 +886,9 @@ export class Beast {
         return;
       }
       
-      // Path to the pre-made spritesheet
-      const spritesheetPath = `/assets/Beasts/spritesheets/${this.type}_spritesheet.png`;
+      // Sheet path and layout come from the type definition
+      const layout = this.definition.sprite;
+      const spritesheetPath = layout.sheet;
       console.log(`[BEAST] Loading spritesheet from: ${spritesheetPath}`);
       
       // Load the spritesheet texture
@@ -165,35 +903,22 @@ export class Beast {
             texture.magFilter = THREE.NearestFilter;
             texture.minFilter = THREE.NearestFilter;
             
-            // Define spritesheet data based on beast type
-            // Each frame is 32x32 pixels
-            console.log(`[BEAST] Configuring spritesheet for ${this.type} Beast`);
-            
-            // All beasts use 2x2 layout with 32x32 pixel frames
-            let tilesHoriz = 2; // 2 columns
-            let tilesVert = 2;  // 2 rows
-            let frameCount = 4; // 4 total frames
-            
-            console.log(`[BEAST] Using standard configuration for ${this.type} Beast: 2 columns, 2 rows (4 frames)`);
-            
-            // Note: There's one exception in the Beasts folder, but for now we're focusing on the Fire Beast
-            
             // Log the configuration for debugging
             console.log('[BEAST] Spritesheet configuration:', {
               type: this.type,
-              frameSize: '32x32',
-              columns: tilesHoriz,
-              rows: tilesVert,
-              totalFrames: frameCount
+              frameSize: `${layout.frameSize}x${layout.frameSize}`,
+              columns: layout.columns,
+              rows: layout.rows,
+              totalFrames: layout.frameCount
             });
             
             const spriteSheetData = {
               texture: texture,
-              tilesHoriz: tilesHoriz,
-              tilesVert: tilesVert,
-              frameCount: frameCount,
-              frameSize: 32, // 32x32 pixel frames
-              averageFrameDelay: 30 // 150ms per frame for smoother animation
+              tilesHoriz: layout.columns,
+              tilesVert: layout.rows,
+              frameCount: layout.frameCount,
+              frameSize: layout.frameSize,
+              animations: layout.animations
             };
             
             // Store the sprite sheet data for reference
@@ -274,156 +999,56 @@ export class Beast {
   
   /**
    * Create animations from the sprite sheet data
-   * @param {Object} spriteSheetData - Data from the sprite sheet conversion
+   * Frame ranges and timings come from the definition's sprite.animations
+   * @param {Object} spriteSheetData - Sprite sheet data built from the definition
    * @private
    */
   _createAnimations(spriteSheetData) {
     try {
       console.log('[BEAST] Creating animations from sprite sheet');
       
-      // Calculate the average frame duration in milliseconds
-      // Default to 100ms if not provided
-      const frameDuration = Math.max(50, Math.round((spriteSheetData.averageFrameDelay || 100) * 10));
-      
-      console.log('[BEAST] Animation frame duration:', {
-        averageFrameDelay: spriteSheetData.averageFrameDelay,
-        calculatedDuration: frameDuration
-      });
-      
       // Validate frame count to avoid errors
       if (!spriteSheetData.frameCount || spriteSheetData.frameCount < 1) {
         console.error('[BEAST] Invalid frame count:', spriteSheetData.frameCount);
         return;
       }
       
-      // Create an 'idle' animation using all frames
-      try {
-        this.animations.idle = this.spriteMixer.Action(
-          this.actionSprite,
-          0,                              // Start frame index
-          spriteSheetData.frameCount - 1, // End frame index
-          frameDuration                   // Frame duration in ms
-        );
-        
-        // Set animation properties
-        this.animations.idle.clampWhenFinished = false; // Loop indefinitely
-        this.animations.idle.hideWhenFinished = false;  // Keep visible
-        
-        console.log('[BEAST] Created idle animation:', {
-          frames: spriteSheetData.frameCount,
-          frameDuration: frameDuration,
-          totalDuration: frameDuration * spriteSheetData.frameCount
-        });
-      } catch (err) {
-        console.error('[BEAST] Failed to create idle animation:', err);
-      }
-      
-      // Create animations based on available frames
-      console.log('[BEAST] Creating animations with frame count:', spriteSheetData.frameCount);
-      
-      // For beasts with 4 frames (2x2 layout)
-      if (spriteSheetData.frameCount >= 4) {
-        try {
-          // Create 'attack' animation using first half of frames
-          const attackFrames = Math.ceil(spriteSheetData.frameCount / 2);
-          this.animations.attack = this.spriteMixer.Action(
-            this.actionSprite,
-            0,                  // Start frame
-            attackFrames - 1,   // End frame
-            frameDuration - 10  // Slightly faster
-          );
-          this.animations.attack.clampWhenFinished = true;
-          this.animations.attack.hideWhenFinished = false;
-          this.animations.attack.loop = 0;  // Play once
-          
-          console.log('[BEAST] Created attack animation:', {
-            startFrame: 0,
-            endFrame: attackFrames - 1,
-            frames: attackFrames,
-            frameDuration: frameDuration - 10
-          });
-        } catch (err) {
-          console.error('[BEAST] Failed to create attack animation:', err);
-        }
-        
-        try {
-          // Create 'hurt' animation using second half of frames
-          const attackFrames = Math.ceil(spriteSheetData.frameCount / 2);
-          this.animations.hurt = this.spriteMixer.Action(
-            this.actionSprite,
-            attackFrames,                   // Start frame
-            spriteSheetData.frameCount - 1, // End frame
-            frameDuration + 20              // Slightly slower
-          );
-          this.animations.hurt.clampWhenFinished = true;
-          this.animations.hurt.hideWhenFinished = false;
-          this.animations.hurt.loop = 0;  // Play once
-          
-          console.log('[BEAST] Created hurt animation:', {
-            startFrame: attackFrames,
-            endFrame: spriteSheetData.frameCount - 1,
-            frames: spriteSheetData.frameCount - attackFrames,
-            frameDuration: frameDuration + 20
-          });
-        } catch (err) {
-          console.error('[BEAST] Failed to create hurt animation:', err);
-        }
-      } 
-      // For beasts with only 2 frames (Fire beast with 1x2 layout)
-      else if (spriteSheetData.frameCount === 2) {
-        try {
-          // For the 2-frame case, use both frames for attack
-          this.animations.attack = this.spriteMixer.Action(
-            this.actionSprite,
-            0,                               // Start frame
-            spriteSheetData.frameCount - 1,  // End frame
-            frameDuration - 10               // Slightly faster
-          );
-          
-          // Set animation properties
-          this.animations.attack.clampWhenFinished = true;  // Stop at end
-          this.animations.attack.hideWhenFinished = false;  // Keep visible
-          this.animations.attack.loop = 0;                  // Play once
-          
-          console.log('[BEAST] Created attack animation for 2-frame sprite:', {
-            startFrame: 0,
-            endFrame: spriteSheetData.frameCount - 1,
-            frameDuration: frameDuration - 10,
-            loop: 0
-          });
-        } catch (err) {
-          console.error('[BEAST] Failed to create attack animation for 2-frame sprite:', err);
-        }
-        
+      Object.entries(spriteSheetData.animations).forEach(([name, range]) => {
         try {
-          // Create 'hurt' animation using both frames but with different timing
-          this.animations.hurt = this.spriteMixer.Action(
+          // Clamp to the frames that actually exist in the sheet
+          const lastFrame = spriteSheetData.frameCount - 1;
+          const from = Math.min(Math.max(0, range.from), lastFrame);
+          const to = Math.min(Math.max(from, range.to), lastFrame);
+          const frameDuration = Math.max(50, range.frameDuration || 100);
+
+          this.animations[name] = this.spriteMixer.Action(
             this.actionSprite,
-            0,                               // Start frame
-            spriteSheetData.frameCount - 1,  // End frame
-            frameDuration + 20               // Slower for hurt effect
+            from,          // Start frame index
+            to,            // End frame index
+            frameDuration  // Frame duration in ms
           );
-          
-          // Set animation properties
-          this.animations.hurt.clampWhenFinished = true;  // Stop at end
-          this.animations.hurt.hideWhenFinished = false;  // Keep visible
-          this.animations.hurt.loop = 0;                  // Play once
-          
-          console.log('[BEAST] Created hurt animation for 2-frame sprite:', {
-            startFrame: 0,
-            endFrame: spriteSheetData.frameCount - 1,
-            frameDuration: frameDuration + 20,
-            loop: 0
+
+          // Idle loops forever, everything else plays once and holds
+          const loops = name === 'idle';
+          this.animations[name].clampWhenFinished = !loops;
+          this.animations[name].hideWhenFinished = false;
+          if (!loops) this.animations[name].loop = 0;
+
+          console.log(`[BEAST] Created ${name} animation:`, {
+            startFrame: from,
+            endFrame: to,
+            frames: to - from + 1,
+            frameDuration
           });
         } catch (err) {
-          console.error('[BEAST] Failed to create hurt animation for 2-frame sprite:', err);
+          console.error(`[BEAST] Failed to create ${name} animation:`, err);
         }
-      }
+      });
     } catch (err) {
       console.error('[BEAST] Error creating animations:', err);
     }
   }
-  
+
   /**
    * Play a specific animation
    * @param {string} animationName - Name of the animation to play
@@ -456,6 +1081,30 @@ export class Beast {
     }
   }
   
+  /**
+   * Play a one-shot animation and return to idle when it finishes
+   * SpriteMixer has no removeEventListener, so a single 'finished' listener
+   * per beast is installed on first use and handles every one-shot action.
+   * @param {string} animationName - 'attack' or 'hurt'
+   * @private
+   */
+  _playOneShot(animationName) {
+    if (!this.animations[animationName] || !this.spriteMixer) return;
+
+    if (!this._currentAnimationListener) {
+      console.log('[BEAST] Adding animation finished event listener');
+      this._currentAnimationListener = (event) => {
+        const oneShots = [this.animations.attack, this.animations.hurt];
+        if (event.type === 'finished' && event.action && oneShots.includes(event.action)) {
+          this._playAnimation('idle');
+        }
+      };
+      this.spriteMixer.addEventListener('finished', this._currentAnimationListener);
+    }
+
+    this._playAnimation(animationName);
+  }
+
   /**
    * Create a colored fallback texture when all else fails
    * @private
@@ -518,6 +1167,7 @@ export class Beast {
       // Create a simple sprite with the texture
       const material = new THREE.SpriteMaterial({ map: texture });
       const sprite = new THREE.Sprite(material);
+      this.fallbackSprite = sprite;
       
       // Scale the sprite
       sprite.scale.set(this.scale,this.scale, 1);
@@ -536,197 +1186,219 @@ export class Beast {
 
 
   /**
-   * Create directional arrows pointing to adjacent hexes
-   * @private
+   * Prepare the beast to take move and attack commands on a grid
+   * Input is routed by the SelectionManager, which only forwards clicks and
+   * hovers to the selected beast (see handleHexClick/handleHexHover).
+   * @param {Array} hexagons - Array of hexagons in the scene
    */
-  _createDirectionalIndicators() {
-    console.log("[BEAST] Creating directional movement arrows");
-
-    // Define hex directions
-    this.hexDirections = [
-      { id: 1, name: "North", q: 0, r: -1 },
-      { id: 2, name: "NorthEast", q: 1, r: -1 },
-      { id: 3, name: "SouthEast", q: 1, r: 0 },
-      { id: 4, name: "South", q: 0, r: 1 },
-      { id: 5, name: "SouthWest", q: -1, r: 1 },
-      { id: 6, name: "NorthWest", q: -1, r: 0 },
-    ];
-
-    // Hex grid configuration
-    const hexRadius = 1.0; // Radius of a hex
-    const hexHeight = 0.2; // Height of hex tile
-    const horizontalSpacing = 1.5; // Horizontal spacing between hexes
-    const verticalFactor = 1.0; // Vertical spacing factor
-    const arrowDistance = 0.7; // Controls how far along the vector the arrow is placed
-    const arrowHeight = 0.25; // Height of arrows above the hex plane
-
-    // Create geometry for arrow
-    const arrowGeometry = new THREE.ConeGeometry(0.15, 0.4, 4);
-
-    // Material for arrows
-    const arrowMaterial = new THREE.MeshPhongMaterial({
-      color: 0xffcc00,
-      transparent: true,
-      opacity: 0.9,
-      emissive: 0x996600,
-      specular: 0xffffff,
-    });
-
-    // Create an array to store arrow references
-    this.directionalArrows = [];
+  setupClickHandling(hexagons) {
+    // Store the hexagons reference for movement
+    this.hexagons = hexagons;
 
-    // Function to calculate 3D hex position from axial coordinates
-    const calculateHexPosition = (q, r) => {
-      // For perfect fit in axial coordinate system
-      const x = hexRadius * horizontalSpacing * q;
-      const z = hexRadius * Math.sqrt(3) * verticalFactor * (r + q / 2);
-      const y = hexHeight / 2; // Half height of hex
+    // Current hex position in axial coordinates
+    this.currentAxialPos = { q: 0, r: 0 };
 
-      return new THREE.Vector3(x, y, z);
-    };
+    // Find the hexagon we're currently on
+    this._updateCurrentHexPosition();
 
-    // Create arrows for each direction
-    this.hexDirections.forEach((direction) => {
-      // Calculate target hex position in world space
-      const targetHexPos = calculateHexPosition(direction.q, direction.r);
+    // Reachable-hex highlights, only meaningful when bound to a game state
+    if (this.gameState && this.id) {
+      this.rangeOverlay = new MovementRangeOverlay(this.scene, THREE);
+      this._rangeDirty = true;
+    }
 
-      // Calculate direction vector from beast to target hex
-      const directionVector = new THREE.Vector3().subVectors(
-        targetHexPos,
-        new THREE.Vector3(0, 0, 0),
-      );
+    // Path preview target while hovering a reachable hex
+    this._hoveredPathKey = null;
 
-      // Normalize the direction vector
-      const normalizedDirection = directionVector.clone().normalize();
+    debugLog(`Click handling set up for ${this.type} Beast`);
+  }
 
-      // Calculate arrow position at fraction of distance to hex
-      const arrowPos = new THREE.Vector3().addScaledVector(
-        normalizedDirection,
-        hexRadius * arrowDistance,
-      );
-      arrowPos.y = arrowHeight; // Set fixed height above ground
-
-      // Create arrow mesh
-      const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial.clone());
-
-      // Position arrow
-      arrow.position.copy(arrowPos);
-
-      // Store original target for lookAt
-      const targetPoint = new THREE.Vector3().copy(targetHexPos);
-      targetPoint.y = arrowHeight; // Keep on same plane for correct orientation
-
-      // Point arrow toward target
-      // We need to apply a -90 degree X rotation to account for cone's default orientation
-      arrow.lookAt(targetPoint);
-      arrow.rotateX(Math.PI / 2);
-
-      // Make arrow interactive
-      arrow.userData = {
-        direction: direction.name,
-        directionId: direction.id,
-        moveOffset: { q: direction.q, r: direction.r },
-        isMovementArrow: true,
-        targetHexPos: targetHexPos.clone(),
-      };
+  /**
+   * Select or deselect the beast; only a selected beast shows its range
+   * @param {boolean} selected - Whether the beast is now selected
+   */
+  setSelected(selected) {
+    if (this.isSelected === selected) return;
+    this.isSelected = selected;
+    this._rangeDirty = true;
+    this._hoveredPathKey = null;
+    if (this.selectionRing) this.selectionRing.visible = selected;
+    debugLog(`${this.type} Beast ${selected ? 'selected' : 'deselected'}`);
+  }
 
-      // Add to the group
-      this.group.add(arrow);
+  /**
+   * Hide the move/attack range while an ability is being aimed
+   * @param {boolean} targeting - Whether an ability is being aimed
+   */
+  setTargeting(targeting) {
+    if (this.isTargeting === targeting) return;
+    this.isTargeting = targeting;
+    this._rangeDirty = true;
+    this._hoveredPathKey = null;
+  }
 
-      // Store arrow reference
-      this.directionalArrows.push({
-        mesh: arrow,
-        direction: direction.name,
-        directionId: direction.id,
-        coordinates: { q: direction.q, r: direction.r },
-        targetPosition: targetHexPos.clone(),
+  /**
+   * Act on a clicked hex: move to a reachable one, attack an enemy on it
+   * @param {Object} targetHex - Clicked hex mesh
+   * @returns {boolean} - Whether the click was a command for this beast
+   */
+  handleHexClick(targetHex) {
+    // Only process if beast is loaded and showing its range
+    if (!this.isLoaded || !this.rangeOverlay || !this.rangeOverlay.isVisible()) return false;
+
+    const { q, r } = targetHex.userData;
+    const kind = this.rangeOverlay.getHighlightKind(q, r);
+
+    if (kind === 'attack') {
+      this.requestAttack(q, r);
+      return true;
+    } else if (kind === 'move') {
+      const from = { ...this.currentAxialPos };
+      if (!this.requestMove(q, r)) return true;
+
+      // Log the move for debugging
+      console.log(`[BEAST] Moving to new hex:`, {
+        from,
+        to: { q, r },
+        hexPosition: {
+          x: targetHex.position.x.toFixed(2),
+          y: targetHex.position.y.toFixed(2),
+          z: targetHex.position.z.toFixed(2),
+        },
+        hexElement: targetHex.userData.element,
       });
-    });
+      return true;
+    }
+    return false;
   }
 
   /**
-   * Set up click detection for beast arrows
-   * @param {Array} hexagons - Array of hexagons in the scene
+   * Draw the path preview to the reachable hex under the mouse
+   * @param {Object|null} hex - Hovered hex mesh, null when off the grid
    */
-  setupClickHandling(hexagons) {
-    // Store the hexagons reference for movement
-    this.hexagons = hexagons;
+  handleHexHover(hex) {
+    if (!this.isLoaded || !this.rangeOverlay || !this.rangeOverlay.isVisible()) return;
 
-    // Create raycaster for click detection
-    this.raycaster = new THREE.Raycaster();
+    const { q, r } = hex ? hex.userData : {};
+    const key = hex && this.rangeOverlay.getHighlightKind(q, r) === 'move' ? hexKey(q, r) : null;
 
-    // Current hex position in axial coordinates
-    this.currentAxialPos = { q: 0, r: 0 };
+    // Only recompute when the hovered destination changes
+    if (key === this._hoveredPathKey) return;
+    this._hoveredPathKey = key;
 
-    // Find the hexagon we're currently on
-    this._updateCurrentHexPosition();
+    if (!key) {
+      this.rangeOverlay.clearPath();
+      return;
+    }
 
-    // Set up click listener
-    window.addEventListener("click", this._handleClick.bind(this));
+    const route = findPath(this.gameState, this.id, { q, r }, { terrainCosts: this.terrainCosts });
+    if (!route) {
+      this.rangeOverlay.clearPath();
+      return;
+    }
 
-    debugLog(`Click handling set up for ${this.type} Beast`);
+    const start = this._findHexAtAxialPosition(this.currentAxialPos.q, this.currentAxialPos.r);
+    const hexes = [start, ...route.path.map(step => this._findHexAtAxialPosition(step.q, step.r))];
+    this.rangeOverlay.showPath(hexes.filter(Boolean));
   }
 
   /**
-   * Handle click events for beast movement
-   * @private
+   * Rebuild the range overlay from the current state
+   * While selected, shows reachable hexes if a move is available and enemies
+   * we can attack
    */
-  _handleClick(event) {
-    // Only process if beast is loaded
-    if (!this.isLoaded) return;
-
-    // Calculate mouse position in normalized device coordinates (-1 to +1)
-    const mouse = new THREE.Vector2();
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-    // Update the picking ray
-    this.raycaster.setFromCamera(mouse, this.camera);
-
-    // Find intersections with directional arrows
-    const arrowMeshes = this.directionalArrows.map((arrow) => arrow.mesh);
-    const intersects = this.raycaster.intersectObjects(arrowMeshes, false);
-
-    // If an arrow was clicked
-    if (intersects.length > 0) {
-      const clickedArrow = intersects[0].object;
-
-      // Calculate the new axial position
-      const newQ = this.currentAxialPos.q + clickedArrow.userData.moveOffset.q;
-      const newR = this.currentAxialPos.r + clickedArrow.userData.moveOffset.r;
-
-      // Find the corresponding hex at this position
-      const targetHex = this._findHexAtAxialPosition(newQ, newR);
-
-      if (targetHex) {
-        // Move to the new hex position
-        this.moveTo({
-          x: targetHex.position.x,
-          y: targetHex.position.y + 0.7, // Offset above the hex
-          z: targetHex.position.z,
-        });
+  refreshMovementRange() {
+    this._rangeDirty = false;
+    if (!this.rangeOverlay) return;
+
+    // Unselected beasts keep the board clear for the one being commanded,
+    // and an ability being aimed draws its own targets
+    if (!this.isSelected || this.isTargeting) {
+      this.rangeOverlay.clear();
+      return;
+    }
 
-        // Update current axial position
-        this.currentAxialPos = { q: newQ, r: newR };
-
-        // Log the move for debugging
-        console.log(`[BEAST] Moving to new hex:`, {
-          from: {
-            q: this.currentAxialPos.q - clickedArrow.userData.moveOffset.q,
-            r: this.currentAxialPos.r - clickedArrow.userData.moveOffset.r,
-          },
-          to: { q: newQ, r: newR },
-          hexPosition: {
-            x: targetHex.position.x.toFixed(2),
-            y: targetHex.position.y.toFixed(2),
-            z: targetHex.position.z.toFixed(2),
-          },
-          hexElement: targetHex.userData.element,
-        });
-      } else {
-        console.warn(`[BEAST] No hex found at q=${newQ}, r=${newR}`);
+    const moveHexes = [];
+    if (this.canMove()) {
+      getReachableHexes(this.gameState, this.id, { terrainCosts: this.terrainCosts }).forEach(({ q, r }) => {
+        const hex = this._findHexAtAxialPosition(q, r);
+        if (hex) moveHexes.push(hex);
+      });
+    }
+
+    const attackHexes = [];
+    if (!this.isMoving) {
+      this.gameState.getBeasts(beast => beast.id !== this.id).forEach(beast => {
+        if (!this.canAttackTarget(beast)) return;
+        const hex = this._findHexAtAxialPosition(beast.q, beast.r);
+        if (hex) attackHexes.push(hex);
+      });
+    }
+
+    this.rangeOverlay.show(moveHexes, attackHexes);
+    this._hoveredPathKey = null;
+    debugLog(`${this.type} Beast range: ${moveHexes.length} reachable, ${attackHexes.length} attackable`);
+  }
+
+  /**
+   * Whether the beast may take a move action right now
+   * Unbound beasts (no state/turn manager) can always move
+   * @returns {boolean}
+   */
+  canMove() {
+    if (this.isMoving) return false;
+    if (!this.turnManager || !this.id) return true;
+    return this.turnManager.canPerform(this.id, 'move');
+  }
+
+  /**
+   * Ask to move to a hex, respecting the turn manager
+   * This is the entry point for player input; moveTo() only animates.
+   * @param {number} q - Destination q coordinate
+   * @param {number} r - Destination r coordinate
+   * @returns {boolean} - Whether the move was accepted
+   */
+  requestMove(q, r) {
+    if (!this.canMove()) {
+      debugLog(`${this.type} Beast cannot move right now`, {
+        isMoving: this.isMoving,
+        actionPoints: this.turnManager && this.id ? this.turnManager.getActionPoints(this.id) : null
+      });
+      return false;
+    }
+
+    const targetHex = this._findHexAtAxialPosition(q, r);
+    if (!targetHex) {
+      console.warn(`[BEAST] No hex found at q=${q}, r=${r}`);
+      return false;
+    }
+
+    if (this.gameState && this.id && this.commandHistory) {
+      // The history checks the path and keeps the move undoable this turn
+      return !!this.commandHistory.execute({ type: COMMAND_TYPES.MOVE, beastId: this.id, q, r });
+    }
+
+    if (this.gameState && this.id) {
+      const route = findPath(this.gameState, this.id, { q, r }, { terrainCosts: this.terrainCosts });
+      if (!route) {
+        debugLog(`No path to (${q}, ${r}) within ${this.type} Beast's movement range`);
+        return false;
+      }
+
+      // Spend the action before recording the move so the state never holds
+      // a move the turn manager did not allow
+      if (this.turnManager && !this.turnManager.spendAction(this.id, 'move')) {
+        return false;
       }
+
+      // Record the move in the state; the beastMoved event walks us along the path
+      return !!this.gameState.moveBeast(this.id, q, r, route.path);
     }
+
+    // Unbound beast: animate directly
+    this.moveTo(this._standingPosition(targetHex));
+    this.currentAxialPos = { q, r };
+    return true;
   }
 
   /**
@@ -734,6 +1406,13 @@ export class Beast {
    * @private
    */
   _updateCurrentHexPosition() {
+    // The state record is authoritative when we have one
+    const record = this.getStateRecord();
+    if (record) {
+      this.currentAxialPos = { q: record.q, r: record.r };
+      return;
+    }
+
     if (!this.hexagons) return;
 
     // Find the closest hex to the beast's current position
@@ -763,6 +1442,14 @@ export class Beast {
     }
   }
 
+  /**
+   * @returns {Object|null} - The hex mesh the beast stands on
+   */
+  getCurrentHex() {
+    if (!this.currentAxialPos) return null;
+    return this._findHexAtAxialPosition(this.currentAxialPos.q, this.currentAxialPos.r) || null;
+  }
+
   /**
    * Find a hex at specified axial coordinates
    * @param {number} q - q axial coordinate
@@ -791,7 +1478,7 @@ export class Beast {
     try {
       // Update shadow based on current height above ground
       if (this.shadow) {
-        const currentHeight = this.group.position.y;
+        const currentHeight = this.group.position.y - this.groundHeight;
         this._updateShadow(currentHeight);
         
         // Ensure shadow is visible and properly positioned
@@ -827,14 +1514,31 @@ export class Beast {
         }
       }
       
-      // Animate the directional arrows
-      if (this.directionalArrows) {
-        // Pulse the arrows by adjusting opacity
-        const pulseFactor = (Math.sin(Date.now() * 0.005) + 1) / 2; // 0 to 1
+      // Show the affinity aura once we've arrived on a matching biome
+      if (this.terrainAffinity && !this.isMoving) {
+        this._updateAffinity();
+      }
+      if (this.affinityAura && this.affinityAura.visible) {
+        const pulse = (Math.sin(Date.now() * 0.004) + 1) / 2; // 0 to 1
+        this.affinityAura.material.opacity = 0.35 + pulse * 0.35;
+        this.affinityAura.scale.setScalar(1 + pulse * 0.08);
+        this.affinityAura.position.y = -this.group.position.y + this.groundHeight + this.shadowHeight + 0.01;
+      }
 
-        this.directionalArrows.forEach((arrow) => {
-          arrow.mesh.material.opacity = 0.4 + pulseFactor * 0.6; // 0.4 to 1.0
-        });
+      // Keep the rings on the ground under the sprite, pulse while selected
+      const groundY = -this.group.position.y + this.groundHeight + this.shadowHeight + 0.01;
+      if (this.teamRing) this.teamRing.position.y = groundY;
+      if (this.selectionRing && this.selectionRing.visible) {
+        const pulse = (Math.sin(Date.now() * 0.006) + 1) / 2; // 0 to 1
+        this.selectionRing.material.opacity = 0.5 + pulse * 0.5;
+        this.selectionRing.scale.setScalar(1 + pulse * 0.06);
+        this.selectionRing.position.y = groundY;
+      }
+
+      // Keep the range overlay in sync with the state and pulse it
+      if (this.rangeOverlay) {
+        if (this._rangeDirty) this.refreshMovementRange();
+        this.rangeOverlay.update();
       }
     } catch (err) {
       console.error('[BEAST] Error in update loop:', err, err.stack);
@@ -844,63 +1548,48 @@ export class Beast {
   /**
    * Move the beast to a new hex position
    * @param {Object} newPosition - New position {x, y, z}
+   * @param {Object} options - Optional settings
+   * @param {number} options.duration - Tween length in ms (default 1000)
+   * @param {string} options.easing - 'easeOut' (default) or 'linear'
+   * @param {boolean} options.playAnimation - Play the attack animation as a hop (default true)
+   * @param {Function} options.onComplete - Called when the tween finishes
    */
-  moveTo(newPosition) {
+  moveTo(newPosition, options = {}) {
     debugLog(`[BEAST] Moving ${this.type} Beast to new position`, newPosition);
 
+    const {
+      duration = 1000, // ms
+      easing = 'easeOut',
+      playAnimation = true,
+      onComplete = null,
+    } = options;
+
     try {
       // Play movement animation if available
-      if (this.animations.attack) {
-        this._playAnimation('attack');
-        
-        // Set up a listener to return to idle when attack animation finishes
-        const onAnimationFinished = (event) => {
-          console.log('[BEAST] Animation finished event:', { 
-            type: event.type, 
-            action: event.action,
-            isAttackAnimation: event.action === this.animations.attack
-          });
-          
-          if (event.type === 'finished' && event.action === this.animations.attack) {
-            this._playAnimation('idle');
-            
-            // Check if removeEventListener exists before calling it
-            if (this.spriteMixer && typeof this.spriteMixer.removeEventListener === 'function') {
-              console.log('[BEAST] Removing animation finished event listener');
-              this.spriteMixer.removeEventListener('finished', onAnimationFinished);
-            } else {
-              console.warn('[BEAST] Cannot remove event listener - method not available');
-              // Store the listener to avoid adding duplicates
-              this._currentAnimationListener = onAnimationFinished;
-            }
-          }
-        };
-        
-        // Add the listener if not already added
-        if (!this._currentAnimationListener) {
-          console.log('[BEAST] Adding animation finished event listener');
-          this.spriteMixer.addEventListener('finished', onAnimationFinished);
-          this._currentAnimationListener = onAnimationFinished;
-        } else {
-          console.log('[BEAST] Animation listener already exists, reusing');
-        }
+      if (playAnimation && this.animations.attack) {
+        this._playOneShot('attack');
       }
 
       // Update current position
       this.position = {
         x: newPosition.x,
-        y: this.position.y, // Keep the same y
+        y: newPosition.y,
         z: newPosition.z,
       };
 
       // Animate the movement
-      const duration = 1000; // ms
       const startTime = Date.now();
+      const token = ++this._moveToken;
+      this.isMoving = true;
+      this._rangeDirty = true;
       const startPos = {
         x: this.group.position.x,
         y: this.group.position.y,
         z: this.group.position.z,
       };
+      // The shadow slides between hex heights along with the sprite
+      const startGround = this.groundHeight;
+      const endGround = newPosition.ground ?? startGround;
       
       console.log('[BEAST] Starting movement animation:', {
         from: startPos,
@@ -910,11 +1599,13 @@ export class Beast {
 
       // Animation function
       const animate = () => {
+        // A newer tween or a state restore took over
+        if (token !== this._moveToken) return;
         const elapsed = Date.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
 
-        // Ease function (ease-out cubic)
-        const easeOut = 1 - Math.pow(1 - progress, 3);
+        // Ease function (ease-out cubic, or constant speed while walking a path)
+        const easeOut = easing === 'linear' ? progress : 1 - Math.pow(1 - progress, 3);
 
         // Update position
         this.group.position.x =
@@ -923,11 +1614,12 @@ export class Beast {
           startPos.y + (newPosition.y - startPos.y) * easeOut;
         this.group.position.z =
           startPos.z + (newPosition.z - startPos.z) * easeOut;
+        this.groundHeight = startGround + (endGround - startGround) * easeOut;
           
         // Enhanced shadow updates during movement animation
         if (this.shadow) {
           // Get the current beast height for shadow calculations
-          const currentHeight = this.group.position.y;
+          const currentHeight = this.group.position.y - this.groundHeight;
           
           // Update shadow with enhanced positioning and effects
           this._updateShadow(currentHeight);
@@ -955,9 +1647,13 @@ export class Beast {
           requestAnimationFrame(animate);
         } else {
           debugLog(`[BEAST] ${this.type} Beast movement complete`);
+          this.isMoving = false;
+          this._rangeDirty = true;
           
           // Update the current hex position after movement completes
           this._updateCurrentHexPosition();
+
+          if (onComplete) onComplete();
         }
       };
 
@@ -967,7 +1663,11 @@ export class Beast {
       console.error('[BEAST] Error during movement animation:', err);
       
       // Fallback: immediately move to position without animation
-      this.group.position.set(newPosition.x, this.position.y, newPosition.z);
+      this.group.position.set(newPosition.x, newPosition.y, newPosition.z);
+      this.groundHeight = newPosition.ground ?? this.groundHeight;
+      this.isMoving = false;
+      this._rangeDirty = true;
+      if (onComplete) onComplete();
     }
   }
 
@@ -1053,7 +1753,7 @@ export class Beast {
       this.shadow.name = 'beast-enhanced-shadow';
       
       // Initially position the shadow with proper height offset
-      const height = this.group.position.y;
+      const height = this.group.position.y - this.groundHeight;
       this._updateShadow(height);
       
       // Save beast reference
@@ -1092,7 +1792,7 @@ export class Beast {
   /**
    * Updates the shadow position, scale, and appearance based on beast height
    * Enhanced with better height handling and visual properties
-   * @param {number} height - Current height of the beast above ground
+   * @param {number} height - Current height of the beast above the hex it stands on
    * @private
    */
   _updateShadow(height) {
@@ -1193,6 +1893,11 @@ export class Beast {
     debugLog(`[BEAST] Disposing ${this.type} Beast`);
 
     try {
+      // Stop listening to the game state
+      this._stateUnsubscribers.forEach((unsubscribe) => unsubscribe());
+      this._stateUnsubscribers = [];
+      this.isLoaded = false;
+
       // Stop any playing animations
       if (this.currentAnimation) {
         this.currentAnimation.stop();
@@ -1245,16 +1950,46 @@ export class Beast {
         console.log('[BEAST] Shadow disposed');
       }
       
-      // Remove and dispose directional arrows
-      if (this.directionalArrows) {
-        this.directionalArrows.forEach((arrow) => {
-          this.group.remove(arrow.mesh);
-          if (arrow.mesh) {
-            if (arrow.mesh.geometry) arrow.mesh.geometry.dispose();
-            if (arrow.mesh.material) arrow.mesh.material.dispose();
-          }
-        });
-        this.directionalArrows = [];
+      // Remove and dispose the HP bar
+      if (this.healthBar) {
+        this.group.remove(this.healthBar);
+        this.healthBar.material.dispose();
+        this.healthBarTexture.dispose();
+        this.healthBar = null;
+        this.healthBarCanvas = null;
+      }
+
+      // Remove and dispose the status badges
+      if (this.statusIcons) {
+        this.group.remove(this.statusIcons);
+        this.statusIcons.material.dispose();
+        this.statusTexture.dispose();
+        this.statusIcons = null;
+        this.statusCanvas = null;
+      }
+
+      // Remove and dispose the affinity aura
+      if (this.affinityAura) {
+        this.group.remove(this.affinityAura);
+        this.affinityAura.geometry.dispose();
+        this.affinityAura.material.dispose();
+        this.affinityAura = null;
+      }
+
+      // Remove and dispose the team and selection rings
+      [this.teamRing, this.selectionRing].forEach((ring) => {
+        if (!ring) return;
+        this.group.remove(ring);
+        ring.geometry.dispose();
+        ring.material.dispose();
+      });
+      this.teamRing = null;
+      this.selectionRing = null;
+
+      // Remove the range highlights from the grid
+      if (this.rangeOverlay) {
+        this.rangeOverlay.dispose();
+        this.rangeOverlay = null;
       }
 
       // Remove group from scene
@@ -1273,9 +2008,10 @@ export class Beast {
    * Find a random hex of specified element type from an array of hexagons
    * @param {Array} hexagons - Array of hex objects
    * @param {string} elementType - The element type to look for
+   * @param {Function} random - Returns a float in [0, 1), e.g. a seeded stream's next
    * @returns {Object|null} The found hex or null
    */
-  static findRandomHexOfElement(hexagons, elementType) {
+  static findRandomHexOfElement(hexagons, elementType, random = Math.random) {
     debugLog(
       `Finding random ${elementType} hex from ${hexagons.length} hexagons`,
     );
@@ -1291,7 +2027,7 @@ export class Beast {
     }
 
     // Select random hex from matching hexes
-    const randomIndex = Math.floor(Math.random() * matchingHexes.length);
+    const randomIndex = Math.floor(random() * matchingHexes.length);
     const selectedHex = matchingHexes[randomIndex];
 
     debugLog(
@@ -0,0 +1,638 @@
+/**
+ * AI.js
+ * Computer opponent: a utility AI that plays a player's turn through the same
+ * commands a human issues (see Commands.js).
+ *
+ * The AI only ever looks at getPlayerView() for its player, so it knows what
+ * that player's team could see on screen and nothing more. Boards are scored
+ * with evaluateState(): beasts and their health on each side, banked
+ * crystals, the damage enemies could deal next turn (threat) against the
+ * damage we could deal (opportunity), biome affinity, distances to the
+ * nearest enemy and crystal, and while no enemy is in sight, how much of the
+ * map it sees.
+ *
+ * How the next command is picked depends on the player's difficulty:
+ *   easy    any legal command at random, ending the turn now and then
+ *   normal  every legal command is tried on a copy of the view and the one
+ *           raising the score the most runs, until nothing gains more than
+ *           minGain (one ply)
+ *   hard    alpha-beta search over sequences of commands, including ending
+ *           the turn and the visible enemies' replies, deepening until the
+ *           time budget runs out
+ *
+ * Weights, pacing and search limits live in /assets/data/ai.json. Players are
+ * handed to the AI by giving them the "ai" controller in the match
+ * definition; their record's difficulty field picks the level.
+ *
+ * Events emitted (on the AIController):
+ *   aiTurnStarted  { playerId }
+ *   commandChosen  { playerId, command, score }
+ *   aiTurnFinished { playerId, actions }
+ */
+import { loadJSON } from './DataLoader.js';
+import { EventEmitter } from './EventEmitter.js';
+import { GameState } from './GameState.js';
+import { TurnManager, TURN_PHASES } from './TurnManager.js';
+import { CrystalManager } from './CrystalManager.js';
+import { StatusEffectManager } from './StatusEffects.js';
+import { PLAYER_CONTROLLERS } from './MatchDefinition.js';
+import { hexDistance } from './HexGrid.js';
+import { getReachableHexes, getMovementRange } from './Movement.js';
+import { calculateDamage, getCombatStat } from './Combat.js';
+import { isAbilityReady, getTargetableHexes } from './Abilities.js';
+import { getFreeSpawnHexes } from './Summoning.js';
+import { getVisibleHexes, getPlayerView } from './Vision.js';
+import { AFFINITY } from './TerrainAffinity.js';
+import { COMMAND_TYPES, checkCommand, executeCommand } from './Commands.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[AI] ${message}`, data);
+  } else {
+    console.log(`[AI] ${message}`);
+  }
+}
+
+/**
+ * Default location of the AI data file
+ */
+export const AI_URL = '/assets/data/ai.json';
+
+/**
+ * Selectable computer opponent levels
+ */
+export const AI_DIFFICULTIES = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+};
+
+/**
+ * Values used when the data file is missing or incomplete
+ */
+export const DEFAULT_AI_CONFIG = {
+  difficulty: AI_DIFFICULTIES.NORMAL,
+  weights: {
+    beast: 10,
+    health: 10,
+    crystals: 5,
+    threat: 4,
+    opportunity: 5,
+    terrain: 1.5,
+    enemyDistance: 0.4,
+    crystalDistance: 0.3,
+    vision: 0.05,
+  },
+  distanceCap: 8,
+  minGain: 0.05,
+  maxActionsPerTurn: 24,
+  turnDelay: 800,
+  actionDelay: 600,
+  easy: {
+    endTurnChance: 0.15,
+  },
+  hard: {
+    maxDepth: 4,
+    branching: 6,
+    timeBudget: 1000,
+  },
+};
+
+/**
+ * Simulated damage rolls land in the middle of the variance
+ */
+const EXPECTED_ROLL = () => 0.5;
+
+/**
+ * Load the AI tuning values from their data file
+ * @param {string} url - Location of the AI JSON
+ * @returns {Promise<Object>} - Config merged over DEFAULT_AI_CONFIG
+ */
+export async function loadAIConfig(url = AI_URL) {
+  const data = await loadJSON(url);
+  console.log(`[AI] AI config v${data.version || 1} loaded`);
+  return mergeAIConfig(data);
+}
+
+/**
+ * Fill in defaults for anything a config leaves out
+ * @param {Object} config - Partial AI config
+ * @returns {Object}
+ */
+export function mergeAIConfig(config = {}) {
+  return {
+    ...DEFAULT_AI_CONFIG,
+    ...config,
+    weights: { ...DEFAULT_AI_CONFIG.weights, ...(config.weights || {}) },
+    easy: { ...DEFAULT_AI_CONFIG.easy, ...(config.easy || {}) },
+    hard: { ...DEFAULT_AI_CONFIG.hard, ...(config.hard || {}) },
+  };
+}
+
+/**
+ * Whether the computer plays for a player
+ * @param {Object|null} player - Player record
+ * @returns {boolean}
+ */
+export function isAIPlayer(player) {
+  return !!player && player.controller === PLAYER_CONTROLLERS.AI;
+}
+
+/**
+ * Build a throwaway copy of a snapshot with its own turn rules attached
+ * Crystal pickups and terrain hazards run as they would in the match, so
+ * their effects show up in the evaluation. The search runs these rule
+ * modules thousands of times per decision, which is why their per-action
+ * logging (combat, summons, turns, pickups, ticks) sits behind each file's
+ * DEBUG flag.
+ * @param {Object} snapshot - GameState.toJSON() or getPlayerView() output
+ * @param {Object} options - See planNextCommand()
+ * @returns {{state: GameState, turnManager: TurnManager, context: Object}}
+ */
+export function createSimulation(snapshot, options = {}) {
+  const state = GameState.fromJSON(snapshot);
+  const turnManager = new TurnManager(state, { actionPoints: options.actionPoints });
+  new CrystalManager(state, null, options.crystalConfig);
+  if (options.rules && options.rules.statusRules) {
+    new StatusEffectManager(state, turnManager, options.rules.statusRules);
+  }
+
+  // The copy only holds what the player can see, there is no fog left to check
+  const rules = { ...(options.rules || {}), fogOfWar: null, random: EXPECTED_ROLL };
+  return { state, turnManager, context: { state, turnManager, rules } };
+}
+
+/**
+ * Fraction of its max HP a beast has left
+ * @param {Object} beast - Beast record
+ * @returns {number}
+ */
+function getHealthRatio(beast) {
+  const maxHp = getCombatStat(beast, 'maxHp');
+  return Math.max(0, beast.hp ?? maxHp) / maxHp;
+}
+
+/**
+ * Distance from a hex to the nearest of a list of hexes
+ * @param {{q: number, r: number}} from - Start hex
+ * @param {Array<{q: number, r: number}>} targets - Candidate hexes
+ * @returns {number} - Infinity for an empty list
+ */
+function nearestDistance(from, targets) {
+  return targets.reduce((nearest, target) => Math.min(nearest, hexDistance(from, target)), Infinity);
+}
+
+/**
+ * HP bars an attacker could take off a defender within one move and attack
+ * @param {GameState} state - The game state
+ * @param {Object} attacker - Attacking beast record
+ * @param {Object} defender - Defending beast record
+ * @param {Object} rules - elementChart and terrainAffinity
+ * @returns {number} - 0 when the defender is out of reach
+ */
+function getReachableDamage(state, attacker, defender, rules) {
+  const reach = getMovementRange(attacker) + getCombatStat(attacker, 'attackRange');
+  if (hexDistance(attacker, defender) > reach) return 0;
+
+  const { damage } = calculateDamage(attacker, defender, rules.elementChart, {
+    state,
+    terrainAffinity: rules.terrainAffinity,
+    random: EXPECTED_ROLL,
+  });
+  const maxHp = getCombatStat(defender, 'maxHp');
+  return Math.min(damage, defender.hp ?? maxHp) / maxHp;
+}
+
+/**
+ * Score a board from one player's point of view; higher is better for them
+ * @param {GameState} state - State to score (normally a copy of the player's view)
+ * @param {string} playerId - Player to score for
+ * @param {Object} options - Optional settings
+ * @param {Object} options.rules - elementChart, terrainAffinity, visionRules
+ * @param {Object} options.config - AI config (default DEFAULT_AI_CONFIG)
+ * @returns {number}
+ */
+export function evaluateState(state, playerId, options = {}) {
+  const rules = options.rules || {};
+  const config = options.config || DEFAULT_AI_CONFIG;
+  const weights = config.weights;
+  const cap = config.distanceCap;
+
+  const player = state.getPlayer(playerId);
+  const own = state.getBeasts(beast => state.areAllies(beast.owner, playerId));
+  const enemies = state.getBeasts(beast => !state.areAllies(beast.owner, playerId));
+  const crystals = state.getTiles().filter(tile => tile.crystal);
+
+  const affinityScore = (beast) => {
+    if (!rules.terrainAffinity) return 0;
+    const affinity = rules.terrainAffinity.getBeastAffinity(state, beast);
+    if (affinity === AFFINITY.MATCHING) return 1;
+    return affinity === AFFINITY.OPPOSING ? -1 : 0;
+  };
+
+  let score = ((player && player.crystals) || 0) * weights.crystals;
+
+  own.forEach(beast => {
+    score += weights.beast + weights.health * getHealthRatio(beast);
+    score += weights.terrain * affinityScore(beast);
+    if (enemies.length > 0) {
+      score -= weights.enemyDistance * Math.min(cap, nearestDistance(beast, enemies));
+    }
+    if (crystals.length > 0) {
+      score -= weights.crystalDistance * Math.min(cap, nearestDistance(beast, crystals));
+    }
+
+    enemies.forEach(enemy => {
+      score -= weights.threat * getReachableDamage(state, enemy, beast, rules);
+      score += weights.opportunity * getReachableDamage(state, beast, enemy, rules);
+    });
+  });
+
+  enemies.forEach(enemy => {
+    score -= weights.beast + weights.health * getHealthRatio(enemy);
+    score -= weights.terrain * affinityScore(enemy);
+  });
+
+  // Scouting only matters until the enemy has been found
+  if (weights.vision && rules.visionRules && enemies.length === 0) {
+    score += weights.vision * getVisibleHexes(state, playerId, rules.visionRules).size;
+  }
+
+  return score;
+}
+
+/**
+ * Every command a player could issue right now
+ * @param {Object} context - { state, turnManager, rules }, see Commands.js
+ * @param {string} playerId - Acting player
+ * @returns {Array<Object>} - Commands that pass checkCommand(), without endTurn
+ */
+export function getCandidateCommands(context, playerId) {
+  const { state, turnManager, rules } = context;
+  const commands = [];
+
+  state.getBeastsByOwner(playerId).forEach(beast => {
+    // Reachable hexes are exactly the ones a path exists to (see Pathfinding.js)
+    if (!turnManager || turnManager.canPerform(beast.id, 'move')) {
+      getReachableHexes(state, beast.id, { terrainCosts: rules.terrainCosts }).forEach(({ q, r }) => {
+        commands.push({ type: COMMAND_TYPES.MOVE, beastId: beast.id, q, r });
+      });
+    }
+
+    state.getBeasts(target => !state.areAllies(target.owner, playerId)).forEach(target => {
+      const command = { type: COMMAND_TYPES.ATTACK, beastId: beast.id, targetId: target.id };
+      if (checkCommand(context, command).ok) commands.push(command);
+    });
+
+    if (rules.abilities) {
+      const abilityOptions = { ...rules, turnManager };
+      rules.abilities.getBeastAbilities(beast).forEach(ability => {
+        if (!isAbilityReady(state, beast.id, ability.id, abilityOptions).ok) return;
+        getTargetableHexes(state, beast.id, ability, abilityOptions).forEach(({ q, r }) => {
+          commands.push({ type: COMMAND_TYPES.ABILITY, beastId: beast.id, abilityId: ability.id, q, r });
+        });
+      });
+    }
+  });
+
+  // One summon per affordable type; which spawn hex matters little
+  const spawnHex = getFreeSpawnHexes(state, playerId)[0];
+  if (spawnHex && rules.definitions) {
+    Object.keys(rules.definitions).forEach(beastType => {
+      const command = { type: COMMAND_TYPES.SUMMON, playerId, beastType, q: spawnHex.q, r: spawnHex.r };
+      if (checkCommand(context, command).ok) commands.push(command);
+    });
+  }
+
+  return commands;
+}
+
+/**
+ * Key telling commands apart, for options.excluded
+ * @param {Object} command - Command object
+ * @returns {string}
+ */
+function getCommandKey(command) {
+  return JSON.stringify(command);
+}
+
+/**
+ * Candidate commands minus the ones the caller ruled out
+ * @param {Object} context - { state, turnManager, rules }, see Commands.js
+ * @param {string} playerId - Acting player
+ * @param {Object} options - See planNextCommand()
+ * @returns {Array<Object>}
+ */
+function getAllowedCommands(context, playerId, options) {
+  const candidates = getCandidateCommands(context, playerId);
+  const excluded = options.excluded;
+  if (!excluded || excluded.size === 0) return candidates;
+  return candidates.filter(command => !excluded.has(getCommandKey(command)));
+}
+
+/**
+ * Easy level: any legal command, or ending the turn now and then
+ * @param {Object} snapshot - The player's view (getPlayerView() output)
+ * @param {string} playerId - Acting player
+ * @param {Object} options - See planNextCommand(), plus:
+ * @param {Function} options.random - Returns a float in [0, 1), defaults to Math.random
+ * @returns {{command: Object, score: number}|null} - null to end the turn
+ */
+export function pickRandomCommand(snapshot, playerId, options = {}) {
+  const random = options.random || Math.random;
+  const config = options.config || DEFAULT_AI_CONFIG;
+  const { context } = createSimulation(snapshot, options);
+  const candidates = getAllowedCommands(context, playerId, options);
+  if (candidates.length === 0 || random() < config.easy.endTurnChance) return null;
+  return { command: candidates[Math.floor(random() * candidates.length)], score: 0 };
+}
+
+/**
+ * Pick the command that improves a player's evaluation the most
+ * @param {Object} snapshot - The player's view (getPlayerView() output)
+ * @param {string} playerId - Acting player
+ * @param {Object} options - Optional settings
+ * @param {Object} options.rules - Rule objects, see Commands.js
+ * @param {Object} options.config - AI config (default DEFAULT_AI_CONFIG)
+ * @param {Object} options.crystalConfig - Crystal values for simulated pickups
+ * @param {Object} options.actionPoints - Action points per turn, see TurnManager
+ * @param {Set<string>} options.excluded - getCommandKey() of commands not to pick
+ *   (e.g. ones the real state refused although the view allowed them)
+ * @returns {{command: Object, score: number}|null} - Best command and its gain,
+ *   null when nothing can be done
+ */
+export function planNextCommand(snapshot, playerId, options = {}) {
+  const base = createSimulation(snapshot, options);
+  const baseline = evaluateState(base.state, playerId, options);
+  const candidates = getAllowedCommands(base.context, playerId, options);
+
+  let best = null;
+  candidates.forEach(command => {
+    const simulation = createSimulation(snapshot, options);
+    if (!executeCommand(simulation.context, command)) return;
+    const score = evaluateState(simulation.state, playerId, options) - baseline;
+    if (!best || score > best.score) best = { command, score };
+  });
+
+  debugLog(`${playerId}: ${candidates.length} candidate(s), best`, best);
+  return best;
+}
+
+/**
+ * Positions one step after a searched position, best first for the side to move
+ * Ending the turn is always among them, so every node has at least one child.
+ * @param {Object} snapshot - Position to expand
+ * @param {string} playerId - Player the search scores for
+ * @param {Object} options - See searchNextCommand()
+ * @param {Object} search - Deadline and branching of the running search
+ * @returns {{maximizing: boolean, children: Array<{command: Object, snapshot: Object, value: number}>}}
+ *   - maximizing is true when an ally of playerId is to move
+ */
+function expandPosition(snapshot, playerId, options, search) {
+  const { state, context } = createSimulation(snapshot, options);
+  const active = state.turn.activePlayer;
+  const maximizing = state.areAllies(active, playerId);
+
+  const children = [];
+  const tryCommand = (command) => {
+    const simulation = createSimulation(snapshot, options);
+    if (!executeCommand(simulation.context, command)) return;
+    children.push({
+      command,
+      snapshot: simulation.state.toJSON(),
+      value: evaluateState(simulation.state, playerId, options),
+    });
+  };
+
+  for (const command of getCandidateCommands(context, active)) {
+    if (Date.now() > search.deadline) break;
+    tryCommand(command);
+  }
+  // Only the most promising moves are searched deeper
+  children.sort((a, b) => (maximizing ? b.value - a.value : a.value - b.value));
+  children.length = Math.min(children.length, search.branching);
+
+  tryCommand({ type: COMMAND_TYPES.END_TURN, playerId: active });
+  return { maximizing, children };
+}
+
+/**
+ * Minimax value of a position with alpha-beta pruning
+ * Allies of the searching player maximize, everyone else minimizes.
+ * @param {Object} node - { snapshot, value } of the position
+ * @param {number} depth - Commands left to look ahead
+ * @param {number} alpha - Best value the maximizer is already sure of
+ * @param {number} beta - Best value the minimizer is already sure of
+ * @param {string} playerId - Player the search scores for
+ * @param {Object} options - See searchNextCommand()
+ * @param {Object} search - Deadline and branching of the running search
+ * @returns {number}
+ */
+function alphaBeta(node, depth, alpha, beta, playerId, options, search) {
+  if (depth === 0 || Date.now() > search.deadline) return node.value;
+
+  const { maximizing, children } = expandPosition(node.snapshot, playerId, options, search);
+  let best = maximizing ? -Infinity : Infinity;
+
+  for (const child of children) {
+    const value = alphaBeta(child, depth - 1, alpha, beta, playerId, options, search);
+    if (maximizing) {
+      best = Math.max(best, value);
+      alpha = Math.max(alpha, best);
+    } else {
+      best = Math.min(best, value);
+      beta = Math.min(beta, best);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+}
+
+/**
+ * Hard level: search a few commands ahead, including the enemies' replies
+ * Runs depth 1, 2, ... up to hard.maxDepth on copies of the view and keeps
+ * the answer of the deepest search that finished within hard.timeBudget ms.
+ * @param {Object} snapshot - The player's view (getPlayerView() output)
+ * @param {string} playerId - Acting player
+ * @param {Object} options - See planNextCommand()
+ * @returns {{command: Object, score: number, depth: number}|null} - null to end the turn
+ */
+export function searchNextCommand(snapshot, playerId, options = {}) {
+  const config = options.config || DEFAULT_AI_CONFIG;
+  const search = {
+    deadline: Date.now() + config.hard.timeBudget,
+    branching: config.hard.branching,
+  };
+
+  const excluded = options.excluded || new Set();
+  const root = expandPosition(snapshot, playerId, options, search).children
+    .filter(child => !excluded.has(getCommandKey(child.command)));
+  let best = null;
+  for (let depth = 1; depth <= config.hard.maxDepth; depth++) {
+    let alpha = -Infinity;
+    let found = null;
+    for (const child of root) {
+      const value = alphaBeta(child, depth - 1, alpha, Infinity, playerId, options, search);
+      if (!found || value > found.score) found = { command: child.command, score: value, depth };
+      alpha = Math.max(alpha, value);
+    }
+    // A search cut short by the deadline can't be trusted over a finished one
+    if (Date.now() > search.deadline && best) break;
+    best = found;
+    // Search the best move first next time, so pruning cuts more
+    root.sort((a, b) => (a.command === best.command ? -1 : b.command === best.command ? 1 : 0));
+  }
+
+  debugLog(`${playerId}: searched to depth ${best && best.depth}`, best);
+  if (!best || best.command.type === COMMAND_TYPES.END_TURN) return null;
+  return best;
+}
+
+/**
+ * Resolve after a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Class playing the turns of every AI-controlled player
+ */
+export class AIController extends EventEmitter {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Starts AI turns
+   * @param {CommandHistory} commandHistory - Runs the chosen commands, as for a human
+   * @param {Object} options - Optional settings
+   * @param {Object} options.rules - Rule objects (default: the history's)
+   * @param {Object} options.config - AI config, merged over DEFAULT_AI_CONFIG
+   * @param {Object} options.crystalConfig - Crystal values for simulated pickups
+   * @param {Function} options.waitForIdle - Returns a promise that resolves once
+   *   animations have finished, so each action can be watched
+   * @param {Function} options.random - Returns a float in [0, 1) for the easy
+   *   level's picks, defaults to Math.random
+   */
+  constructor(gameState, turnManager, commandHistory, options = {}) {
+    super();
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.commandHistory = commandHistory;
+    this.rules = options.rules || commandHistory.rules;
+    this.config = mergeAIConfig(options.config);
+    this.crystalConfig = options.crystalConfig;
+    this.waitForIdle = options.waitForIdle || (() => Promise.resolve());
+    this.random = options.random || Math.random;
+
+    // Player whose turn is being played, null while waiting
+    this.activePlayer = null;
+    this.disposed = false;
+
+    this._unsubscribe = this.turnManager.on('turnStart', ({ player }) => {
+      if (isAIPlayer(player)) this.playTurn(player.id);
+    });
+  }
+
+  /**
+   * Difficulty a player is played at
+   * @param {string} playerId - Player id
+   * @returns {string} - One of AI_DIFFICULTIES
+   */
+  getDifficulty(playerId) {
+    const player = this.gameState.getPlayer(playerId);
+    const difficulty = player && player.difficulty;
+    return Object.values(AI_DIFFICULTIES).includes(difficulty) ? difficulty : this.config.difficulty;
+  }
+
+  /**
+   * Next command for a player at its difficulty, from what that player can see
+   * @param {string} playerId - Acting player
+   * @param {Set<string>} excluded - getCommandKey() of commands not to pick again
+   * @returns {{command: Object, score: number}|null} - null to end the turn
+   */
+  planNextCommand(playerId, excluded = new Set()) {
+    const view = getPlayerView(this.gameState, playerId, this.rules.visionRules);
+    const options = {
+      rules: this.rules,
+      config: this.config,
+      crystalConfig: this.crystalConfig,
+      actionPoints: this.turnManager.actionPoints,
+      random: this.random,
+      excluded,
+    };
+
+    switch (this.getDifficulty(playerId)) {
+      case AI_DIFFICULTIES.EASY:
+        return pickRandomCommand(view, playerId, options);
+      case AI_DIFFICULTIES.HARD:
+        return searchNextCommand(view, playerId, options);
+      default: {
+        const plan = planNextCommand(view, playerId, options);
+        return plan && plan.score >= this.config.minGain ? plan : null;
+      }
+    }
+  }
+
+  /**
+   * Play one turn: act until nothing is worth doing, then end the turn
+   * @param {string} playerId - Player whose turn it is
+   * @returns {Promise<number>} - Commands executed
+   */
+  async playTurn(playerId) {
+    const turnNumber = this.gameState.turn.number;
+    const isStillOurTurn = () => !this.disposed
+      && this.gameState.turn.number === turnNumber
+      && this.turnManager.getPhase() === TURN_PHASES.MAIN;
+
+    this.activePlayer = playerId;
+    this.emit('aiTurnStarted', { playerId });
+    await wait(this.config.turnDelay);
+
+    // Plans come from the fogged view, so the real state may refuse one
+    // (a hidden beast in the way); those are skipped for the rest of the turn
+    const excluded = new Set();
+    let actions = 0;
+    while (actions < this.config.maxActionsPerTurn && isStillOurTurn()) {
+      const plan = this.planNextCommand(playerId, excluded);
+      if (!plan) break;
+
+      this.emit('commandChosen', { playerId, ...plan });
+      if (!this.commandHistory.execute(plan.command)) {
+        debugLog(`${playerId} could not run its chosen ${plan.command.type}, planning again`, plan.command);
+        excluded.add(getCommandKey(plan.command));
+        continue;
+      }
+      actions++;
+
+      await this.waitForIdle();
+      await wait(this.config.actionDelay);
+    }
+
+    debugLog(`${playerId} (${this.getDifficulty(playerId)}) done after ${actions} action(s)`);
+    this.activePlayer = null;
+    this.emit('aiTurnFinished', { playerId, actions });
+    // The next player's turn starts inside this call
+    if (isStillOurTurn()) {
+      this.commandHistory.execute({ type: COMMAND_TYPES.END_TURN, playerId });
+    }
+    return actions;
+  }
+
+  /**
+   * Stop taking turns; a turn in progress stops after its current action
+   */
+  dispose() {
+    this.disposed = true;
+    this._unsubscribe();
+  }
+}
@@ -0,0 +1,696 @@
+/**
+ * Abilities.js
+ * Elemental abilities: targeting, area shapes, costs, cooldowns and effects.
+ *
+ * Every ability is data in /assets/data/abilities.json, referenced by id from
+ * the beast definitions. An ability is used on a target hex within its range;
+ * its shape turns that hex into the hexes it hits:
+ *   single  - just the target hex
+ *   radius  - every hex within shape.size of the target
+ *   line    - shape.length hexes from the caster toward the target
+ *   cone    - hexes within shape.length of the caster, 60 degrees around the aim
+ *   chain   - the target, then up to shape.bounces jumps to the nearest new
+ *             beast within shape.bounceRange, each hit scaled by shape.falloff
+ * The effects list then runs in order over the beasts in those hexes (or once
+ * on the caster for effects marked "on": "caster", or over every hit hex for
+ * effects marked "on": "hexes"). Effect types are damage, heal, lifesteal,
+ * push, teleport, status (see StatusEffects.js) and transform (see
+ * TerrainTransform.js); new ones can be added with registerEffect().
+ *
+ * Cooldowns live on the beast record (beast.cooldowns, turns left per ability
+ * id) and are counted down by TurnManager at the start of the owner's turn.
+ *
+ * Events emitted (on the GameState):
+ *   abilityUsed { caster, ability, target, hexes, results }
+ */
+import { loadJSON } from './DataLoader.js';
+import { HEX_DIRECTIONS, hexKey, hexDistance, hexRound, hexesInRadius, axialToWorld } from './HexGrid.js';
+import { calculateDamage, applyDamage, getCombatStat } from './Combat.js';
+import { hasLineOfSight, VisionRules } from './Vision.js';
+import { applyStatus, getBlockingStatus } from './StatusEffects.js';
+import { transformTile } from './TerrainTransform.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[ABILITY] ${message}`, data);
+  } else {
+    console.log(`[ABILITY] ${message}`);
+  }
+}
+
+/**
+ * Default location of the abilities data file
+ */
+export const ABILITIES_URL = '/assets/data/abilities.json';
+
+/**
+ * What the target hex of an ability must hold
+ */
+export const TARGET_TYPES = {
+  ENEMY: 'enemy',
+  ALLY: 'ally',
+  SELF: 'self',
+  EMPTY: 'empty',
+  ANY: 'any',
+};
+
+/**
+ * Area shapes an ability can hit
+ */
+export const SHAPE_TYPES = {
+  SINGLE: 'single',
+  RADIUS: 'radius',
+  LINE: 'line',
+  CONE: 'cone',
+  CHAIN: 'chain',
+};
+
+/**
+ * Which beasts inside the area an ability's effects reach
+ */
+export const AFFECTS = {
+  ENEMIES: 'enemies',
+  ALLIES: 'allies',
+  ALL: 'all',
+};
+
+/**
+ * Template for an ability entry, used for anything the data leaves out
+ */
+export const DEFAULT_ABILITY = {
+  name: null,
+  element: null,
+  description: '',
+  range: 1,
+  target: TARGET_TYPES.ENEMY,
+  lineOfSight: false,
+  shape: { type: SHAPE_TYPES.SINGLE },
+  affects: AFFECTS.ENEMIES,
+  cost: { actions: 1, crystals: 0 },
+  cooldown: 0,
+  effects: [],
+};
+
+/**
+ * Fill in defaults and drop invalid values for one ability entry
+ * @param {string} id - Ability id
+ * @param {Object} data - Entry from abilities.json
+ * @returns {Object} - Complete ability
+ */
+function normalizeAbility(id, data = {}) {
+  const ability = {
+    ...DEFAULT_ABILITY,
+    ...data,
+    id,
+    name: data.name || id,
+    shape: { ...DEFAULT_ABILITY.shape, ...(data.shape || {}) },
+    cost: { ...DEFAULT_ABILITY.cost, ...(data.cost || {}) },
+    effects: Array.isArray(data.effects) ? data.effects.map(effect => ({ ...effect })) : [],
+  };
+
+  ['range', 'cooldown'].forEach(field => {
+    if (typeof ability[field] !== 'number' || ability[field] < 0) {
+      console.warn(`[ABILITY] Invalid ${field} for ${id}:`, ability[field]);
+      ability[field] = DEFAULT_ABILITY[field];
+    }
+  });
+  if (!Object.values(TARGET_TYPES).includes(ability.target)) {
+    console.warn(`[ABILITY] Unknown target '${ability.target}' for ${id}`);
+    ability.target = DEFAULT_ABILITY.target;
+  }
+  if (!Object.values(SHAPE_TYPES).includes(ability.shape.type)) {
+    console.warn(`[ABILITY] Unknown shape '${ability.shape.type}' for ${id}`);
+    ability.shape = { ...DEFAULT_ABILITY.shape };
+  }
+  if (!Object.values(AFFECTS).includes(ability.affects)) {
+    console.warn(`[ABILITY] Unknown affects '${ability.affects}' for ${id}`);
+    ability.affects = DEFAULT_ABILITY.affects;
+  }
+  ability.effects = ability.effects.filter(effect => {
+    const known = !!EFFECT_HANDLERS[effect.type];
+    if (!known) console.warn(`[ABILITY] Ignoring unknown effect '${effect.type}' in ${id}`);
+    return known;
+  });
+
+  return ability;
+}
+
+/**
+ * Class holding every ability definition, keyed by id
+ */
+export class AbilityBook {
+  /**
+   * @param {Object} data - Parsed abilities.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.abilities = {};
+    Object.entries(data.abilities || {}).forEach(([id, entry]) => {
+      this.abilities[id] = normalizeAbility(id, entry);
+    });
+  }
+
+  /**
+   * Load the abilities from their data file
+   * @param {string} url - Location of the abilities JSON
+   * @returns {Promise<AbilityBook>}
+   */
+  static async load(url = ABILITIES_URL) {
+    const data = await loadJSON(url);
+    console.log(`[ABILITY] Abilities v${data.version || 1} loaded: ${Object.keys(data.abilities || {}).length} abilities`);
+    return new AbilityBook(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed abilities data
+   * @returns {AbilityBook}
+   */
+  static fromJSON(data) {
+    return new AbilityBook(data);
+  }
+
+  /**
+   * @param {string} abilityId - Ability id
+   * @returns {Object|null}
+   */
+  get(abilityId) {
+    return this.abilities[abilityId] || null;
+  }
+
+  /**
+   * Abilities a beast record knows, skipping ids with no data
+   * @param {Object} beast - Beast record
+   * @returns {Array<Object>}
+   */
+  getBeastAbilities(beast) {
+    return (beast.abilities || []).map(id => this.get(id)).filter(Boolean);
+  }
+
+  /**
+   * @returns {Object} - Data in the abilities JSON format
+   */
+  toJSON() {
+    const abilities = {};
+    Object.entries(this.abilities).forEach(([id, ability]) => {
+      const { id: _id, ...entry } = ability;
+      abilities[id] = JSON.parse(JSON.stringify(entry));
+    });
+    return { version: this.version, abilities };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Shapes
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a beast is reached by an ability's effects
+ * @param {GameState} state - The game state
+ * @param {Object} caster - Caster beast record
+ * @param {Object} ability - Ability definition
+ * @param {Object} beast - Beast in the area
+ * @returns {boolean}
+ */
+export function isAffected(state, caster, ability, beast) {
+  const allied = state.areAllies(caster.owner, beast.owner);
+  if (ability.affects === AFFECTS.ALL) return true;
+  return ability.affects === AFFECTS.ALLIES ? allied : !allied;
+}
+
+/**
+ * Hexes a line from the caster toward the target passes, past the target
+ * if the line is longer than the distance to it
+ * @param {Object} caster - Caster position
+ * @param {Object} target - Aim position
+ * @param {number} length - Hexes in the line
+ * @returns {Array<{q: number, r: number}>}
+ */
+function lineHexes(caster, target, length) {
+  const distance = hexDistance(caster, target);
+  if (distance === 0) return [];
+  const hexes = [];
+  const epsilon = 1e-6;
+  for (let i = 1; i <= length; i++) {
+    const t = i / distance;
+    hexes.push(hexRound(
+      caster.q + epsilon + (target.q - caster.q) * t,
+      caster.r + epsilon + (target.r - caster.r) * t,
+    ));
+  }
+  return hexes;
+}
+
+/**
+ * Hexes within length of the caster and 30 degrees either side of the aim
+ * @param {Object} caster - Caster position
+ * @param {Object} target - Aim position
+ * @param {number} length - Reach of the cone
+ * @returns {Array<{q: number, r: number}>}
+ */
+function coneHexes(caster, target, length) {
+  if (hexDistance(caster, target) === 0) return [];
+  const origin = axialToWorld(caster.q, caster.r);
+  const aim = axialToWorld(target.q, target.r);
+  const aimAngle = Math.atan2(aim.z - origin.z, aim.x - origin.x);
+  const halfWidth = Math.PI / 6 + 1e-6;
+
+  return hexesInRadius(length)
+    .filter(offset => offset.q !== 0 || offset.r !== 0)
+    .map(offset => ({ q: caster.q + offset.q, r: caster.r + offset.r }))
+    .filter(hex => {
+      const position = axialToWorld(hex.q, hex.r);
+      const angle = Math.atan2(position.z - origin.z, position.x - origin.x);
+      const difference = Math.abs(Math.atan2(Math.sin(angle - aimAngle), Math.cos(angle - aimAngle)));
+      return difference <= halfWidth;
+    });
+}
+
+/**
+ * The target, then jumps to the nearest beast the ability affects
+ * @param {GameState} state - The game state
+ * @param {Object} caster - Caster beast record
+ * @param {Object} ability - Ability definition
+ * @param {Object} target - First hex hit
+ * @returns {Array<{q: number, r: number, scale: number}>}
+ */
+function chainHexes(state, caster, ability, target) {
+  const { bounces = 0, bounceRange = 1, falloff = 1 } = ability.shape;
+  const hexes = [{ q: target.q, r: target.r, scale: 1 }];
+  const hit = new Set([hexKey(target.q, target.r)]);
+
+  let current = target;
+  for (let i = 1; i <= bounces; i++) {
+    const next = state.getBeasts(beast =>
+      !hit.has(hexKey(beast.q, beast.r))
+      && beast.id !== caster.id
+      && isAffected(state, caster, ability, beast)
+      && hexDistance(current, beast) <= bounceRange)
+      // Nearest first, ids break ties so replays bounce the same way
+      .sort((a, b) => (hexDistance(current, a) - hexDistance(current, b)) || a.id.localeCompare(b.id))[0];
+    if (!next) break;
+    hexes.push({ q: next.q, r: next.r, scale: Math.pow(falloff, i) });
+    hit.add(hexKey(next.q, next.r));
+    current = next;
+  }
+  return hexes;
+}
+
+/**
+ * Hexes an ability would hit when used on a target hex
+ * Works for any aim point so the targeting UI can preview it on hover.
+ * @param {GameState} state - The game state
+ * @param {Object} caster - Caster beast record
+ * @param {Object} ability - Ability definition
+ * @param {{q: number, r: number}} target - Target hex
+ * @returns {Array<{q: number, r: number, scale: number}>} - On-map hexes with their effect scale
+ */
+export function getAffectedHexes(state, caster, ability, target) {
+  const { shape } = ability;
+  let hexes;
+
+  switch (shape.type) {
+    case SHAPE_TYPES.RADIUS:
+      hexes = hexesInRadius(shape.size ?? 1)
+        .map(offset => ({ q: target.q + offset.q, r: target.r + offset.r }));
+      break;
+    case SHAPE_TYPES.LINE:
+      hexes = [];
+      for (const hex of lineHexes(caster, target, shape.length ?? ability.range)) {
+        // Lines stop at the edge of the map
+        if (!state.getTile(hex.q, hex.r)) break;
+        hexes.push(hex);
+      }
+      break;
+    case SHAPE_TYPES.CONE:
+      hexes = coneHexes(caster, target, shape.length ?? ability.range);
+      break;
+    case SHAPE_TYPES.CHAIN:
+      hexes = chainHexes(state, caster, ability, target);
+      break;
+    default:
+      hexes = [{ q: target.q, r: target.r }];
+  }
+
+  return hexes
+    .filter(hex => state.getTile(hex.q, hex.r))
+    .map(hex => ({ q: hex.q, r: hex.r, scale: hex.scale ?? 1 }));
+}
+
+// ---------------------------------------------------------------------------
+// Effects
+// ---------------------------------------------------------------------------
+
+/**
+ * Neighbour direction pointing most directly from one hex to another
+ * @param {Object} from - Start hex
+ * @param {Object} to - Hex to point at
+ * @returns {{q: number, r: number}|null} - null when both are the same hex
+ */
+function directionTowards(from, to) {
+  if (from.q === to.q && from.r === to.r) return null;
+  const origin = axialToWorld(from.q, from.r);
+  const point = axialToWorld(to.q, to.r);
+  const dx = point.x - origin.x;
+  const dz = point.z - origin.z;
+
+  let best = null;
+  let bestDot = -Infinity;
+  HEX_DIRECTIONS.forEach(direction => {
+    const step = axialToWorld(direction.q, direction.r);
+    const dot = dx * step.x + dz * step.z;
+    if (dot > bestDot) {
+      bestDot = dot;
+      best = direction;
+    }
+  });
+  return best;
+}
+
+/**
+ * Effect handlers by type
+ * Each receives (context, beast, effect, scale); caster effects get the
+ * caster as beast and hex effects get the hit hex { q, r, scale }. context holds { state, caster, ability, target, options,
+ * totalDamage } and handlers return a result entry or null.
+ */
+const EFFECT_HANDLERS = {
+  damage(context, beast, effect, scale) {
+    const { state, caster, ability, options } = context;
+    const hit = calculateDamage(caster, beast, options.elementChart, {
+      random: options.random,
+      state,
+      terrainAffinity: options.terrainAffinity,
+      power: (effect.power ?? 1) * scale,
+      element: ability.element || caster.type,
+    });
+    const result = applyDamage(state, caster, beast, hit, { abilityId: ability.id });
+    context.totalDamage += Math.min(result.damage, result.hpBefore);
+    return { type: 'damage', beastId: beast.id, amount: result.damage, fainted: result.fainted };
+  },
+
+  heal(context, beast, effect, scale) {
+    const maxHp = getCombatStat(beast, 'maxHp');
+    const base = effect.amount ?? Math.round(maxHp * (effect.fraction ?? 0));
+    return healBeast(context.state, beast, Math.round(base * scale));
+  },
+
+  lifesteal(context, beast, effect) {
+    const amount = Math.round(context.totalDamage * (effect.fraction ?? 0.5));
+    return amount > 0 ? healBeast(context.state, beast, amount) : null;
+  },
+
+  push(context, beast, effect) {
+    const { state, caster, options } = context;
+    const direction = directionTowards(caster, beast);
+    if (!direction) return null;
+
+    const path = [];
+    let position = { q: beast.q, r: beast.r };
+    for (let i = 0; i < (effect.distance ?? 1); i++) {
+      const next = { q: position.q + direction.q, r: position.r + direction.r };
+      const tile = state.getTile(next.q, next.r);
+      if (!tile || state.getBeastAt(next.q, next.r)) break;
+      if (options.terrainCosts && !options.terrainCosts.isPassable(beast.type, tile.element)) break;
+      path.push(next);
+      position = next;
+    }
+    if (path.length === 0) return null;
+
+    state.moveBeast(beast.id, position.q, position.r, path);
+    return { type: 'push', beastId: beast.id, to: position };
+  },
+
+  teleport(context, beast) {
+    const { state, target } = context;
+    if (state.getBeastAt(target.q, target.r)) return null;
+    state.moveBeast(beast.id, target.q, target.r, [{ q: target.q, r: target.r }]);
+    return { type: 'teleport', beastId: beast.id, to: { q: target.q, r: target.r } };
+  },
+
+  status(context, beast, effect, scale) {
+    const { state, caster, options } = context;
+    // minScale limits an effect to the full-strength hits of a chain or falloff
+    if (scale < (effect.minScale ?? 0)) return null;
+    const status = applyStatus(state, beast.id, effect.status, {
+      rules: options.statusRules,
+      turns: effect.turns,
+      source: caster.id,
+    });
+    return status ? { type: 'status', beastId: beast.id, status: status.id, turns: status.turns } : null;
+  },
+
+  transform(context, hex, effect) {
+    const { state, caster, ability, options } = context;
+    const tile = state.getTile(hex.q, hex.r);
+    if (!tile) return null;
+    if (effect.from && !effect.from.includes(tile.element)) return null;
+
+    // An explicit "to" wins, otherwise the reaction table decides
+    const element = ability.element || caster.type;
+    const to = effect.to || (options.terrainTransforms ? options.terrainTransforms.getReaction(element, tile.element) : null);
+    const updated = transformTile(state, hex.q, hex.r, to, { reason: 'ability', source: caster.id });
+    return updated ? { type: 'transform', q: hex.q, r: hex.r, from: tile.element, to } : null;
+  },
+};
+
+/**
+ * Restore HP up to the beast's maximum
+ * @param {GameState} state - The game state
+ * @param {Object} beast - Beast record
+ * @param {number} amount - HP to restore
+ * @returns {Object} - Result entry
+ */
+function healBeast(state, beast, amount) {
+  const maxHp = getCombatStat(beast, 'maxHp');
+  const hpBefore = beast.hp ?? maxHp;
+  const hpAfter = Math.min(maxHp, hpBefore + amount);
+  state.updateBeast(beast.id, { hp: hpAfter });
+  return { type: 'heal', beastId: beast.id, amount: hpAfter - hpBefore };
+}
+
+/**
+ * Add or replace an effect type
+ * @param {string} type - Effect type used in abilities.json
+ * @param {Function} handler - (context, beast, effect, scale) => result entry or null
+ */
+export function registerEffect(type, handler) {
+  EFFECT_HANDLERS[type] = handler;
+}
+
+// ---------------------------------------------------------------------------
+// Targeting and use
+// ---------------------------------------------------------------------------
+
+/**
+ * Turns left before a beast can use an ability again
+ * @param {Object} beast - Beast record
+ * @param {string} abilityId - Ability id
+ * @returns {number}
+ */
+export function getCooldown(beast, abilityId) {
+  return (beast.cooldowns && beast.cooldowns[abilityId]) || 0;
+}
+
+/**
+ * Check the target hex alone: range, what stands there, sight
+ * @param {GameState} state - The game state
+ * @param {Object} caster - Caster beast record
+ * @param {Object} ability - Ability definition
+ * @param {number} q - Target q coordinate
+ * @param {number} r - Target r coordinate
+ * @param {Object} options - See canUseAbility()
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function checkAbilityTarget(state, caster, ability, q, r, options = {}) {
+  if (!state.getTile(q, r)) return { ok: false, reason: 'no such hex' };
+  if (hexDistance(caster, { q, r }) > ability.range) return { ok: false, reason: 'target out of range' };
+
+  const occupant = state.getBeastAt(q, r);
+  const seen = !occupant || !options.fogOfWar || options.fogOfWar.canSeeBeast(caster.owner, occupant);
+
+  switch (ability.target) {
+    case TARGET_TYPES.SELF:
+      if (q !== caster.q || r !== caster.r) return { ok: false, reason: 'can only target itself' };
+      break;
+    case TARGET_TYPES.ENEMY:
+      if (!occupant || !seen || state.areAllies(caster.owner, occupant.owner)) {
+        return { ok: false, reason: 'needs an enemy target' };
+      }
+      break;
+    case TARGET_TYPES.ALLY:
+      if (!occupant || !state.areAllies(caster.owner, occupant.owner)) {
+        return { ok: false, reason: 'needs an allied target' };
+      }
+      break;
+    case TARGET_TYPES.EMPTY:
+      // A hidden enemy makes the hex look empty; the effect fizzles on use
+      if (occupant && seen) return { ok: false, reason: 'hex is occupied' };
+      break;
+    default:
+      break;
+  }
+
+  if (ability.lineOfSight && !hasLineOfSight(state, caster, { q, r }, options.visionRules || new VisionRules())) {
+    return { ok: false, reason: 'no line of sight' };
+  }
+
+  return { ok: true, reason: null };
+}
+
+/**
+ * Hexes an ability could be aimed at right now
+ * @param {GameState} state - The game state
+ * @param {string} casterId - Caster beast id
+ * @param {Object} ability - Ability definition
+ * @param {Object} options - See canUseAbility()
+ * @returns {Array<{q: number, r: number}>}
+ */
+export function getTargetableHexes(state, casterId, ability, options = {}) {
+  const caster = state.getBeast(casterId);
+  if (!caster) return [];
+  return hexesInRadius(ability.range)
+    .map(offset => ({ q: caster.q + offset.q, r: caster.r + offset.r }))
+    .filter(hex => checkAbilityTarget(state, caster, ability, hex.q, hex.r, options).ok);
+}
+
+/**
+ * Check everything but the target: turn, ability points, cooldown, crystals
+ * @param {GameState} state - The game state
+ * @param {string} casterId - Caster beast id
+ * @param {string} abilityId - Ability id
+ * @param {Object} options - See canUseAbility()
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function isAbilityReady(state, casterId, abilityId, options = {}) {
+  const caster = state.getBeast(casterId);
+  if (!caster) return { ok: false, reason: 'unknown beast' };
+
+  const ability = options.abilities ? options.abilities.get(abilityId) : null;
+  if (!ability) return { ok: false, reason: 'unknown ability' };
+  if (!(caster.abilities || []).includes(abilityId)) return { ok: false, reason: 'beast does not know this ability' };
+
+  const { turnManager } = options;
+  if (turnManager) {
+    if (!turnManager.isActivePlayer(caster.owner)) return { ok: false, reason: 'not your turn' };
+    const blocking = getBlockingStatus(caster, 'ability');
+    if (blocking) return { ok: false, reason: `blocked by ${blocking.id}` };
+    if (!turnManager.canPerform(casterId, 'ability', ability.cost.actions)) {
+      return { ok: false, reason: 'no ability actions left' };
+    }
+  }
+
+  const cooldown = getCooldown(caster, abilityId);
+  if (cooldown > 0) return { ok: false, reason: `ready in ${cooldown} turn${cooldown === 1 ? '' : 's'}` };
+
+  const player = state.getPlayer(caster.owner);
+  if (ability.cost.crystals > 0 && (!player || (player.crystals || 0) < ability.cost.crystals)) {
+    return { ok: false, reason: `needs ${ability.cost.crystals} crystal${ability.cost.crystals === 1 ? '' : 's'}` };
+  }
+
+  return { ok: true, reason: null };
+}
+
+/**
+ * Check whether a beast may use an ability on a hex right now
+ * @param {GameState} state - The game state
+ * @param {string} casterId - Caster beast id
+ * @param {string} abilityId - Ability id
+ * @param {number} q - Target q coordinate
+ * @param {number} r - Target r coordinate
+ * @param {Object} options - Rules to apply
+ * @param {AbilityBook} options.abilities - Ability definitions
+ * @param {TurnManager} options.turnManager - Checks turn and ability points (optional)
+ * @param {FogOfWar} options.fogOfWar - Enemies in the fog can't be targeted (optional)
+ * @param {VisionRules} options.visionRules - Biomes blocking line of sight (optional)
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function canUseAbility(state, casterId, abilityId, q, r, options = {}) {
+  const ready = isAbilityReady(state, casterId, abilityId, options);
+  if (!ready.ok) return ready;
+  const caster = state.getBeast(casterId);
+  return checkAbilityTarget(state, caster, options.abilities.get(abilityId), q, r, options);
+}
+
+/**
+ * Use an ability: pay its costs, start its cooldown and run its effects
+ * @param {GameState} state - The game state
+ * @param {string} casterId - Caster beast id
+ * @param {string} abilityId - Ability id
+ * @param {number} q - Target q coordinate
+ * @param {number} r - Target r coordinate
+ * @param {Object} options - canUseAbility() options, plus:
+ * @param {ElementChart} options.elementChart - Elemental multipliers for damage
+ * @param {TerrainAffinity} options.terrainAffinity - Biome stat bonuses
+ * @param {TerrainCosts} options.terrainCosts - Impassable biomes stop pushes
+ * @param {Function} options.random - Returns a float in [0, 1) for damage rolls
+ * @param {StatusRules} options.statusRules - Status effect definitions
+ * @param {TerrainTransformRules} options.terrainTransforms - Biome reactions for transform effects
+ * @returns {Object|null} - { abilityId, casterId, target, hexes, results }, null if not allowed
+ */
+export function useAbility(state, casterId, abilityId, q, r, options = {}) {
+  const check = canUseAbility(state, casterId, abilityId, q, r, options);
+  if (!check.ok) {
+    console.warn(`[ABILITY] ${casterId} cannot use ${abilityId} on (${q}, ${r}): ${check.reason}`);
+    return null;
+  }
+
+  const caster = state.getBeast(casterId);
+  const ability = options.abilities.get(abilityId);
+  const target = { q, r };
+
+  if (options.turnManager && !options.turnManager.spendAction(casterId, 'ability', ability.cost.actions)) {
+    return null;
+  }
+  if (ability.cost.crystals > 0) {
+    const player = state.getPlayer(caster.owner);
+    state.updatePlayer(player.id, { crystals: player.crystals - ability.cost.crystals });
+  }
+  if (ability.cooldown > 0) {
+    state.updateBeast(casterId, { cooldowns: { ...(caster.cooldowns || {}), [abilityId]: ability.cooldown } });
+  }
+
+  // Work out who is hit before anything moves or faints
+  const hexes = getAffectedHexes(state, caster, ability, target);
+  const hits = hexes
+    .map(hex => ({ beast: state.getBeastAt(hex.q, hex.r), scale: hex.scale }))
+    .filter(({ beast }) => beast && isAffected(state, caster, ability, beast));
+
+  debugLog(`${caster.type} (${casterId}) uses ${ability.name} on (${q}, ${r}): ${hits.length} beast(s) hit`);
+
+  const context = { state, caster, ability, target, options, totalDamage: 0 };
+  const results = [];
+  ability.effects.forEach(effect => {
+    const handler = EFFECT_HANDLERS[effect.type];
+    if (effect.on === 'caster') {
+      if (!state.getBeast(casterId)) return;
+      const result = handler(context, caster, effect, 1);
+      if (result) results.push(result);
+      return;
+    }
+    if (effect.on === 'hexes') {
+      hexes.forEach(hex => {
+        const result = handler(context, hex, effect, hex.scale);
+        if (result) results.push(result);
+      });
+      return;
+    }
+    hits.forEach(({ beast, scale }) => {
+      // Earlier effects may have knocked the beast out
+      if (!state.getBeast(beast.id)) return;
+      const result = handler(context, beast, effect, scale);
+      if (result) results.push(result);
+    });
+  });
+
+  debugLog(`${ability.name} results`, results);
+  state.emit('abilityUsed', { caster, ability, target, hexes, results });
+  return { abilityId, casterId, target, hexes, results };
+}
@@ -0,0 +1,176 @@
+/**
+ * BeastDefinitions.js
+ * Per-type beast data: base stats, movement range, abilities, summon cost and
+ * sprite layout.
+ *
+ * Each type has a JSON file in /assets/Beasts/definitions/<Type>.json next to
+ * the spritesheets, so balancing a beast never needs a code change. Missing
+ * fields fall back to DEFAULT_BEAST_DEFINITION.
+ */
+import { loadJSON } from './DataLoader.js';
+import { DEFAULT_COMBAT_STATS } from './Combat.js';
+
+/**
+ * Folder holding one definition file per beast type
+ */
+export const BEAST_DEFINITIONS_PATH = '/assets/Beasts/definitions';
+
+/**
+ * Stats every beast has, used for anything a definition leaves out
+ */
+export const DEFAULT_BEAST_STATS = {
+  ...DEFAULT_COMBAT_STATS,
+  speed: 10,
+  movementRange: 3,
+  sightRange: 4,
+};
+
+/**
+ * Template for a definition file
+ */
+export const DEFAULT_BEAST_DEFINITION = {
+  version: 1,
+  type: null,
+  name: null,
+  element: null,
+  stats: DEFAULT_BEAST_STATS,
+  abilities: [],
+  summonCost: 3,
+  sprite: {
+    sheet: null,
+    columns: 2,
+    rows: 2,
+    frameCount: 4,
+    frameSize: 32,
+    animations: null,
+  },
+};
+
+// Definitions already fetched, keyed by type
+const cache = new Map();
+
+/**
+ * Animation frame ranges used when a definition doesn't list its own:
+ * idle loops every frame, attack/hurt split the sheet in halves
+ * @param {number} frameCount - Frames in the sheet
+ * @returns {Object} - Animations keyed by name
+ */
+export function defaultAnimations(frameCount) {
+  const half = Math.ceil(frameCount / 2);
+  const split = frameCount >= 4;
+  return {
+    idle: { from: 0, to: frameCount - 1, frameDuration: 300 },
+    attack: { from: 0, to: split ? half - 1 : frameCount - 1, frameDuration: 290 },
+    hurt: { from: split ? half : 0, to: frameCount - 1, frameDuration: 320 },
+  };
+}
+
+/**
+ * Fill in defaults and sanity-check a parsed definition file
+ * @param {string} type - Beast type the definition belongs to
+ * @param {Object} data - Parsed definition JSON
+ * @returns {Object} - Complete definition
+ */
+export function normalizeBeastDefinition(type, data = {}) {
+  const stats = { ...DEFAULT_BEAST_STATS, ...(data.stats || {}) };
+  Object.keys(stats).forEach(stat => {
+    if (typeof stats[stat] !== 'number' || stats[stat] < 0) {
+      console.warn(`[BEASTDATA] Invalid ${stat} for ${type}:`, stats[stat]);
+      stats[stat] = DEFAULT_BEAST_STATS[stat] ?? 0;
+    }
+  });
+
+  const sprite = { ...DEFAULT_BEAST_DEFINITION.sprite, ...(data.sprite || {}) };
+  sprite.sheet = sprite.sheet || `/assets/Beasts/spritesheets/${type}_spritesheet.png`;
+  sprite.frameCount = Math.min(sprite.frameCount, sprite.columns * sprite.rows);
+  sprite.animations = sprite.animations || defaultAnimations(sprite.frameCount);
+
+  let summonCost = data.summonCost ?? DEFAULT_BEAST_DEFINITION.summonCost;
+  if (typeof summonCost !== 'number' || summonCost < 0) {
+    console.warn(`[BEASTDATA] Invalid summonCost for ${type}:`, summonCost);
+    summonCost = DEFAULT_BEAST_DEFINITION.summonCost;
+  }
+
+  return {
+    ...DEFAULT_BEAST_DEFINITION,
+    ...data,
+    type,
+    name: data.name || `${type} Beast`,
+    element: data.element || type,
+    stats,
+    abilities: Array.isArray(data.abilities) ? [...data.abilities] : [],
+    summonCost,
+    sprite,
+  };
+}
+
+/**
+ * Fetch a beast type's definition, cached after the first load
+ * Falls back to the defaults if the file is missing so the beast still spawns
+ * @param {string} type - Beast type (e.g. 'Fire')
+ * @returns {Promise<Object>} - Complete definition
+ */
+export async function loadBeastDefinition(type) {
+  if (cache.has(type)) return cache.get(type);
+
+  let definition;
+  try {
+    const data = await loadJSON(`${BEAST_DEFINITIONS_PATH}/${type}.json`);
+    definition = normalizeBeastDefinition(type, data);
+    console.log(`[BEASTDATA] Loaded ${type} definition`, definition.stats);
+  } catch (err) {
+    console.error(`[BEASTDATA] Failed to load ${type} definition, using defaults:`, err);
+    definition = normalizeBeastDefinition(type);
+  }
+
+  cache.set(type, definition);
+  return definition;
+}
+
+/**
+ * Fetch several definitions at once
+ * @param {Array<string>} types - Beast types
+ * @returns {Promise<Object>} - Definitions keyed by type
+ */
+export async function loadBeastDefinitions(types) {
+  const definitions = await Promise.all(types.map(type => loadBeastDefinition(type)));
+  const byType = {};
+  definitions.forEach(definition => {
+    byType[definition.type] = definition;
+  });
+  return byType;
+}
+
+/**
+ * Get a definition that was already loaded, without fetching
+ * @param {string} type - Beast type
+ * @returns {Object|null}
+ */
+export function getBeastDefinition(type) {
+  return cache.get(type) || null;
+}
+
+/**
+ * Register a definition directly, e.g. from a file read in Node
+ * @param {string} type - Beast type
+ * @param {Object} data - Parsed definition JSON
+ * @returns {Object} - Complete definition
+ */
+export function registerBeastDefinition(type, data) {
+  const definition = normalizeBeastDefinition(type, data);
+  cache.set(type, definition);
+  return definition;
+}
+
+/**
+ * Fields a new beast record starts with, taken from its definition
+ * @param {Object} definition - Complete definition
+ * @returns {{hp: number, stats: Object, abilities: Array<string>}}
+ */
+export function createBeastStats(definition) {
+  return {
+    hp: definition.stats.maxHp,
+    stats: { ...definition.stats },
+    abilities: [...definition.abilities],
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Combat.js
+ * Attack validation and damage resolution between beasts.
+ *
+ * Works purely on GameState records so the same rules drive live play,
+ * AI evaluation and headless simulations. The renderer reacts to the
+ * beastAttacked / beastUpdated / beastRemoved events this module causes.
+ */
+import { hexDistance } from './HexGrid.js';
+import { getElevation } from './Elevation.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[COMBAT] ${message}`, data);
+  } else {
+    console.log(`[COMBAT] ${message}`);
+  }
+}
+
+/**
+ * Stats used when a beast record doesn't define its own
+ */
+export const DEFAULT_COMBAT_STATS = {
+  maxHp: 100,
+  attack: 20,
+  defense: 10,
+  attackRange: 1,
+};
+
+/**
+ * Tunable constants for the damage formula
+ */
+export const COMBAT_CONFIG = {
+  // Defense softens damage as attack * k / (k + defense)
+  defenseScaling: 50,
+  // Random spread applied to every hit, +/- this fraction
+  damageVariance: 0.1,
+  // No hit ever does less than this
+  minimumDamage: 1,
+  // Ranged hits (beyond adjacent hexes) gain this much per level the attacker
+  // stands above the defender, up to the maximum
+  highGroundBonusPerLevel: 0.15,
+  highGroundMaxBonus: 0.45,
+};
+
+/**
+ * Read a combat stat from a beast record with a fallback
+ * @param {Object} beast - Beast record
+ * @param {string} stat - Stat name
+ * @returns {number}
+ */
+export function getCombatStat(beast, stat) {
+  const value = beast.stats ? beast.stats[stat] : undefined;
+  const base = value ?? beast[stat] ?? DEFAULT_COMBAT_STATS[stat];
+
+  // Status effects such as blind cap stats while they last
+  return (beast.statuses || []).reduce((capped, status) => {
+    const cap = status.statCaps ? status.statCaps[stat] : undefined;
+    if (cap === undefined) return capped;
+    return capped === undefined ? cap : Math.min(capped, cap);
+  }, base);
+}
+
+/**
+ * Read a combat stat with terrain affinity applied when rules are supplied
+ * @param {Object} beast - Beast record
+ * @param {string} stat - Stat name
+ * @param {Object} options - Optional settings
+ * @param {GameState} options.state - State used to look up the beast's tile
+ * @param {TerrainAffinity} options.terrainAffinity - Biome bonus/penalty rules
+ * @returns {number}
+ */
+export function getEffectiveStat(beast, stat, options = {}) {
+  const value = getCombatStat(beast, stat);
+  if (!options.terrainAffinity || !options.state) return value;
+  return options.terrainAffinity.getModifiedStat(options.state, beast, stat, value);
+}
+
+/**
+ * Check whether one beast may attack another
+ * Turn/action point checks are the caller's job (see TurnManager)
+ * @param {GameState} state - The game state
+ * @param {string} attackerId - Attacking beast id
+ * @param {string} defenderId - Target beast id
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function canAttack(state, attackerId, defenderId) {
+  const attacker = state.getBeast(attackerId);
+  const defender = state.getBeast(defenderId);
+
+  if (!attacker) return { ok: false, reason: 'unknown attacker' };
+  if (!defender) return { ok: false, reason: 'unknown target' };
+  if (attacker.id === defender.id) return { ok: false, reason: 'cannot attack itself' };
+  if (state.areAllies(attacker.owner, defender.owner)) return { ok: false, reason: 'target is an ally' };
+
+  const range = getCombatStat(attacker, 'attackRange');
+  if (hexDistance(attacker, defender) > range) {
+    return { ok: false, reason: 'target out of range' };
+  }
+
+  return { ok: true, reason: null };
+}
+
+/**
+ * Compute the damage of one hit without applying it
+ * @param {Object} attacker - Attacking beast record
+ * @param {Object} defender - Defending beast record
+ * @param {ElementChart} elementChart - Chart for the elemental multiplier
+ * @param {Object} options - Settings; random is required
+ * @param {Function} options.random - Returns a float in [0, 1) for the damage roll,
+ *   e.g. the match's combat stream (see Random.js) so seeded games repeat
+ * @param {GameState} options.state - Finds each beast's tile for terrainAffinity and the high-ground bonus
+ * @param {TerrainAffinity} options.terrainAffinity - Biome bonus/penalty rules
+ * @param {number} options.power - Multiplier on the attack stat, e.g. for abilities (default 1)
+ * @param {string} options.element - Element the hit counts as (default: the attacker's type)
+ * @returns {{damage: number, baseDamage: number, multiplier: number, effectiveness: string, highGround: number, roll: number}}
+ */
+export function calculateDamage(attacker, defender, elementChart, options = {}) {
+  const random = options.random;
+  if (typeof random !== 'function') {
+    throw new Error('calculateDamage needs options.random for the damage roll');
+  }
+  const element = options.element || attacker.type;
+
+  const attack = getEffectiveStat(attacker, 'attack', options) * (options.power ?? 1);
+  const defense = getEffectiveStat(defender, 'defense', options);
+  const baseDamage = attack * COMBAT_CONFIG.defenseScaling / (COMBAT_CONFIG.defenseScaling + defense);
+
+  const multiplier = elementChart ? elementChart.getMultiplier(element, defender.type) : 1;
+  const effectiveness = elementChart ? elementChart.getEffectiveness(element, defender.type) : 'neutral';
+  const highGround = options.state ? getHighGroundBonus(options.state, attacker, defender) : 0;
+
+  // Roll in [1 - variance, 1 + variance]
+  const roll = 1 + (random() * 2 - 1) * COMBAT_CONFIG.damageVariance;
+
+  const damage = Math.max(
+    COMBAT_CONFIG.minimumDamage,
+    Math.round(baseDamage * multiplier * (1 + highGround) * roll)
+  );
+
+  return { damage, baseDamage, multiplier, effectiveness, highGround, roll };
+}
+
+/**
+ * Damage bonus for a ranged hit from higher ground
+ * Adjacent (melee) hits and hits from level or lower ground get nothing.
+ * @param {GameState} state - The game state
+ * @param {{q: number, r: number}} attacker - Attacker position (beast record)
+ * @param {{q: number, r: number}} defender - Defender position (beast record)
+ * @returns {number} - Fraction added to damage, e.g. 0.3
+ */
+export function getHighGroundBonus(state, attacker, defender) {
+  if (hexDistance(attacker, defender) <= 1) return 0;
+  const levels = getElevation(state.getTile(attacker.q, attacker.r)) - getElevation(state.getTile(defender.q, defender.r));
+  if (levels <= 0) return 0;
+  return Math.min(COMBAT_CONFIG.highGroundMaxBonus, levels * COMBAT_CONFIG.highGroundBonusPerLevel);
+}
+
+/**
+ * Resolve an attack: apply HP loss and remove the defender if it faints
+ * Emits 'beastAttacked' on the state before any removal so renderers can
+ * play attack/hurt animations first.
+ * @param {GameState} state - The game state
+ * @param {string} attackerId - Attacking beast id
+ * @param {string} defenderId - Target beast id
+ * @param {ElementChart} elementChart - Chart for the elemental multiplier
+ * @param {Object} options - Passed through to calculateDamage (random is required)
+ * @returns {Object|null} - Attack result, or null if the attack was not allowed
+ */
+export function resolveAttack(state, attackerId, defenderId, elementChart, options = {}) {
+  const check = canAttack(state, attackerId, defenderId);
+  if (!check.ok) {
+    console.warn(`[COMBAT] ${attackerId} cannot attack ${defenderId}: ${check.reason}`);
+    return null;
+  }
+
+  const attacker = state.getBeast(attackerId);
+  const defender = state.getBeast(defenderId);
+  const hit = calculateDamage(attacker, defender, elementChart, { ...options, state });
+  return applyDamage(state, attacker, defender, hit);
+}
+
+/**
+ * Apply a computed hit: lower HP and remove the defender if it faints
+ * Shared by plain attacks and ability damage so both emit the same events.
+ * @param {GameState} state - The game state
+ * @param {Object} attacker - Attacking beast record
+ * @param {Object} defender - Target beast record
+ * @param {Object} hit - Output of calculateDamage
+ * @param {Object} details - Extra fields for the result, e.g. { abilityId }
+ * @returns {Object} - Attack result
+ */
+export function applyDamage(state, attacker, defender, hit, details = {}) {
+  const maxHp = getCombatStat(defender, 'maxHp');
+  const hpBefore = defender.hp ?? maxHp;
+
+  // Shield effects soak damage before HP, spent pools are dropped
+  let absorbed = 0;
+  let statuses = defender.statuses;
+  if (statuses && statuses.some(status => status.absorb > 0)) {
+    statuses = statuses.map(status => {
+      if (!status.absorb) return status;
+      const soaked = Math.min(status.absorb, hit.damage - absorbed);
+      absorbed += soaked;
+      return { ...status, absorb: status.absorb - soaked };
+    }).filter(status => status.absorb === undefined || status.absorb > 0);
+  }
+
+  const hpAfter = Math.max(0, hpBefore - (hit.damage - absorbed));
+  const fainted = hpAfter <= 0;
+
+  const result = {
+    attackerId: attacker.id,
+    defenderId: defender.id,
+    ...hit,
+    ...details,
+    absorbed,
+    hpBefore,
+    hpAfter,
+    fainted,
+  };
+
+  debugLog(`${attacker.type} (${attacker.id}) hits ${defender.type} (${defender.id}) for ${hit.damage}`, {
+    multiplier: hit.multiplier,
+    effectiveness: hit.effectiveness,
+    hp: `${hpBefore} -> ${hpAfter}`,
+  });
+
+  state.emit('beastAttacked', { attacker, defender, result });
+  state.updateBeast(defender.id, absorbed > 0 ? { hp: hpAfter, statuses } : { hp: hpAfter });
+
+  if (fainted) {
+    debugLog(`${defender.type} (${defender.id}) fainted`);
+    state.removeBeast(defender.id, 'fainted');
+  }
+
+  return result;
+}
@@ -0,0 +1,259 @@
+/**
+ * CommandHistory.js
+ * Undo and redo for the commands taken during the current turn.
+ *
+ * Every command runs through execute(), which snapshots the state around it.
+ * Undo loads the snapshot from before the command, redo the one from after,
+ * so a command is never replayed and random rolls can't be fished for.
+ *
+ * Only moves and summons can be taken back, and only while they showed the
+ * player nothing new: a command that brought hexes into the team's vision,
+ * or an attack or ability with its damage rolls, clears the history instead.
+ * The history also resets when the turn starts or ends, and when the state
+ * changes through anything other than a command (crystal respawns, debug
+ * tools), since the snapshots would then overwrite that change.
+ *
+ * Restoring a snapshot replaces the state in one go (GameState.loadJSON)
+ * and then emits stateRestored on the GameState; renderers resync from the
+ * state when they see it.
+ *
+ * Events emitted (on the history):
+ *   commandExecuted { command, result, undoable }
+ *   historyChanged  { canUndo, canRedo, reason }
+ *
+ * Events emitted (on the GameState):
+ *   stateRestored   { reason }  ('undo' or 'redo')
+ */
+import { EventEmitter } from './EventEmitter.js';
+import { COMMAND_TYPES, checkCommand, executeCommand, getCommandPlayer } from './Commands.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[HISTORY] ${message}`, data);
+  } else {
+    console.log(`[HISTORY] ${message}`);
+  }
+}
+
+/**
+ * Command types that can be taken back when they reveal nothing
+ */
+export const UNDOABLE_COMMANDS = [COMMAND_TYPES.MOVE, COMMAND_TYPES.SUMMON];
+
+/**
+ * State events that mean the board changed; outside a command they reset the history
+ */
+const STATE_CHANGE_EVENTS = [
+  'tileChanged', 'crystalChanged', 'beastAdded', 'beastMoved', 'beastUpdated',
+  'beastRemoved', 'playerUpdated', 'matchChanged',
+];
+
+/**
+ * Class running commands and keeping the per-turn undo and redo stacks
+ */
+export class CommandHistory extends EventEmitter {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Turn order and action points; turn changes reset the history
+   * @param {Object} rules - Rule objects passed to executeCommand() (see Commands.js)
+   */
+  constructor(gameState, turnManager, rules = {}) {
+    super();
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.rules = rules;
+
+    // { command, before, after } entries, most recent last
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // True while our own command or restore is changing the state
+    this._applying = false;
+
+    const onOutsideChange = () => {
+      if (!this._applying) this.clear('state changed');
+    };
+    this._unsubscribers = [
+      ...STATE_CHANGE_EVENTS.map(event => this.gameState.on(event, onOutsideChange)),
+      this.turnManager.on('turnStart', () => this.clear('turn started')),
+      this.turnManager.on('turnEnd', () => this.clear('turn ended')),
+    ];
+  }
+
+  /**
+   * @returns {Object} - Context for checkCommand()/executeCommand()
+   * @private
+   */
+  _getContext() {
+    return { state: this.gameState, turnManager: this.turnManager, rules: this.rules };
+  }
+
+  /**
+   * Check whether a command is allowed right now
+   * @param {Object} command - Command object
+   * @returns {{ok: boolean, reason: string|null}}
+   */
+  check(command) {
+    return checkCommand(this._getContext(), command);
+  }
+
+  /**
+   * Run a command and record it for undo when it can be taken back
+   * @param {Object} command - Command object
+   * @returns {Object|null} - executeCommand() result, null if the command was refused
+   */
+  execute(command) {
+    const playerId = getCommandPlayer(this.gameState, command);
+    const undoable = UNDOABLE_COMMANDS.includes(command.type);
+    const before = undoable ? this.gameState.toJSON() : null;
+    const visibleBefore = undoable ? this._getVisibleHexes(playerId) : null;
+
+    let result;
+    this._applying = true;
+    try {
+      result = executeCommand(this._getContext(), command);
+    } finally {
+      this._applying = false;
+    }
+    if (!result) return null;
+
+    const recorded = undoable && !this._revealsHexes(playerId, visibleBefore);
+    if (recorded) {
+      this.undoStack.push({ command, before, after: this.gameState.toJSON() });
+      this.redoStack = [];
+      debugLog(`Recorded ${command.type}, ${this.undoStack.length} undoable`);
+      this._emitChanged('executed');
+    } else if (command.type !== COMMAND_TYPES.END_TURN) {
+      // Ending the turn clears the history through turnEnd already
+      this.clear(undoable ? 'revealed hexes' : `${command.type} can't be undone`);
+    }
+
+    this.emit('commandExecuted', { command, result, undoable: recorded });
+    return result;
+  }
+
+  /**
+   * @returns {boolean} - Whether there is a command to take back
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} - Whether there is an undone command to take again
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Take back the most recent command
+   * @returns {Object|null} - The undone command, null if there was nothing to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this._restore(entry.before, 'undo');
+    this.redoStack.push(entry);
+    debugLog(`Undid ${entry.command.type}`);
+    this._emitChanged('undo');
+    return entry.command;
+  }
+
+  /**
+   * Take the most recently undone command again
+   * @returns {Object|null} - The redone command, null if there was nothing to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this._restore(entry.after, 'redo');
+    this.undoStack.push(entry);
+    debugLog(`Redid ${entry.command.type}`);
+    this._emitChanged('redo');
+    return entry.command;
+  }
+
+  /**
+   * Forget every recorded command
+   * @param {string} reason - Why the history was dropped
+   */
+  clear(reason = 'cleared') {
+    if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+    debugLog(`Clearing history: ${reason}`);
+    this.undoStack = [];
+    this.redoStack = [];
+    this._emitChanged(reason);
+  }
+
+  /**
+   * Load a snapshot and tell renderers to resync
+   * @param {Object} snapshot - GameState.toJSON() output
+   * @param {string} reason - 'undo' or 'redo'
+   * @private
+   */
+  _restore(snapshot, reason) {
+    this._applying = true;
+    try {
+      this.gameState.loadJSON(snapshot);
+      this.gameState.emit('stateRestored', { reason });
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  /**
+   * Copy of the hexes a player's team sees, null without fog of war
+   * @param {string} playerId - Player id
+   * @returns {Set<string>|null}
+   * @private
+   */
+  _getVisibleHexes(playerId) {
+    const fogOfWar = this.rules.fogOfWar;
+    if (!fogOfWar || !fogOfWar.rules.enabled || !playerId) return null;
+    return new Set(fogOfWar.getVisibleHexes(playerId));
+  }
+
+  /**
+   * Whether a player's team sees any hex it didn't see before
+   * @param {string} playerId - Player id
+   * @param {Set<string>|null} visibleBefore - _getVisibleHexes() result from before
+   * @returns {boolean}
+   * @private
+   */
+  _revealsHexes(playerId, visibleBefore) {
+    if (!visibleBefore) return false;
+    for (const key of this.rules.fogOfWar.getVisibleHexes(playerId)) {
+      if (!visibleBefore.has(key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} reason - What changed
+   * @private
+   */
+  _emitChanged(reason) {
+    this.emit('historyChanged', { canUndo: this.canUndo(), canRedo: this.canRedo(), reason });
+  }
+
+  /**
+   * Stop listening to the state and turn cycle
+   */
+  dispose() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Commands.js
+ * Player actions as plain-data commands, checked and applied against a state.
+ *
+ * A command is a JSON-safe object naming what a player wants to do:
+ *   move    { type, beastId, q, r }
+ *   attack  { type, beastId, targetId }
+ *   ability { type, beastId, abilityId, q, r }
+ *   summon  { type, playerId, beastType, q, r }
+ *   endTurn { type, playerId }
+ *
+ * Everything that changes the board on a player's behalf goes through
+ * executeCommand(), so the same rules apply whether the command came from a
+ * click, the undo history or anything else that drives a match.
+ *
+ * The context bundles what the rule functions need:
+ *   state        GameState to act on
+ *   turnManager  Checks turn order and action points (optional)
+ *   rules        elementChart, terrainAffinity, terrainCosts, fogOfWar,
+ *                visionRules, abilities, statusRules, terrainTransforms,
+ *                definitions (beast definitions by type), random
+ */
+import { findPath } from './Pathfinding.js';
+import { canAttack, resolveAttack } from './Combat.js';
+import { canUseAbility, useAbility } from './Abilities.js';
+import { canSummon, summonBeast } from './Summoning.js';
+import { TURN_PHASES } from './TurnManager.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[COMMAND] ${message}`, data);
+  } else {
+    console.log(`[COMMAND] ${message}`);
+  }
+}
+
+/**
+ * Known command types
+ */
+export const COMMAND_TYPES = {
+  MOVE: 'move',
+  ATTACK: 'attack',
+  ABILITY: 'ability',
+  SUMMON: 'summon',
+  END_TURN: 'endTurn',
+};
+
+/**
+ * Player a command acts for
+ * @param {GameState} state - The game state
+ * @param {Object} command - Command object
+ * @returns {string|null} - Player id, or null for unknown beasts
+ */
+export function getCommandPlayer(state, command) {
+  if (command.playerId) return command.playerId;
+  const beast = command.beastId ? state.getBeast(command.beastId) : null;
+  return beast ? beast.owner : null;
+}
+
+/**
+ * Shared checks for commands acting through one of the player's beasts
+ * @param {Object} context - See the module header
+ * @param {Object} command - Command with a beastId
+ * @param {string} action - Action point type the command spends
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+function checkBeastAction(context, command, action) {
+  const beast = context.state.getBeast(command.beastId);
+  if (!beast) return { ok: false, reason: 'unknown beast' };
+  if (context.turnManager && !context.turnManager.canPerform(beast.id, action)) {
+    return { ok: false, reason: `no ${action} action available` };
+  }
+  return { ok: true, reason: null };
+}
+
+/**
+ * Check functions per command type, each returning {ok, reason}
+ */
+const COMMAND_CHECKS = {
+  move(context, command) {
+    const check = checkBeastAction(context, command, 'move');
+    if (!check.ok) return check;
+    const route = findPath(context.state, command.beastId, command, {
+      terrainCosts: context.rules.terrainCosts,
+    });
+    return route ? { ok: true, reason: null } : { ok: false, reason: 'no path within movement range' };
+  },
+
+  attack(context, command) {
+    const check = checkBeastAction(context, command, 'attack');
+    if (!check.ok) return check;
+    const result = canAttack(context.state, command.beastId, command.targetId);
+    if (!result.ok) return result;
+    // Enemies in the fog can't be targeted, that would give away where they are
+    const { fogOfWar } = context.rules;
+    const attacker = context.state.getBeast(command.beastId);
+    if (fogOfWar && !fogOfWar.canSeeBeast(attacker.owner, context.state.getBeast(command.targetId))) {
+      return { ok: false, reason: 'target is hidden' };
+    }
+    return { ok: true, reason: null };
+  },
+
+  ability(context, command) {
+    if (!context.rules.abilities) return { ok: false, reason: 'no ability definitions' };
+    return canUseAbility(context.state, command.beastId, command.abilityId, command.q, command.r, {
+      ...context.rules,
+      turnManager: context.turnManager,
+    });
+  },
+
+  summon(context, command) {
+    return canSummon(context.state, command.playerId, command.beastType, command.q, command.r, {
+      definitions: context.rules.definitions,
+      turnManager: context.turnManager,
+    });
+  },
+
+  endTurn(context, command) {
+    const { turnManager } = context;
+    if (!turnManager) return { ok: false, reason: 'no turn manager' };
+    if (!turnManager.isActivePlayer(command.playerId)) return { ok: false, reason: 'not your turn' };
+    if (turnManager.getPhase() !== TURN_PHASES.MAIN) return { ok: false, reason: 'not in main phase' };
+    return { ok: true, reason: null };
+  },
+};
+
+/**
+ * Apply functions per command type, run only after the check passed
+ */
+const COMMAND_HANDLERS = {
+  move(context, command) {
+    const { state, turnManager } = context;
+    const route = findPath(state, command.beastId, command, { terrainCosts: context.rules.terrainCosts });
+    // Spend the action before recording the move so the state never holds
+    // a move the turn manager did not allow
+    if (turnManager && !turnManager.spendAction(command.beastId, 'move')) return null;
+    return state.moveBeast(command.beastId, command.q, command.r, route.path);
+  },
+
+  attack(context, command) {
+    const { state, turnManager, rules } = context;
+    if (turnManager && !turnManager.spendAction(command.beastId, 'attack')) return null;
+    return resolveAttack(state, command.beastId, command.targetId, rules.elementChart, {
+      terrainAffinity: rules.terrainAffinity,
+      random: rules.random,
+    });
+  },
+
+  ability(context, command) {
+    return useAbility(context.state, command.beastId, command.abilityId, command.q, command.r, {
+      ...context.rules,
+      turnManager: context.turnManager,
+    });
+  },
+
+  summon(context, command) {
+    return summonBeast(context.state, command.playerId, command.beastType, command.q, command.r, {
+      definitions: context.rules.definitions,
+      turnManager: context.turnManager,
+    });
+  },
+
+  endTurn(context) {
+    context.turnManager.endTurn();
+    return context.state.turn;
+  },
+};
+
+/**
+ * Check whether a command is allowed right now
+ * @param {Object} context - { state, turnManager, rules }, see the module header
+ * @param {Object} command - Command object
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function checkCommand(context, command) {
+  const check = command && COMMAND_CHECKS[command.type];
+  if (!check) return { ok: false, reason: `unknown command ${command && command.type}` };
+  return check({ rules: {}, ...context }, command);
+}
+
+/**
+ * Check and apply a command
+ * @param {Object} context - { state, turnManager, rules }, see the module header
+ * @param {Object} command - Command object
+ * @returns {Object|null} - What the rule function returned (moved beast,
+ *   attack result, ability result, summoned beast or turn), null if refused
+ */
+export function executeCommand(context, command) {
+  const fullContext = { rules: {}, ...context };
+  const check = checkCommand(fullContext, command);
+  if (!check.ok) {
+    debugLog(`Refused ${command && command.type}: ${check.reason}`, command);
+    return null;
+  }
+
+  debugLog(`Executing ${command.type}`, command);
+  return COMMAND_HANDLERS[command.type](fullContext, command);
+}
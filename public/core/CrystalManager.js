@@ -0,0 +1,160 @@
+/**
+ * CrystalManager.js
+ * Crystal shard economy: harvesting shards into a player's pool and growing
+ * them back on harvested hexes.
+ *
+ * A beast that ends its move on a crystal hex harvests it for its owner. That
+ * counts every way of arriving there: a walk, a teleport, or being pushed by
+ * an ability (the pushed beast's owner gets the shard). The hex remembers
+ * the round its shard grows back (tile.crystalRespawnRound), and the shard
+ * reappears at the start of that round's turns if the hex is empty. Values
+ * live in /assets/data/crystals.json.
+ *
+ * Events emitted (on the GameState so renderers have one place to listen):
+ *   crystalCollected { tile, beast, player, amount }
+ */
+import { loadJSON } from './DataLoader.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[CRYSTAL] ${message}`, data);
+  } else {
+    console.log(`[CRYSTAL] ${message}`);
+  }
+}
+
+/**
+ * Default location of the crystal data file
+ */
+export const CRYSTALS_URL = '/assets/data/crystals.json';
+
+/**
+ * Values used when the data file is missing or incomplete
+ */
+export const DEFAULT_CRYSTAL_CONFIG = {
+  shardValue: 1,
+  respawnRounds: 3,
+};
+
+/**
+ * Load the crystal economy values from their data file
+ * @param {string} url - Location of the crystals JSON
+ * @returns {Promise<Object>} - Config merged over DEFAULT_CRYSTAL_CONFIG
+ */
+export async function loadCrystalConfig(url = CRYSTALS_URL) {
+  const data = await loadJSON(url);
+  console.log(`[CRYSTAL] Crystal config v${data.version || 1} loaded`);
+  return { ...DEFAULT_CRYSTAL_CONFIG, ...data };
+}
+
+/**
+ * Class applying the crystal rules to a game state
+ */
+export class CrystalManager {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Drives respawns at turn start
+   * @param {Object} config - Overrides for DEFAULT_CRYSTAL_CONFIG
+   */
+  constructor(gameState, turnManager, config = {}) {
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.config = { ...DEFAULT_CRYSTAL_CONFIG, ...config };
+
+    this._onBeastMoved = ({ beast, to }) => this.tryCollect(beast.id, to.q, to.r);
+    this._onTurnStart = ({ turn }) => this.respawnDue(turn.round || 1);
+
+    this.gameState.on('beastMoved', this._onBeastMoved);
+    if (this.turnManager) this.turnManager.on('turnStart', this._onTurnStart);
+  }
+
+  /**
+   * Harvest the crystal on a hex for the beast standing there
+   * Runs after every beastMoved, pushes and teleports included.
+   * @param {string} beastId - Beast that ended its move on the hex
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {number} - Crystals gained, 0 when nothing was harvested
+   */
+  tryCollect(beastId, q, r) {
+    const tile = this.gameState.getTile(q, r);
+    const beast = this.gameState.getBeast(beastId);
+    if (!tile || !tile.crystal || !beast) return 0;
+
+    const player = this.gameState.getPlayer(beast.owner);
+    if (!player) {
+      console.warn(`[CRYSTAL] Beast ${beastId} has no owner to collect for`);
+      return 0;
+    }
+
+    const amount = this.config.shardValue;
+    const respawnRound = this.config.respawnRounds > 0
+      ? (this.gameState.turn.round || 1) + this.config.respawnRounds
+      : null;
+
+    this.gameState.setCrystal(q, r, false, 'collected');
+    this.gameState.setTile(q, r, { crystalRespawnRound: respawnRound });
+    const updated = this.gameState.updatePlayer(player.id, {
+      crystals: (player.crystals || 0) + amount,
+    });
+
+    debugLog(`${beast.type} Beast collected ${amount} crystal(s) for ${player.name} at (${q}, ${r})`);
+    this.gameState.emit('crystalCollected', {
+      tile: this.gameState.getTile(q, r),
+      beast,
+      player: updated,
+      amount,
+    });
+    return amount;
+  }
+
+  /**
+   * Grow shards back on every harvested hex whose timer has run out
+   * Occupied hexes wait until the beast leaves.
+   * @param {number} round - Current round number
+   * @returns {Array<Object>} - Tiles that regrew a shard
+   */
+  respawnDue(round) {
+    const respawned = [];
+    this.gameState.getTiles().forEach(tile => {
+      if (tile.crystal || tile.crystalRespawnRound == null) return;
+      if (tile.crystalRespawnRound > round) return;
+      if (this.gameState.getBeastAt(tile.q, tile.r)) return;
+
+      this.gameState.setTile(tile.q, tile.r, { crystalRespawnRound: null });
+      respawned.push(this.gameState.setCrystal(tile.q, tile.r, true, 'respawned'));
+    });
+
+    if (respawned.length > 0) {
+      debugLog(`Respawned ${respawned.length} crystal(s) in round ${round}`);
+    }
+    return respawned;
+  }
+
+  /**
+   * Crystals a player has banked
+   * @param {string} playerId - Player id
+   * @returns {number}
+   */
+  getCrystals(playerId) {
+    const player = this.gameState.getPlayer(playerId);
+    return player ? player.crystals || 0 : 0;
+  }
+
+  /**
+   * Stop listening to the state and turn manager
+   */
+  dispose() {
+    this.gameState.off('beastMoved', this._onBeastMoved);
+    if (this.turnManager) this.turnManager.off('turnStart', this._onTurnStart);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * DataLoader.js
+ * Fetches the JSON data files designers edit under /assets/data.
+ *
+ * In the browser the paths resolve against the page. Node callers (AI,
+ * tooling) read the files themselves and hand the parsed objects to each
+ * module's fromJSON() instead.
+ */
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[DATA] ${message}`, data);
+  } else {
+    console.log(`[DATA] ${message}`);
+  }
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<Object>} - Parsed contents
+ */
+export async function loadJSON(url) {
+  debugLog(`Loading ${url}`);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,163 @@
+/**
+ * ElementChart.js
+ * Elemental effectiveness between the 12 element types.
+ *
+ * The numbers live in /assets/data/elementChart.json so designers can
+ * rebalance matchups without code changes. Damage calculation and AI
+ * scoring both query this chart.
+ */
+import { loadJSON } from './DataLoader.js';
+
+/**
+ * All element types, shared by map generation, beasts and rules
+ */
+export const ELEMENT_TYPES = [
+  'Combat',
+  'Corrosion',
+  'Dark',
+  'Earth',
+  'Electric',
+  'Fire',
+  'Light',
+  'Metal',
+  'Plant',
+  'Spirit',
+  'Water',
+  'Wind',
+];
+
+/**
+ * Default location of the chart data file
+ */
+export const ELEMENT_CHART_URL = '/assets/data/elementChart.json';
+
+/**
+ * Class answering "how effective is element A against element B"
+ */
+export class ElementChart {
+  /**
+   * @param {Object} data - Parsed elementChart.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.defaultMultiplier = data.defaultMultiplier ?? 1.0;
+    this.thresholds = { strong: 1.5, weak: 0.75, ...(data.thresholds || {}) };
+
+    // Normalize into a full attacker x defender table so lookups never miss
+    this.table = {};
+    ELEMENT_TYPES.forEach(attacker => {
+      this.table[attacker] = {};
+      ELEMENT_TYPES.forEach(defender => {
+        this.table[attacker][defender] = this.defaultMultiplier;
+      });
+    });
+
+    const rows = data.table || {};
+    Object.keys(rows).forEach(attacker => {
+      if (!this.table[attacker]) {
+        console.warn(`[ELEMENTS] Ignoring unknown attacker element '${attacker}' in chart`);
+        return;
+      }
+      Object.keys(rows[attacker]).forEach(defender => {
+        const value = rows[attacker][defender];
+        if (this.table[attacker][defender] === undefined) {
+          console.warn(`[ELEMENTS] Ignoring unknown defender element '${defender}' in chart`);
+          return;
+        }
+        if (typeof value !== 'number' || value < 0) {
+          console.warn(`[ELEMENTS] Invalid multiplier for ${attacker} -> ${defender}:`, value);
+          return;
+        }
+        this.table[attacker][defender] = value;
+      });
+    });
+  }
+
+  /**
+   * Load the chart from its data file
+   * @param {string} url - Location of the chart JSON
+   * @returns {Promise<ElementChart>}
+   */
+  static async load(url = ELEMENT_CHART_URL) {
+    const data = await loadJSON(url);
+    console.log(`[ELEMENTS] Element chart v${data.version || 1} loaded`);
+    return new ElementChart(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed chart data
+   * @returns {ElementChart}
+   */
+  static fromJSON(data) {
+    return new ElementChart(data);
+  }
+
+  /**
+   * Damage multiplier for an attack of one element against another
+   * @param {string} attacker - Attacking element
+   * @param {string} defender - Defending element
+   * @returns {number} - Multiplier (1 for neutral or unknown elements)
+   */
+  getMultiplier(attacker, defender) {
+    const row = this.table[attacker];
+    if (!row || row[defender] === undefined) return this.defaultMultiplier;
+    return row[defender];
+  }
+
+  /**
+   * Classify a matchup for UI and AI use
+   * @param {string} attacker - Attacking element
+   * @param {string} defender - Defending element
+   * @returns {string} - 'strong', 'weak' or 'neutral'
+   */
+  getEffectiveness(attacker, defender) {
+    const multiplier = this.getMultiplier(attacker, defender);
+    if (multiplier >= this.thresholds.strong) return 'strong';
+    if (multiplier <= this.thresholds.weak) return 'weak';
+    return 'neutral';
+  }
+
+  /**
+   * Elements an attacker is strong against
+   * @param {string} attacker - Attacking element
+   * @returns {Array<string>}
+   */
+  getStrongAgainst(attacker) {
+    return ELEMENT_TYPES.filter(defender => this.getEffectiveness(attacker, defender) === 'strong');
+  }
+
+  /**
+   * Elements that are strong against a defender
+   * @param {string} defender - Defending element
+   * @returns {Array<string>}
+   */
+  getWeakTo(defender) {
+    return ELEMENT_TYPES.filter(attacker => this.getEffectiveness(attacker, defender) === 'strong');
+  }
+
+  /**
+   * Replace a single multiplier at runtime (debug tools / live tuning)
+   * @param {string} attacker - Attacking element
+   * @param {string} defender - Defending element
+   * @param {number} multiplier - New multiplier
+   */
+  setMultiplier(attacker, defender, multiplier) {
+    if (!this.table[attacker] || this.table[attacker][defender] === undefined) {
+      console.warn(`[ELEMENTS] Cannot set multiplier for unknown pair ${attacker} -> ${defender}`);
+      return;
+    }
+    this.table[attacker][defender] = multiplier;
+  }
+
+  /**
+   * @returns {Object} - Data in the elementChart.json format
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      defaultMultiplier: this.defaultMultiplier,
+      thresholds: { ...this.thresholds },
+      table: JSON.parse(JSON.stringify(this.table)),
+    };
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Elevation.js
+ * Per-hex height levels: generation and the helpers rules read them through.
+ *
+ * Each tile stores an integer tile.elevation from 0 (the base plane) up to
+ * maxLevel; tiles without one sit at level 0. The gameplay effects live with
+ * the rules they change:
+ *   movement   climbing costs extra per level (TerrainCosts.getClimbCost)
+ *   combat     ranged attacks from high ground hit harder (Combat.js)
+ *   vision     raised hexes block sight lines passing below their top (Vision.js)
+ * MapGenerator renders each level as a taller column.
+ *
+ * Generation values live in /assets/data/elevation.json: a few random hills
+ * raise the hexes around them, and a per-biome bias lifts mountains (Earth,
+ * Metal) and sinks water.
+ */
+import { loadJSON } from './DataLoader.js';
+import { hexDistance } from './HexGrid.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[ELEVATION] ${message}`, data);
+  } else {
+    console.log(`[ELEVATION] ${message}`);
+  }
+}
+
+/**
+ * Default location of the elevation data file
+ */
+export const ELEVATION_URL = '/assets/data/elevation.json';
+
+/**
+ * Values used when the data file is missing or incomplete
+ */
+export const DEFAULT_ELEVATION = {
+  enabled: true,
+  maxLevel: 3,
+  levelHeight: 0.3,
+  hills: 4,
+  hillRadius: 3,
+  hillHeight: 2.5,
+  biomeBias: { Earth: 1, Metal: 1, Water: -1 },
+};
+
+/**
+ * Height level of a tile
+ * @param {Object|null} tile - Tile record
+ * @returns {number} - 0 for missing tiles or tiles without elevation
+ */
+export function getElevation(tile) {
+  return (tile && tile.elevation) || 0;
+}
+
+/**
+ * Class holding the elevation generation and rendering values
+ */
+export class ElevationRules {
+  /**
+   * @param {Object} data - Parsed elevation.json contents
+   */
+  constructor(data = {}) {
+    const merged = { ...DEFAULT_ELEVATION, ...data };
+    this.version = merged.version || 1;
+    this.enabled = merged.enabled !== false;
+
+    ['maxLevel', 'levelHeight', 'hills', 'hillRadius', 'hillHeight'].forEach(key => {
+      if (typeof merged[key] !== 'number' || merged[key] < 0) {
+        console.warn(`[ELEVATION] Invalid ${key}:`, merged[key]);
+        merged[key] = DEFAULT_ELEVATION[key];
+      }
+    });
+    this.maxLevel = Math.floor(merged.maxLevel);
+    this.levelHeight = merged.levelHeight;
+    this.hills = Math.floor(merged.hills);
+    this.hillRadius = Math.max(1, merged.hillRadius);
+    this.hillHeight = merged.hillHeight;
+    this.biomeBias = { ...merged.biomeBias };
+  }
+
+  /**
+   * Load the elevation rules from their data file
+   * @param {string} url - Location of the elevation JSON
+   * @returns {Promise<ElevationRules>}
+   */
+  static async load(url = ELEVATION_URL) {
+    const data = await loadJSON(url);
+    console.log(`[ELEVATION] Elevation rules v${data.version || 1} loaded`);
+    return new ElevationRules(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed elevation data
+   * @returns {ElevationRules}
+   */
+  static fromJSON(data) {
+    return new ElevationRules(data);
+  }
+
+  /**
+   * World height a level raises a hex's top by
+   * @param {number} level - Elevation level
+   * @returns {number}
+   */
+  getHeight(level) {
+    return level * this.levelHeight;
+  }
+
+  /**
+   * @returns {Object} - Data in the elevation JSON format
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      enabled: this.enabled,
+      maxLevel: this.maxLevel,
+      levelHeight: this.levelHeight,
+      hills: this.hills,
+      hillRadius: this.hillRadius,
+      hillHeight: this.hillHeight,
+      biomeBias: { ...this.biomeBias },
+    };
+  }
+}
+
+/**
+ * Give every tile in the state an elevation level
+ * Hills fall off linearly with distance from their center; the biome bias is
+ * added on top and the sum is rounded and clamped to [0, maxLevel].
+ * @param {GameState} state - State holding the generated tiles
+ * @param {ElevationRules} rules - Generation values
+ * @param {Object} options - Optional settings
+ * @param {Function} options.random - Returns a float in [0, 1), defaults to Math.random
+ * @returns {Object} - Number of tiles per level
+ */
+export function generateElevation(state, rules = new ElevationRules(), options = {}) {
+  const random = options.random || Math.random;
+  const tiles = state.getTiles();
+  const distribution = {};
+  if (tiles.length === 0) return distribution;
+
+  const hills = [];
+  for (let i = 0; rules.enabled && i < rules.hills; i++) {
+    hills.push(tiles[Math.floor(random() * tiles.length)]);
+  }
+
+  tiles.forEach(tile => {
+    let height = 0;
+    if (rules.enabled) {
+      height = rules.biomeBias[tile.element] || 0;
+      hills.forEach(hill => {
+        const falloff = 1 - hexDistance(tile, hill) / rules.hillRadius;
+        if (falloff > 0) height += falloff * rules.hillHeight;
+      });
+    }
+
+    const level = Math.max(0, Math.min(rules.maxLevel, Math.round(height)));
+    state.setTile(tile.q, tile.r, { elevation: level });
+    distribution[level] = (distribution[level] || 0) + 1;
+  });
+
+  debugLog('Elevation distribution', distribution);
+  return distribution;
+}
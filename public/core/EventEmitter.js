@@ -0,0 +1,65 @@
+/**
+ * EventEmitter.js
+ * Minimal event emitter for the headless game core.
+ *
+ * The core has to run in Node as well as the browser, so it can't rely on
+ * window/CustomEvent the way the rendering modules do.
+ */
+
+export class EventEmitter {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - Callback receiving the event payload
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(eventName, listener) {
+    if (!this._listeners[eventName]) {
+      this._listeners[eventName] = [];
+    }
+    this._listeners[eventName].push(listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Remove a previously registered listener
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - The listener passed to on()
+   */
+  off(eventName, listener) {
+    const listeners = this._listeners[eventName];
+    if (!listeners) return;
+    this._listeners[eventName] = listeners.filter(l => l !== listener);
+  }
+
+  /**
+   * Notify all listeners of an event
+   * A throwing listener is logged and does not stop the others
+   * @param {string} eventName - Name of the event
+   * @param {Object} payload - Data passed to each listener
+   */
+  emit(eventName, payload) {
+    const listeners = this._listeners[eventName];
+    if (!listeners || listeners.length === 0) return;
+
+    // Copy so listeners can unsubscribe while we iterate
+    listeners.slice().forEach(listener => {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`[EVENTS] Listener for '${eventName}' failed:`, err);
+      }
+    });
+  }
+
+  /**
+   * Drop every listener, used when a state object is discarded
+   */
+  removeAllListeners() {
+    this._listeners = {};
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * GameState.js
+ * Plain-data model of a match: tiles, crystals, beasts, owners and turn info.
+ *
+ * Nothing in here touches THREE.js or the DOM, so rules, AI and networking
+ * can run against it in Node. MapGenerator and Beast render from this state
+ * and listen to its events to stay in sync.
+ *
+ * Events emitted:
+ *   tileChanged    { tile, previous }
+ *   tilesCleared   {}
+ *   crystalChanged { tile, reason }
+ *   beastAdded     { beast }
+ *   beastMoved     { beast, from, to, path }
+ *   beastUpdated   { beast, changes }
+ *   beastRemoved   { beast, reason }
+ *   beastAttacked  { attacker, defender, result }  (emitted by Combat)
+ *   crystalCollected { tile, beast, player, amount }  (emitted by CrystalManager)
+ *   beastSummoned  { beast, player, cost }  (emitted by Summoning)
+ *   abilityUsed    { caster, ability, target, hexes, results }  (emitted by Abilities)
+ *   statusApplied  { beast, status }  (emitted by StatusEffects)
+ *   statusRemoved  { beast, status, reason }  (emitted by StatusEffects)
+ *   statusTicked   { beast, status, damage }  (emitted by StatusEffects)
+ *   tileTransformed { tile, from, to, reason, source }  (emitted by TerrainTransform)
+ *   stateRestored  { reason }  (emitted after loadJSON by CommandHistory, ReplayPlayer and SaveGame)
+ *   playerUpdated  { player, changes }
+ *   turnChanged    { turn, previous }
+ *   matchChanged   { match, previous }
+ */
+import { EventEmitter } from './EventEmitter.js';
+import { hexKey } from './HexGrid.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[STATE] ${message}`, data);
+  } else {
+    console.log(`[STATE] ${message}`);
+  }
+}
+
+/**
+ * Empty match record for a state that hasn't started a match
+ * @returns {Object}
+ */
+function createMatchRecord() {
+  return {
+    name: null,
+    status: 'setup',
+    teams: [],
+    victory: {},
+    result: null,
+    stats: {},
+  };
+}
+
+/**
+ * Class holding the authoritative, serializable game state
+ */
+export class GameState extends EventEmitter {
+  constructor() {
+    super();
+
+    // Tiles indexed by "q,r" key
+    this.tiles = new Map();
+
+    // Beasts indexed by id
+    this.beasts = new Map();
+    this.nextBeastId = 1;
+
+    // Players/owners in turn order
+    this.players = [];
+
+    // Turn information
+    this.turn = {
+      number: 0,
+      round: 0,
+      activePlayer: null,
+      phase: 'setup',
+    };
+
+    // Match rules and outcome (see core/Match.js)
+    this.match = createMatchRecord();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tiles
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create or update a tile
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @param {Object} data - Tile fields to set (element, crystal, ...)
+   * @returns {Object} - The tile record
+   */
+  setTile(q, r, data = {}) {
+    const key = hexKey(q, r);
+    const previous = this.tiles.get(key) || null;
+    const tile = { ...(previous || {}), ...data, q, r };
+    this.tiles.set(key, tile);
+    this.emit('tileChanged', { tile, previous });
+    return tile;
+  }
+
+  /**
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {Object|null} - The tile record or null when off the map
+   */
+  getTile(q, r) {
+    return this.tiles.get(hexKey(q, r)) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} - All tile records
+   */
+  getTiles() {
+    return Array.from(this.tiles.values());
+  }
+
+  /**
+   * Remove every tile, used before regenerating the map
+   */
+  clearTiles() {
+    debugLog(`Clearing ${this.tiles.size} tiles`);
+    this.tiles.clear();
+    this.emit('tilesCleared', {});
+  }
+
+  /**
+   * Set whether a crystal shard sits on a tile
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @param {boolean} hasCrystal - Whether the tile holds a crystal
+   * @param {string} reason - Why it changed, e.g. 'spawned', 'collected', 'respawned'
+   * @returns {Object|null} - The updated tile or null if it doesn't exist
+   */
+  setCrystal(q, r, hasCrystal, reason = 'set') {
+    const tile = this.getTile(q, r);
+    if (!tile) {
+      console.warn(`[STATE] Cannot set crystal on missing tile (${q}, ${r})`);
+      return null;
+    }
+    tile.crystal = !!hasCrystal;
+    this.emit('crystalChanged', { tile, reason });
+    return tile;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Players
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a player (owner of beasts)
+   * Players on the same team are allies; each player is its own team by default.
+   * @param {Object} player - Player data, must contain an id (optional: name, team, color)
+   * @returns {Object} - The player record
+   */
+  addPlayer(player) {
+    const record = { name: player.id, team: player.id, crystals: 0, ...player };
+    this.players.push(record);
+    debugLog(`Added player ${record.id}`);
+    return record;
+  }
+
+  /**
+   * @param {string} playerId - Player id
+   * @returns {Object|null}
+   */
+  getPlayer(playerId) {
+    return this.players.find(player => player.id === playerId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} - Players in turn order
+   */
+  getPlayers() {
+    return this.players;
+  }
+
+  /**
+   * Whether two players (or a player and itself) fight on the same side
+   * @param {string} playerA - Player id
+   * @param {string} playerB - Player id
+   * @returns {boolean}
+   */
+  areAllies(playerA, playerB) {
+    if (playerA === playerB) return true;
+    const a = this.getPlayer(playerA);
+    const b = this.getPlayer(playerB);
+    // Older snapshots have no team field, fall back to one team per player
+    return !!a && !!b && (a.team ?? a.id) === (b.team ?? b.id);
+  }
+
+  /**
+   * Merge changes into a player record
+   * @param {string} playerId - Player id
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} - The updated player
+   */
+  updatePlayer(playerId, changes) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      console.warn(`[STATE] Cannot update unknown player ${playerId}`);
+      return null;
+    }
+    Object.assign(player, changes);
+    this.emit('playerUpdated', { player, changes });
+    return player;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Beasts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Place a new beast on the board
+   * @param {Object} data - Beast data: type, owner, q, r and any stats
+   * @returns {Object} - The beast record with its assigned id
+   */
+  addBeast(data) {
+    const id = data.id || `beast-${this.nextBeastId++}`;
+    const beast = { ...data, id };
+    this.beasts.set(id, beast);
+    debugLog(`Added ${beast.type} beast ${id} at (${beast.q}, ${beast.r})`);
+    this.emit('beastAdded', { beast });
+    return beast;
+  }
+
+  /**
+   * @param {string} beastId - Beast id
+   * @returns {Object|null}
+   */
+  getBeast(beastId) {
+    return this.beasts.get(beastId) || null;
+  }
+
+  /**
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {Object|null} - The beast standing on the hex, if any
+   */
+  getBeastAt(q, r) {
+    for (const beast of this.beasts.values()) {
+      if (beast.q === q && beast.r === r) return beast;
+    }
+    return null;
+  }
+
+  /**
+   * @param {Function} filter - Optional predicate
+   * @returns {Array<Object>} - Matching beasts
+   */
+  getBeasts(filter = null) {
+    const beasts = Array.from(this.beasts.values());
+    return filter ? beasts.filter(filter) : beasts;
+  }
+
+  /**
+   * @param {string} ownerId - Player id
+   * @returns {Array<Object>} - Beasts owned by the player
+   */
+  getBeastsByOwner(ownerId) {
+    return this.getBeasts(beast => beast.owner === ownerId);
+  }
+
+  /**
+   * Move a beast to a new hex
+   * This only records the move; rules decide whether it is allowed.
+   * @param {string} beastId - Beast id
+   * @param {number} q - Destination q coordinate
+   * @param {number} r - Destination r coordinate
+   * @param {Array<{q: number, r: number}>} path - Hexes walked through, ending at the destination (optional)
+   * @returns {Object|null} - The moved beast or null if the move was invalid
+   */
+  moveBeast(beastId, q, r, path = null) {
+    const beast = this.getBeast(beastId);
+    if (!beast) {
+      console.warn(`[STATE] Cannot move unknown beast ${beastId}`);
+      return null;
+    }
+    if (!this.getTile(q, r)) {
+      console.warn(`[STATE] Cannot move ${beastId} off the map to (${q}, ${r})`);
+      return null;
+    }
+
+    const from = { q: beast.q, r: beast.r };
+    beast.q = q;
+    beast.r = r;
+    debugLog(`Moved ${beastId}`, { from, to: { q, r } });
+    this.emit('beastMoved', { beast, from, to: { q, r }, path: path || [{ q, r }] });
+    return beast;
+  }
+
+  /**
+   * Merge changes into a beast record
+   * @param {string} beastId - Beast id
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} - The updated beast
+   */
+  updateBeast(beastId, changes) {
+    const beast = this.getBeast(beastId);
+    if (!beast) {
+      console.warn(`[STATE] Cannot update unknown beast ${beastId}`);
+      return null;
+    }
+    Object.assign(beast, changes);
+    this.emit('beastUpdated', { beast, changes });
+    return beast;
+  }
+
+  /**
+   * Take a beast off the board
+   * @param {string} beastId - Beast id
+   * @param {string} reason - Why it was removed (for listeners/logs)
+   * @returns {Object|null} - The removed beast
+   */
+  removeBeast(beastId, reason = 'removed') {
+    const beast = this.getBeast(beastId);
+    if (!beast) return null;
+    this.beasts.delete(beastId);
+    debugLog(`Removed ${beastId} (${reason})`);
+    this.emit('beastRemoved', { beast, reason });
+    return beast;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Turn
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Update turn information
+   * @param {Object} changes - Fields of the turn record to change
+   * @returns {Object} - The turn record
+   */
+  setTurn(changes) {
+    const previous = { ...this.turn };
+    Object.assign(this.turn, changes);
+    this.emit('turnChanged', { turn: this.turn, previous });
+    return this.turn;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Match
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Update match information (status, victory settings, result, stats)
+   * @param {Object} changes - Fields of the match record to change
+   * @returns {Object} - The match record
+   */
+  setMatch(changes) {
+    const previous = { ...this.match };
+    Object.assign(this.match, changes);
+    this.emit('matchChanged', { match: this.match, previous });
+    return this.match;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Serialization
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @returns {Object} - JSON-safe snapshot of the whole state
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      tiles: this.getTiles(),
+      beasts: this.getBeasts(),
+      players: this.players,
+      turn: this.turn,
+      match: this.match,
+      nextBeastId: this.nextBeastId,
+    }));
+  }
+
+  /**
+   * Rebuild a state from a toJSON() snapshot
+   * @param {Object} data - Snapshot
+   * @returns {GameState}
+   */
+  static fromJSON(data) {
+    const state = new GameState();
+    state.loadJSON(data);
+    return state;
+  }
+
+  /**
+   * Replace this state's contents with a snapshot, keeping listeners attached
+   * @param {Object} data - Snapshot produced by toJSON()
+   */
+  loadJSON(data) {
+    const snapshot = JSON.parse(JSON.stringify(data));
+
+    this.tiles.clear();
+    (snapshot.tiles || []).forEach(tile => {
+      this.tiles.set(hexKey(tile.q, tile.r), tile);
+    });
+
+    this.beasts.clear();
+    (snapshot.beasts || []).forEach(beast => {
+      this.beasts.set(beast.id, beast);
+    });
+
+    this.players = snapshot.players || [];
+    this.turn = snapshot.turn || { number: 0, round: 0, activePlayer: null, phase: 'setup' };
+    this.match = { ...createMatchRecord(), ...(snapshot.match || {}) };
+    this.nextBeastId = snapshot.nextBeastId || this.beasts.size + 1;
+  }
+
+  /**
+   * Deep copy without listeners, for simulations that must not touch the scene
+   * @returns {GameState}
+   */
+  clone() {
+    return GameState.fromJSON(this.toJSON());
+  }
+}
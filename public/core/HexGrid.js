@@ -0,0 +1,149 @@
+/**
+ * HexGrid.js
+ * Pure axial-coordinate helpers shared by the game state, rules and renderers.
+ *
+ * Axial coordinates follow MapGenerator.createHex: q runs along x and
+ * r runs along z, with world position x = 1.5q, z = sqrt(3) * (r + q/2).
+ */
+
+/**
+ * The six neighbour offsets, in the same order Beast uses for its arrows
+ */
+export const HEX_DIRECTIONS = [
+  { id: 1, name: 'North', q: 0, r: -1 },
+  { id: 2, name: 'NorthEast', q: 1, r: -1 },
+  { id: 3, name: 'SouthEast', q: 1, r: 0 },
+  { id: 4, name: 'South', q: 0, r: 1 },
+  { id: 5, name: 'SouthWest', q: -1, r: 1 },
+  { id: 6, name: 'NorthWest', q: -1, r: 0 },
+];
+
+/**
+ * Build the string key used to index tiles
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @returns {string} - Key in the form "q,r"
+ */
+export function hexKey(q, r) {
+  return `${q},${r}`;
+}
+
+/**
+ * Parse a key produced by hexKey
+ * @param {string} key - Key in the form "q,r"
+ * @returns {{q: number, r: number}}
+ */
+export function parseHexKey(key) {
+  const [q, r] = key.split(',').map(Number);
+  return { q, r };
+}
+
+/**
+ * Distance in hex steps between two axial coordinates
+ * @param {{q: number, r: number}} a
+ * @param {{q: number, r: number}} b
+ * @returns {number}
+ */
+export function hexDistance(a, b) {
+  const dq = a.q - b.q;
+  const dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+/**
+ * Coordinates of the six neighbours of a hex (they may lie off the map)
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @returns {Array<{q: number, r: number}>}
+ */
+export function hexNeighbors(q, r) {
+  return HEX_DIRECTIONS.map(dir => ({ q: q + dir.q, r: r + dir.r }));
+}
+
+/**
+ * Round fractional axial coordinates to the hex that contains them
+ * @param {number} q - Fractional q
+ * @param {number} r - Fractional r
+ * @returns {{q: number, r: number}}
+ */
+export function hexRound(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+
+  // Fix the coordinate that rounded furthest so q + r + s stays 0
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return { q: rq + 0, r: rr + 0 };
+}
+
+/**
+ * Hexes on the straight line between two hexes, both ends included
+ * Samples are nudged slightly so lines running exactly along hex edges
+ * always pick the same side.
+ * @param {{q: number, r: number}} a - Start hex
+ * @param {{q: number, r: number}} b - End hex
+ * @returns {Array<{q: number, r: number}>}
+ */
+export function hexLine(a, b) {
+  const distance = hexDistance(a, b);
+  if (distance === 0) return [{ q: a.q, r: a.r }];
+
+  const line = [];
+  const epsilon = 1e-6;
+  for (let i = 0; i <= distance; i++) {
+    const t = i / distance;
+    line.push(hexRound(
+      a.q + epsilon + (b.q - a.q) * t,
+      a.r + epsilon + (b.r - a.r) * t,
+    ));
+  }
+  return line;
+}
+
+/**
+ * All coordinates of a hexagon-shaped grid, in the order
+ * MapGenerator.generateHexagonGrid visits them
+ * @param {number} gridRadius - Radius of the grid in hexes
+ * @returns {Array<{q: number, r: number}>}
+ */
+export function hexesInRadius(gridRadius) {
+  const coords = [];
+  for (let q = -gridRadius; q <= gridRadius; q++) {
+    for (
+      let r = Math.max(-gridRadius, -q - gridRadius);
+      r <= Math.min(gridRadius, -q + gridRadius);
+      r++
+    ) {
+      coords.push({ q, r });
+    }
+  }
+  return coords;
+}
+
+/**
+ * Convert axial coordinates to a world-space position on the XZ plane
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @param {Object} layout - Grid layout
+ * @param {number} layout.hexRadius - Radius of a hex (default: 1)
+ * @param {number} layout.horizontalSpacing - Horizontal spacing (default: 1.5)
+ * @param {number} layout.verticalFactor - Vertical spacing factor (default: 1.0)
+ * @returns {{x: number, z: number}}
+ */
+export function axialToWorld(q, r, layout = {}) {
+  const hexRadius = layout.hexRadius ?? 1;
+  const horizontalSpacing = layout.horizontalSpacing ?? 1.5;
+  const verticalFactor = layout.verticalFactor ?? 1.0;
+  return {
+    x: hexRadius * horizontalSpacing * q,
+    z: hexRadius * Math.sqrt(3) * verticalFactor * (r + q / 2),
+  };
+}
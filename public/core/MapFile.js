@@ -0,0 +1,264 @@
+/**
+ * MapFile.js
+ * Hand-made or curated boards, stored as versioned JSON.
+ *
+ * A map file fixes everything random generation would otherwise roll:
+ *   {
+ *     "version": 1,
+ *     "name": "Twin Peaks",
+ *     "description": "Two hills with a lake between them",
+ *     "author": "someone",
+ *     "createdAt": "2026-01-01T12:00:00.000Z",
+ *     "seed": 1234567,
+ *     "grid": { "shape": "hexagon", "radius": 7 },
+ *     "spawns": [ { "q": -5, "r": 2 }, { "q": 5, "r": -2 } ],
+ *     "tiles": [ { "q": 0, "r": 0, "element": "Water", "elevation": 0, "crystal": false }, ... ]
+ *   }
+ * A "hexagon" grid keeps only tiles within its radius; a "custom" grid is
+ * exactly the tiles listed. Spawns are zone centers in player order: match
+ * players whose spawn zone has no fixed center or hex list take them in turn
+ * (see setupMatch). The seed records which roll the board came from, if any.
+ *
+ * Maps live in /assets/data/maps/<name>.json and are picked with ?map=<name>.
+ * MapGenerator builds the board from one instead of rolling it, and exports
+ * the board it built back into this format.
+ */
+import { loadJSON } from './DataLoader.js';
+import { hexDistance, hexKey } from './HexGrid.js';
+import { ELEMENT_TYPES } from './ElementChart.js';
+import { getElevation } from './Elevation.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[MAP] ${message}`, data);
+  } else {
+    console.log(`[MAP] ${message}`);
+  }
+}
+
+/**
+ * Map file format version written by toJSON()
+ */
+export const MAP_VERSION = 1;
+
+/**
+ * Outline of the board
+ */
+export const MAP_SHAPES = {
+  HEXAGON: 'hexagon',
+  CUSTOM: 'custom',
+};
+
+/**
+ * Folder the ?map= parameter looks in
+ */
+export const MAP_FOLDER_URL = '/assets/data/maps';
+
+/**
+ * Zone centers of the spawn zones on a board, in turn order
+ * A zone's center is its tile closest to all the others.
+ * @param {GameState} state - State whose tiles carry spawnOwner
+ * @returns {Array<{q: number, r: number}>}
+ */
+export function getSpawnPoints(state) {
+  const zones = new Map();
+  state.getTiles().forEach(tile => {
+    if (!tile.spawnOwner) return;
+    if (!zones.has(tile.spawnOwner)) zones.set(tile.spawnOwner, []);
+    zones.get(tile.spawnOwner).push(tile);
+  });
+
+  const order = state.getPlayers().map(player => player.id);
+  const owners = [...zones.keys()].sort((a, b) => {
+    const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+    const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+    return indexA - indexB;
+  });
+
+  return owners.map(owner => {
+    const tiles = zones.get(owner);
+    const spread = tile => tiles.reduce((sum, other) => sum + hexDistance(tile, other), 0);
+    const center = tiles.reduce((best, tile) => (spread(tile) < spread(best) ? tile : best));
+    return { q: center.q, r: center.r };
+  });
+}
+
+/**
+ * Class holding a validated map
+ */
+export class MapFile {
+  /**
+   * @param {Object} data - Parsed map JSON
+   */
+  constructor(data = {}) {
+    if ((data.version || 1) > MAP_VERSION) {
+      console.warn(`[MAP] Map v${data.version} is newer than this game (v${MAP_VERSION}), fields may be ignored`);
+    }
+    this.version = data.version || 1;
+    this.name = data.name || 'Map';
+    this.description = data.description || '';
+    this.author = data.author || '';
+    this.createdAt = data.createdAt || null;
+    this.seed = data.seed ?? null;
+
+    const grid = data.grid || {};
+    let shape = grid.shape || MAP_SHAPES.HEXAGON;
+    if (!Object.values(MAP_SHAPES).includes(shape)) {
+      console.warn(`[MAP] Unknown grid shape '${shape}' in map '${this.name}', keeping the tiles as listed`);
+      shape = MAP_SHAPES.CUSTOM;
+    }
+    this.grid = { shape, radius: 0 };
+
+    this.tiles = this._parseTiles(Array.isArray(data.tiles) ? data.tiles : [], grid.radius);
+    // A hexagon's radius defaults to whatever its tiles reach
+    this.grid.radius = shape === MAP_SHAPES.HEXAGON && typeof grid.radius === 'number'
+      ? Math.floor(grid.radius)
+      : this.tiles.reduce((radius, tile) => Math.max(radius, hexDistance(tile, { q: 0, r: 0 })), 0);
+
+    const onBoard = new Set(this.tiles.map(tile => hexKey(tile.q, tile.r)));
+    this.spawns = (Array.isArray(data.spawns) ? data.spawns : []).filter(spawn => {
+      const valid = spawn && Number.isInteger(spawn.q) && Number.isInteger(spawn.r)
+        && onBoard.has(hexKey(spawn.q, spawn.r));
+      if (!valid) console.warn(`[MAP] Spawn point off the board in map '${this.name}':`, spawn);
+      return valid;
+    }).map(({ q, r }) => ({ q, r }));
+
+    if (this.tiles.length === 0) {
+      console.warn(`[MAP] Map '${this.name}' has no tiles`);
+    }
+  }
+
+  /**
+   * Fill in defaults for every tile and drop the ones that can't be placed
+   * @param {Array<Object>} tiles - Tile entries from the JSON
+   * @param {number} radius - Hexagon radius, tiles beyond it are dropped
+   * @returns {Array<Object>}
+   * @private
+   */
+  _parseTiles(tiles, radius) {
+    const seen = new Set();
+    const clipped = this.grid.shape === MAP_SHAPES.HEXAGON && typeof radius === 'number';
+
+    return tiles.filter(tile => {
+      if (!tile || !Number.isInteger(tile.q) || !Number.isInteger(tile.r)) {
+        console.warn(`[MAP] Tile without integer coordinates in map '${this.name}':`, tile);
+        return false;
+      }
+      const key = hexKey(tile.q, tile.r);
+      if (seen.has(key)) {
+        console.warn(`[MAP] Tile (${tile.q}, ${tile.r}) listed twice in map '${this.name}', keeping the first`);
+        return false;
+      }
+      if (clipped && hexDistance(tile, { q: 0, r: 0 }) > radius) {
+        console.warn(`[MAP] Tile (${tile.q}, ${tile.r}) lies outside radius ${radius} in map '${this.name}'`);
+        return false;
+      }
+      seen.add(key);
+      return true;
+    }).map(tile => {
+      let element = tile.element;
+      if (!ELEMENT_TYPES.includes(element)) {
+        console.warn(`[MAP] Unknown element '${element}' at (${tile.q}, ${tile.r}), using ${ELEMENT_TYPES[0]}`);
+        element = ELEMENT_TYPES[0];
+      }
+      return {
+        q: tile.q,
+        r: tile.r,
+        element,
+        elevation: Math.max(0, Math.floor(Number(tile.elevation) || 0)),
+        // Listed crystals are the whole story: nothing is rolled on a map file
+        crystal: !!tile.crystal,
+      };
+    });
+  }
+
+  /**
+   * Load a map from its data file
+   * @param {string} url - Location of the map JSON
+   * @returns {Promise<MapFile>}
+   */
+  static async load(url) {
+    const data = await loadJSON(url);
+    debugLog(`Map '${data.name || url}' v${data.version || 1} loaded`);
+    return new MapFile(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed map data
+   * @returns {MapFile}
+   */
+  static fromJSON(data) {
+    return new MapFile(data);
+  }
+
+  /**
+   * Capture a board as a map
+   * @param {Array<Object>} tiles - Tile records (element, elevation, crystal)
+   * @param {Object} metadata - Optional map details
+   * @param {string} metadata.name - Map name
+   * @param {string} metadata.description - What the map is like
+   * @param {string} metadata.author - Who made or picked it
+   * @param {number} metadata.seed - Seed the board was rolled from
+   * @param {Array<{q: number, r: number}>} metadata.spawns - Zone centers in player order
+   * @param {number} metadata.radius - Hexagon radius; without it the grid is custom
+   * @returns {MapFile}
+   */
+  static fromTiles(tiles, metadata = {}) {
+    const hexagon = typeof metadata.radius === 'number';
+    return new MapFile({
+      version: MAP_VERSION,
+      name: metadata.name,
+      description: metadata.description,
+      author: metadata.author,
+      createdAt: new Date().toISOString(),
+      seed: metadata.seed,
+      grid: hexagon
+        ? { shape: MAP_SHAPES.HEXAGON, radius: metadata.radius }
+        : { shape: MAP_SHAPES.CUSTOM },
+      spawns: metadata.spawns || [],
+      tiles: tiles.map(tile => ({
+        q: tile.q,
+        r: tile.r,
+        element: tile.element,
+        elevation: getElevation(tile),
+        crystal: !!tile.crystal,
+      })),
+    });
+  }
+
+  /**
+   * Replace a state's tiles with the map's
+   * @param {GameState} state - State to fill; players and beasts are left alone
+   */
+  applyTo(state) {
+    state.clearTiles();
+    this.tiles.forEach(({ q, r, ...tile }) => state.setTile(q, r, tile));
+    debugLog(`Placed map '${this.name}': ${this.tiles.length} tiles, ${this.spawns.length} spawn point(s)`);
+  }
+
+  /**
+   * @returns {Object} - Data in the map JSON format
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      author: this.author,
+      createdAt: this.createdAt,
+      seed: this.seed,
+      grid: this.grid,
+      spawns: this.spawns,
+      tiles: this.tiles,
+    }));
+  }
+}
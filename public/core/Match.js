@@ -0,0 +1,316 @@
+/**
+ * Match.js
+ * Starts a match from a MatchDefinition and decides when it is over.
+ *
+ * setupMatch() turns the definition into state: players, spawn zones and
+ * starting beasts. The Match class then watches the state and ends the match
+ * as soon as a victory condition holds:
+ *   elimination    - only one team still has beasts on the board
+ *   crystalTarget  - a team's combined crystal pool reaches the target
+ *   turnLimit      - after this many rounds the team with the most crystals
+ *                    (then the most remaining HP) wins, ties are a draw
+ * The outcome and per-player stats are kept in state.match so they are
+ * saved and replayed with everything else.
+ */
+import { hexDistance } from './HexGrid.js';
+import { createBeastStats } from './BeastDefinitions.js';
+import { assignSpawnZone } from './Summoning.js';
+import { getCombatStat } from './Combat.js';
+
+/**
+ * Lifecycle of state.match.status
+ */
+export const MATCH_STATUS = {
+  SETUP: 'setup',
+  IN_PROGRESS: 'inProgress',
+  FINISHED: 'finished',
+};
+
+/**
+ * Why a match ended
+ */
+export const VICTORY_REASONS = {
+  ELIMINATION: 'elimination',
+  CRYSTAL_TARGET: 'crystalTarget',
+  TURN_LIMIT: 'turnLimit',
+};
+
+/**
+ * Counters kept per player for the results screen
+ * @returns {Object}
+ */
+function createPlayerStats() {
+  return {
+    damageDealt: 0,
+    beastsDefeated: 0,
+    beastsLost: 0,
+    beastsSummoned: 0,
+    crystalsCollected: 0,
+  };
+}
+
+/**
+ * Put a player's spawn zone on the board
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Owning player id
+ * @param {Object} zone - Spawn zone entry from the definition
+ * @param {Function} random - Returns a float in [0, 1)
+ * @returns {Array<Object>} - Zone tiles, closest to the zone center first
+ */
+export function placeSpawnZone(state, playerId, zone, random = Math.random) {
+  if (Array.isArray(zone.hexes)) {
+    return zone.hexes
+      .filter(({ q, r }) => state.getTile(q, r))
+      .map(({ q, r }) => state.setTile(q, r, { spawnOwner: playerId }));
+  }
+
+  let center = zone.center;
+  if (!center) {
+    // Keep zones from touching: no claimed tile within two radii
+    const claimed = state.getTiles().filter(tile => tile.spawnOwner);
+    const isClear = tile => !tile.spawnOwner
+      && !state.getBeastAt(tile.q, tile.r)
+      && claimed.every(other => hexDistance(tile, other) > zone.radius * 2 + 1);
+
+    const clear = state.getTiles().filter(isClear);
+    const matching = clear.filter(tile => tile.element === zone.element);
+    const candidates = matching.length > 0 ? matching : clear;
+    if (candidates.length === 0) {
+      console.warn(`[MATCH] No room for ${playerId}'s spawn zone`);
+      return [];
+    }
+    if (zone.element && matching.length === 0) {
+      console.warn(`[MATCH] No free ${zone.element} hex for ${playerId}'s spawn zone, using any hex`);
+    }
+    center = candidates[Math.floor(random() * candidates.length)];
+  }
+
+  return assignSpawnZone(state, playerId, center, zone.radius)
+    .sort((a, b) => hexDistance(a, center) - hexDistance(b, center));
+}
+
+/**
+ * Fill a state with a definition's players, spawn zones and starting beasts
+ * The map tiles must already be in the state.
+ * @param {GameState} state - The game state
+ * @param {MatchDefinition} definition - The match to set up
+ * @param {Object} options - Optional settings
+ * @param {Object} options.definitions - Beast definitions keyed by type, for starting stats
+ * @param {Function} options.random - Returns a float in [0, 1), picks spawn zones
+ * @param {Array<{q: number, r: number}>} options.spawnPoints - Zone centers from a map file,
+ *   handed in order to players whose zone has no fixed center or hex list
+ * @returns {Array<Object>} - The starting beast records
+ */
+export function setupMatch(state, definition, options = {}) {
+  const random = options.random || Math.random;
+  const spawnPoints = [...(options.spawnPoints || [])];
+  const stats = {};
+
+  definition.players.forEach(player => {
+    if (state.getPlayer(player.id)) {
+      console.warn(`[MATCH] Player ${player.id} already exists, skipping`);
+      return;
+    }
+    state.addPlayer({
+      id: player.id,
+      name: player.name,
+      team: player.team,
+      color: definition.getPlayerColor(player),
+      controller: player.controller,
+      crystals: player.startingCrystals,
+    });
+    stats[player.id] = createPlayerStats();
+  });
+
+  state.setMatch({
+    name: definition.name,
+    status: MATCH_STATUS.SETUP,
+    teams: JSON.parse(JSON.stringify(definition.teams)),
+    victory: { ...definition.victory },
+    result: null,
+    stats,
+  });
+
+  const beasts = [];
+  definition.players.forEach(player => {
+    let spawnZone = player.spawnZone;
+    // A map's spawn point beats rolling a hex of the zone's biome
+    if (!spawnZone.center && !Array.isArray(spawnZone.hexes) && spawnPoints.length > 0) {
+      spawnZone = { ...spawnZone, center: spawnPoints.shift() };
+    }
+    const zone = placeSpawnZone(state, player.id, spawnZone, random);
+    const freeTiles = zone.filter(tile => !state.getBeastAt(tile.q, tile.r));
+
+    player.startingBeasts.forEach(type => {
+      const tile = freeTiles.shift();
+      if (!tile) {
+        console.warn(`[MATCH] No free spawn hex left for ${player.id}'s ${type} Beast`);
+        return;
+      }
+      const definitionForType = options.definitions?.[type];
+      beasts.push(state.addBeast({
+        type,
+        owner: player.id,
+        q: tile.q,
+        r: tile.r,
+        ...(definitionForType ? createBeastStats(definitionForType) : {}),
+      }));
+    });
+  });
+
+  console.log(`[MATCH] Set up '${definition.name}': ${definition.players.length} players, ${definition.teams.length} teams, ${beasts.length} starting beasts`);
+  return beasts;
+}
+
+/**
+ * Standing of every team: beasts left, crystals banked, HP remaining
+ * @param {GameState} state - The game state
+ * @returns {Array<{id: string, players: Array<string>, beasts: number, crystals: number, hp: number}>}
+ */
+export function getTeamStandings(state) {
+  const teams = new Map();
+  state.getPlayers().forEach(player => {
+    const teamId = player.team ?? player.id;
+    if (!teams.has(teamId)) {
+      teams.set(teamId, { id: teamId, players: [], beasts: 0, crystals: 0, hp: 0 });
+    }
+    const team = teams.get(teamId);
+    team.players.push(player.id);
+    team.crystals += player.crystals || 0;
+    state.getBeastsByOwner(player.id).forEach(beast => {
+      team.beasts++;
+      team.hp += beast.hp ?? getCombatStat(beast, 'maxHp');
+    });
+  });
+  return [...teams.values()];
+}
+
+/**
+ * Check the victory conditions without changing anything
+ * @param {GameState} state - The game state
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.roundComplete - True right after the last player of a round ended their turn
+ * @returns {{winner: string|null, reason: string}|null} - null while the match goes on
+ */
+export function checkVictory(state, options = {}) {
+  const victory = state.match.victory || {};
+  const standings = getTeamStandings(state);
+  if (standings.length < 2) return null;
+
+  if (victory.elimination) {
+    const alive = standings.filter(team => team.beasts > 0);
+    if (alive.length <= 1) {
+      return { winner: alive.length === 1 ? alive[0].id : null, reason: VICTORY_REASONS.ELIMINATION };
+    }
+  }
+
+  if (victory.crystalTarget > 0) {
+    const reached = standings.filter(team => team.crystals >= victory.crystalTarget);
+    if (reached.length > 0) {
+      const best = Math.max(...reached.map(team => team.crystals));
+      const leaders = reached.filter(team => team.crystals === best);
+      return { winner: leaders.length === 1 ? leaders[0].id : null, reason: VICTORY_REASONS.CRYSTAL_TARGET };
+    }
+  }
+
+  if (victory.turnLimit > 0 && options.roundComplete && (state.turn.round || 0) >= victory.turnLimit) {
+    const ranked = [...standings].sort((a, b) => (b.crystals - a.crystals) || (b.hp - a.hp));
+    const [first, second] = ranked;
+    const tied = second && first.crystals === second.crystals && first.hp === second.hp;
+    return { winner: tied ? null : first.id, reason: VICTORY_REASONS.TURN_LIMIT };
+  }
+
+  return null;
+}
+
+/**
+ * Class running a set-up match: tracks stats and ends it on victory
+ */
+export class Match {
+  /**
+   * @param {GameState} state - State already filled by setupMatch()
+   * @param {TurnManager} turnManager - Stopped when the match ends
+   */
+  constructor(state, turnManager) {
+    this.state = state;
+    this.turnManager = turnManager;
+
+    const check = () => this.checkVictory();
+    this._unsubscribers = [
+      state.on('beastAttacked', ({ attacker, result }) => {
+        this._addStat(attacker.owner, 'damageDealt', Math.min(result.damage, result.hpBefore));
+        if (result.fainted) this._addStat(attacker.owner, 'beastsDefeated', 1);
+      }),
+      state.on('beastRemoved', ({ beast, reason }) => {
+        if (reason === 'fainted') this._addStat(beast.owner, 'beastsLost', 1);
+        check();
+      }),
+      state.on('beastSummoned', ({ player }) => this._addStat(player.id, 'beastsSummoned', 1)),
+      state.on('crystalCollected', ({ player, amount }) => this._addStat(player.id, 'crystalsCollected', amount)),
+      state.on('playerUpdated', check),
+      turnManager.on('turnEnd', ({ player }) => {
+        const players = state.getPlayers();
+        const roundComplete = players[players.length - 1]?.id === player.id;
+        this.checkVictory({ roundComplete });
+      }),
+    ];
+  }
+
+  /**
+   * Begin the first turn
+   */
+  start() {
+    this.state.setMatch({ status: MATCH_STATUS.IN_PROGRESS });
+    this.turnManager.startMatch();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOver() {
+    return this.state.match.status === MATCH_STATUS.FINISHED;
+  }
+
+  /**
+   * End the match if a victory condition holds
+   * @param {Object} options - Passed to checkVictory()
+   * @returns {Object|null} - The result when the match just ended
+   */
+  checkVictory(options = {}) {
+    if (this.state.match.status !== MATCH_STATUS.IN_PROGRESS) return null;
+    const outcome = checkVictory(this.state, options);
+    if (!outcome) return null;
+
+    const result = {
+      ...outcome,
+      turn: this.state.turn.number,
+      round: this.state.turn.round,
+      standings: getTeamStandings(this.state),
+    };
+    const winner = this.state.match.teams.find(team => team.id === result.winner);
+    console.log(`[MATCH] Match over (${result.reason}): ${winner ? `${winner.name} wins` : 'draw'}`);
+
+    this.state.setMatch({ status: MATCH_STATUS.FINISHED, result });
+    this.turnManager.endMatch();
+    return result;
+  }
+
+  /**
+   * @param {string} playerId - Player id
+   * @param {string} stat - Counter name from createPlayerStats()
+   * @param {number} amount - Amount to add
+   * @private
+   */
+  _addStat(playerId, stat, amount) {
+    const stats = this.state.match.stats;
+    if (!stats[playerId]) stats[playerId] = createPlayerStats();
+    stats[playerId][stat] += amount;
+  }
+
+  /**
+   * Stop watching the state
+   */
+  dispose() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * MatchDefinition.js
+ * Describes a match before it starts: teams, players, where each player's
+ * spawn zone goes, which beasts they start with and how the match is won.
+ *
+ * Definitions live in /assets/data/matches/<name>.json. A spawn zone is one of
+ *   { "center": { "q": 0, "r": 0 }, "radius": 1 }  fixed position
+ *   { "element": "Fire", "radius": 1 }             random hex of a biome
+ *   { "hexes": [{ "q": 0, "r": 0 }, ...] }         explicit list
+ * On a map file with spawn points (see MapFile.js), zones without a center or
+ * hex list are placed on those points instead of a random biome hex.
+ * Victory conditions left out (or set to 0/false) are not checked.
+ * A player's controller is "human" (default) or "ai" for a computer opponent.
+ */
+import { loadJSON } from './DataLoader.js';
+import { DEFAULT_SPAWN_ZONE_RADIUS } from './Summoning.js';
+
+/**
+ * Definition used when no match file is given
+ */
+export const DEFAULT_MATCH_URL = '/assets/data/matches/skirmish.json';
+
+/**
+ * Victory settings used for anything a definition leaves out
+ */
+export const DEFAULT_VICTORY = {
+  elimination: true,
+  crystalTarget: 0,
+  turnLimit: 0,
+};
+
+/**
+ * Who makes a player's decisions
+ */
+export const PLAYER_CONTROLLERS = {
+  HUMAN: 'human',
+  AI: 'ai',
+};
+
+/**
+ * Colors handed to teams that don't pick their own
+ */
+const TEAM_COLORS = ['#ff6b35', '#3fa9f5', '#7cfc00', '#c77dff', '#ffd700', '#ff4da6'];
+
+/**
+ * Class holding a validated match definition
+ */
+export class MatchDefinition {
+  /**
+   * @param {Object} data - Parsed match JSON
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.name = data.name || 'Match';
+    this.description = data.description || '';
+
+    this.teams = (data.teams || []).map((team, index) => ({
+      id: team.id,
+      name: team.name || team.id,
+      color: team.color || TEAM_COLORS[index % TEAM_COLORS.length],
+    }));
+
+    this.players = (data.players || []).map(player => this._parsePlayer(player));
+
+    // Players naming a team nobody declared get one of their own
+    this.players.forEach(player => {
+      if (this.getTeam(player.team)) return;
+      this.teams.push({
+        id: player.team,
+        name: player.team,
+        color: TEAM_COLORS[this.teams.length % TEAM_COLORS.length],
+      });
+    });
+
+    this.victory = { ...DEFAULT_VICTORY, ...(data.victory || {}) };
+
+    if (this.players.length < 2) {
+      console.warn(`[MATCH] Match '${this.name}' has ${this.players.length} player(s), at least 2 are needed`);
+    }
+    if (this.teams.length < 2) {
+      console.warn(`[MATCH] Match '${this.name}' has only ${this.teams.length} team(s), nobody can win by elimination`);
+    }
+  }
+
+  /**
+   * Fill in defaults for one player entry
+   * @param {Object} player - Player entry from the JSON
+   * @returns {Object}
+   * @private
+   */
+  _parsePlayer(player) {
+    if (!player.id) {
+      console.warn('[MATCH] Player entry without an id:', player);
+    }
+    const spawnZone = { radius: DEFAULT_SPAWN_ZONE_RADIUS, ...(player.spawnZone || {}) };
+    let controller = player.controller || PLAYER_CONTROLLERS.HUMAN;
+    if (!Object.values(PLAYER_CONTROLLERS).includes(controller)) {
+      console.warn(`[MATCH] Unknown controller '${controller}' for ${player.id}, using human`);
+      controller = PLAYER_CONTROLLERS.HUMAN;
+    }
+    return {
+      id: player.id,
+      name: player.name || player.id,
+      team: player.team || player.id,
+      color: player.color || null,
+      controller,
+      startingCrystals: player.startingCrystals || 0,
+      spawnZone,
+      startingBeasts: Array.isArray(player.startingBeasts) ? [...player.startingBeasts] : [],
+    };
+  }
+
+  /**
+   * Load a definition from its data file
+   * @param {string} url - Location of the match JSON
+   * @returns {Promise<MatchDefinition>}
+   */
+  static async load(url = DEFAULT_MATCH_URL) {
+    const data = await loadJSON(url);
+    console.log(`[MATCH] Match definition '${data.name || url}' v${data.version || 1} loaded`);
+    return new MatchDefinition(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed match data
+   * @returns {MatchDefinition}
+   */
+  static fromJSON(data) {
+    return new MatchDefinition(data);
+  }
+
+  /**
+   * @param {string} teamId - Team id
+   * @returns {Object|null}
+   */
+  getTeam(teamId) {
+    return this.teams.find(team => team.id === teamId) || null;
+  }
+
+  /**
+   * Color a player is drawn in: its own, else its team's
+   * @param {Object} player - Player entry
+   * @returns {string}
+   */
+  getPlayerColor(player) {
+    return player.color || this.getTeam(player.team)?.color || '#bbbbbb';
+  }
+
+  /**
+   * @returns {Object} - Data in the match JSON format
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify({
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      teams: this.teams,
+      players: this.players,
+      victory: this.victory,
+    }));
+  }
+}
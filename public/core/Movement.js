@@ -0,0 +1,142 @@
+/**
+ * Movement.js
+ * Which hexes a beast can reach with its movement budget.
+ *
+ * A beast spends one 'move' action to travel anywhere within its
+ * movementRange. Reachability is a flood fill (Dijkstra over step costs)
+ * so the same result drives the range overlay, click validation and AI.
+ * Step costs come from a TerrainCosts table when one is passed in
+ * (options.terrainCosts), including the climb cost for stepping up onto a
+ * higher hex; otherwise every step costs 1.
+ */
+import { hexKey, hexNeighbors } from './HexGrid.js';
+import { getCombatStat } from './Combat.js';
+import { getElevation } from './Elevation.js';
+
+/**
+ * Movement range used when a beast record has no stats
+ */
+export const DEFAULT_MOVEMENT_RANGE = 3;
+
+/**
+ * Movement budget of a beast
+ * @param {Object} beast - Beast record
+ * @returns {number}
+ */
+export function getMovementRange(beast) {
+  return getCombatStat(beast, 'movementRange') ?? DEFAULT_MOVEMENT_RANGE;
+}
+
+/**
+ * Cost for a beast to step from one hex onto a neighbouring one
+ * @param {GameState} state - The game state
+ * @param {Object} beast - Moving beast record
+ * @param {Object} from - Tile stepped off
+ * @param {Object} to - Tile stepped onto
+ * @param {TerrainCosts} terrainCosts - Per-biome costs (optional)
+ * @returns {number} - Step cost, Infinity when the step is impossible
+ */
+export function getStepCost(state, beast, from, to, terrainCosts = null) {
+  if (!terrainCosts) return 1;
+  const climb = getElevation(to) - getElevation(from);
+  return terrainCosts.getCost(beast.type, to.element) + terrainCosts.getClimbCost(beast.type, climb);
+}
+
+/**
+ * Whether a beast may pass through a hex on its way somewhere else
+ * Allied beasts (same owner or team) can be walked through, enemies block.
+ * @param {GameState} state - The game state
+ * @param {Object} beast - Moving beast record
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @returns {boolean}
+ */
+export function canPassThrough(state, beast, q, r) {
+  const occupant = state.getBeastAt(q, r);
+  return !occupant || occupant.id === beast.id || state.areAllies(occupant.owner, beast.owner);
+}
+
+/**
+ * Whether a beast may end its move on a hex
+ * @param {GameState} state - The game state
+ * @param {Object} beast - Moving beast record
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @returns {boolean}
+ */
+export function canStopOn(state, beast, q, r) {
+  if (!state.getTile(q, r)) return false;
+  const occupant = state.getBeastAt(q, r);
+  return !occupant || occupant.id === beast.id;
+}
+
+/**
+ * Flood-fill every hex a beast can move to within its budget
+ * @param {GameState} state - The game state
+ * @param {string} beastId - Beast id
+ * @param {Object} options - Optional settings
+ * @param {number} options.budget - Override the beast's movement range
+ * @param {TerrainCosts} options.terrainCosts - Per-biome step costs
+ * @returns {Map<string, {q: number, r: number, cost: number, previous: string|null}>}
+ *   Reachable destinations keyed by "q,r" (the start hex is not included)
+ */
+export function getReachableHexes(state, beastId, options = {}) {
+  const reachable = new Map();
+  const beast = state.getBeast(beastId);
+  if (!beast) {
+    console.warn(`[MOVEMENT] Cannot compute range for unknown beast ${beastId}`);
+    return reachable;
+  }
+
+  const budget = options.budget ?? getMovementRange(beast);
+  const startKey = hexKey(beast.q, beast.r);
+
+  // Best known cost per hex, including pass-through-only hexes
+  const visited = new Map([[startKey, { q: beast.q, r: beast.r, cost: 0, previous: null }]]);
+  const frontier = [visited.get(startKey)];
+
+  while (frontier.length > 0) {
+    // Small maps and budgets: a sorted array is enough of a priority queue
+    frontier.sort((a, b) => a.cost - b.cost);
+    const current = frontier.shift();
+    const currentKey = hexKey(current.q, current.r);
+    const currentTile = state.getTile(current.q, current.r);
+
+    hexNeighbors(current.q, current.r).forEach(({ q, r }) => {
+      const tile = state.getTile(q, r);
+      if (!tile || !canPassThrough(state, beast, q, r)) return;
+
+      const cost = current.cost + getStepCost(state, beast, currentTile, tile, options.terrainCosts);
+      if (cost > budget) return;
+
+      const key = hexKey(q, r);
+      const known = visited.get(key);
+      if (known && known.cost <= cost) return;
+
+      const node = { q, r, cost, previous: currentKey };
+      visited.set(key, node);
+      frontier.push(node);
+    });
+  }
+
+  visited.forEach((node, key) => {
+    if (key !== startKey && canStopOn(state, beast, node.q, node.r)) {
+      reachable.set(key, node);
+    }
+  });
+
+  return reachable;
+}
+
+/**
+ * Whether a beast can move to a hex with one move action
+ * @param {GameState} state - The game state
+ * @param {string} beastId - Beast id
+ * @param {number} q - Destination q coordinate
+ * @param {number} r - Destination r coordinate
+ * @param {Object} options - Passed through to getReachableHexes
+ * @returns {boolean}
+ */
+export function canReach(state, beastId, q, r, options = {}) {
+  return getReachableHexes(state, beastId, options).has(hexKey(q, r));
+}
@@ -0,0 +1,90 @@
+/**
+ * Pathfinding.js
+ * A* search over axial hex coordinates.
+ *
+ * Uses the same step costs and blocking rules as Movement.js, so a path
+ * exists exactly when the destination shows up in the range overlay.
+ */
+import { hexKey, parseHexKey, hexDistance, hexNeighbors } from './HexGrid.js';
+import { getStepCost, canPassThrough, canStopOn, getMovementRange } from './Movement.js';
+
+/**
+ * Find the cheapest path for a beast to a destination hex
+ * @param {GameState} state - The game state
+ * @param {string} beastId - Moving beast id
+ * @param {{q: number, r: number}} goal - Destination hex
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxCost - Give up on paths costing more (default: the beast's movement range)
+ * @param {TerrainCosts} options.terrainCosts - Per-biome step costs
+ * @returns {{path: Array<{q: number, r: number}>, cost: number}|null}
+ *   Hexes to walk through, excluding the start and including the goal,
+ *   or null when the goal can't be reached
+ */
+export function findPath(state, beastId, goal, options = {}) {
+  const beast = state.getBeast(beastId);
+  if (!beast) {
+    console.warn(`[PATH] Cannot find a path for unknown beast ${beastId}`);
+    return null;
+  }
+
+  if (beast.q === goal.q && beast.r === goal.r) return { path: [], cost: 0 };
+  if (!canStopOn(state, beast, goal.q, goal.r)) return null;
+
+  const maxCost = options.maxCost ?? getMovementRange(beast);
+  const startKey = hexKey(beast.q, beast.r);
+  const goalKey = hexKey(goal.q, goal.r);
+
+  // Cheapest known cost and parent per hex
+  const costs = new Map([[startKey, 0]]);
+  const parents = new Map([[startKey, null]]);
+  const open = [{ q: beast.q, r: beast.r, cost: 0, estimate: hexDistance(beast, goal) }];
+  const closed = new Set();
+
+  while (open.length > 0) {
+    // Maps are small, a sorted array works as the priority queue
+    open.sort((a, b) => a.estimate - b.estimate || b.cost - a.cost);
+    const current = open.shift();
+    const currentKey = hexKey(current.q, current.r);
+
+    if (currentKey === goalKey) {
+      return { path: rebuildPath(parents, goalKey), cost: current.cost };
+    }
+    if (closed.has(currentKey)) continue;
+    closed.add(currentKey);
+
+    const currentTile = state.getTile(current.q, current.r);
+    hexNeighbors(current.q, current.r).forEach(({ q, r }) => {
+      const key = hexKey(q, r);
+      if (closed.has(key)) return;
+
+      const tile = state.getTile(q, r);
+      if (!tile || !canPassThrough(state, beast, q, r)) return;
+
+      const cost = current.cost + getStepCost(state, beast, currentTile, tile, options.terrainCosts);
+      if (cost > maxCost) return;
+      if (costs.has(key) && costs.get(key) <= cost) return;
+
+      costs.set(key, cost);
+      parents.set(key, currentKey);
+      open.push({ q, r, cost, estimate: cost + hexDistance({ q, r }, goal) });
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Walk parent links back from the goal
+ * @param {Map<string, string|null>} parents - Parent key per hex key
+ * @param {string} goalKey - Key of the goal hex
+ * @returns {Array<{q: number, r: number}>} - Path from just after the start to the goal
+ */
+function rebuildPath(parents, goalKey) {
+  const path = [];
+  let key = goalKey;
+  while (parents.get(key) !== null) {
+    path.unshift(parseHexKey(key));
+    key = parents.get(key);
+  }
+  return path;
+}
@@ -0,0 +1,150 @@
+/**
+ * Random.js
+ * Seeded random numbers, so the same seed plays out the same game.
+ *
+ * Every random choice in a match draws from a Random built from the match
+ * seed instead of Math.random(): biomes, elevation hills and crystals when
+ * the map is generated, spawn zones, combat and ability damage rolls,
+ * spreading terrain and the easy computer opponent.
+ *
+ * Each of those systems draws from its own stream, forked from the seed by
+ * name, so one system drawing more numbers (an extra attack, a regenerated
+ * map) never shifts what another one rolls. Forking the same name twice gives
+ * the same stream again.
+ *
+ * Functions taking a `random` option expect a plain () => [0, 1) function;
+ * hand them a stream's next method, which is bound to its Random.
+ *
+ * The generator is mulberry32: small, fast and good enough for a game, not
+ * for anything security related.
+ */
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[RANDOM] ${message}`, data);
+  } else {
+    console.log(`[RANDOM] ${message}`);
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Turn a seed given as a number or text into the integer the generator uses
+ * Whole numbers (also as text, e.g. from the URL) are used as they are, any
+ * other text is hashed.
+ * @param {number|string} seed - Seed
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+    seed = Number(seed.trim());
+  }
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  return hashSeed(String(seed));
+}
+
+/**
+ * Fresh seed for a match nobody asked a seed for
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Class producing a reproducible sequence of random numbers from a seed
+ */
+export class Random {
+  /**
+   * @param {number|string} seed - Seed, see normalizeSeed() (default: a fresh one)
+   */
+  constructor(seed = createSeed()) {
+    this.seed = normalizeSeed(seed);
+    // Generator position; advancing it is all next() does
+    this.state = this.seed;
+    // Bound so the method can be handed around as a plain random function
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Next number of the sequence
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Whole number in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number}
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random entry of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} - The picked item, undefined for an empty array
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Independent stream for one system, derived from this seed and a name
+   * @param {string} name - Stream name, e.g. 'map' or 'combat'
+   * @returns {Random} - Starts from the beginning on every call
+   */
+  fork(name) {
+    const stream = new Random(hashSeed(`${this.seed}/${name}`));
+    debugLog(`Forked '${name}' stream from seed ${this.seed}`);
+    return stream;
+  }
+
+  /**
+   * @returns {Object} - Seed and position, enough to continue the sequence
+   */
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * @param {Object} data - toJSON() output
+   * @returns {Random} - Continues where the saved one stopped
+   */
+  static fromJSON(data) {
+    const random = new Random(data.seed);
+    if (typeof data.state === 'number') random.state = data.state >>> 0;
+    return random;
+  }
+}
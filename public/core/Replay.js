@@ -0,0 +1,328 @@
+/**
+ * Replay.js
+ * Recording a match as a list of commands, and playing it back.
+ *
+ * A replay file holds what is needed to rebuild a match from scratch: the
+ * seed every random roll came from (see Random.js), the match definition and
+ * the commands in the order they ran:
+ *   {
+ *     "version": 1,
+ *     "seed": 1234567,
+ *     "match": { ...match definition JSON },
+ *     "map": { ...map file JSON, null for a board rolled from the seed },
+ *     "commands": [ { "type": "move", "beastId": "beast-1", "q": 1, "r": 0 }, ... ],
+ *     "result": { ...state.match.result, null while unfinished },
+ *     "recordedAt": "2026-01-01T12:00:00.000Z"
+ *   }
+ *
+ * Playing it back builds the map (from the map file, else from the seed),
+ * sets up the match and runs the commands on the live state one by one, so
+ * the renderers animate them exactly as in live play. Undone commands are left out of the file,
+ * and the data files (beasts, abilities, rules) must match the ones the
+ * match was recorded with.
+ *
+ * Events emitted (on the ReplayPlayer):
+ *   stepped          { position, command, result }
+ *   seeked           { position }
+ *   playbackChanged  { playing }
+ *   replayError      { position, command, reason }
+ *
+ * Events emitted (on the GameState):
+ *   stateRestored    { reason }  ('replay', after jumping to another position)
+ */
+import { loadJSON } from './DataLoader.js';
+import { EventEmitter } from './EventEmitter.js';
+import { checkCommand, executeCommand } from './Commands.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[REPLAY] ${message}`, data);
+  } else {
+    console.log(`[REPLAY] ${message}`);
+  }
+}
+
+/**
+ * Replay file format version written by ReplayRecorder
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Check a parsed replay file and fill in defaults
+ * @param {Object} data - Parsed replay JSON
+ * @returns {Object} - Replay data
+ * @throws {Error} - When the seed, match or commands are missing
+ */
+export function parseReplay(data) {
+  if (!data || data.seed === undefined || data.seed === null) {
+    throw new Error('Replay has no seed');
+  }
+  if (!data.match || !Array.isArray(data.match.players)) {
+    throw new Error('Replay has no match definition');
+  }
+  if (!Array.isArray(data.commands)) {
+    throw new Error('Replay has no command list');
+  }
+  if ((data.version || 1) > REPLAY_VERSION) {
+    console.warn(`[REPLAY] Replay v${data.version} is newer than this game (v${REPLAY_VERSION}), playing it anyway`);
+  }
+
+  return {
+    version: data.version || 1,
+    seed: data.seed,
+    match: data.match,
+    map: data.map || null,
+    commands: data.commands,
+    result: data.result || null,
+    recordedAt: data.recordedAt || null,
+  };
+}
+
+/**
+ * Load a replay from a URL
+ * @param {string} url - Location of the replay JSON
+ * @returns {Promise<Object>} - parseReplay() output
+ */
+export async function loadReplay(url) {
+  const replay = parseReplay(await loadJSON(url));
+  console.log(`[REPLAY] Replay with ${replay.commands.length} command(s) loaded from ${url}`);
+  return replay;
+}
+
+/**
+ * Class writing down the commands of a match as they run
+ */
+export class ReplayRecorder {
+  /**
+   * @param {GameState} gameState - The game state, for the match result
+   * @param {CommandHistory} commandHistory - Every player command runs through it
+   * @param {Object} options - What the match was built from
+   * @param {number} options.seed - Seed of the match's Random
+   * @param {MatchDefinition} options.matchDefinition - Definition the match was set up from
+   * @param {MapFile} options.mapFile - Map the board was built from, if any
+   */
+  constructor(gameState, commandHistory, options = {}) {
+    this.gameState = gameState;
+    this.commandHistory = commandHistory;
+    this.seed = options.seed;
+    this.matchDefinition = options.matchDefinition;
+    this.mapFile = options.mapFile || null;
+
+    // Commands in the order they ran, and the undone ones a redo brings back
+    this.commands = [];
+    this._undone = [];
+
+    this._unsubscribers = [
+      this.commandHistory.on('commandExecuted', ({ command }) => {
+        this.commands.push(JSON.parse(JSON.stringify(command)));
+        this._undone = [];
+      }),
+      this.commandHistory.on('historyChanged', ({ reason }) => {
+        if (reason === 'undo' && this.commands.length > 0) {
+          this._undone.push(this.commands.pop());
+        } else if (reason === 'redo' && this._undone.length > 0) {
+          this.commands.push(this._undone.pop());
+        }
+      }),
+    ];
+  }
+
+  /**
+   * @returns {Object} - Data in the replay file format
+   */
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      match: this.matchDefinition.toJSON(),
+      map: this.mapFile ? this.mapFile.toJSON() : null,
+      commands: JSON.parse(JSON.stringify(this.commands)),
+      result: this.gameState.match.result || null,
+      recordedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Stop recording
+   */
+  dispose() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+/**
+ * Resolve after a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Class stepping a match through the commands of a replay
+ *
+ * Construct it once the match is set up and started from the replay's seed
+ * and definition. Every position it has reached is kept as a checkpoint (the
+ * state plus where each random stream stood), so stepping back or scrubbing
+ * to a seen position is a snapshot load rather than a rerun.
+ */
+export class ReplayPlayer extends EventEmitter {
+  /**
+   * @param {GameState} gameState - The live state, set up and started from the replay
+   * @param {TurnManager} turnManager - The live turn manager
+   * @param {Object} replay - parseReplay() output
+   * @param {Object} options - Optional settings
+   * @param {Object} options.rules - Rule objects for executeCommand(), as the match was played with
+   * @param {Object} options.randomStreams - Random instances by name whose positions
+   *   belong to the checkpoints (combat rolls, terrain spread)
+   * @param {number} options.stepDelay - Milliseconds between commands while playing
+   * @param {Function} options.waitForIdle - Returns a promise that resolves once
+   *   animations have finished
+   */
+  constructor(gameState, turnManager, replay, options = {}) {
+    super();
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.replay = replay;
+    this.rules = options.rules || {};
+    this.randomStreams = options.randomStreams || {};
+    this.stepDelay = options.stepDelay ?? 600;
+    this.waitForIdle = options.waitForIdle || (() => Promise.resolve());
+
+    // Commands applied so far; checkpoints[i] is the match after i commands
+    this.position = 0;
+    this.checkpoints = [this._createCheckpoint()];
+    this.playing = false;
+  }
+
+  /**
+   * @returns {number} - Number of commands in the replay
+   */
+  get length() {
+    return this.replay.commands.length;
+  }
+
+  /**
+   * @returns {boolean} - Whether every command has been applied
+   */
+  isFinished() {
+    return this.position >= this.length;
+  }
+
+  /**
+   * @returns {Object} - Context for executeCommand()
+   * @private
+   */
+  _getContext() {
+    return { state: this.gameState, turnManager: this.turnManager, rules: this.rules };
+  }
+
+  /**
+   * @returns {Object} - Snapshot of the match at the current position
+   * @private
+   */
+  _createCheckpoint() {
+    const random = {};
+    Object.entries(this.randomStreams).forEach(([name, stream]) => {
+      random[name] = stream.toJSON();
+    });
+    return { state: this.gameState.toJSON(), random };
+  }
+
+  /**
+   * Put the match back to a checkpoint, without telling renderers
+   * @param {Object} checkpoint - _createCheckpoint() output
+   * @private
+   */
+  _loadCheckpoint(checkpoint) {
+    this.gameState.loadJSON(checkpoint.state);
+    Object.entries(checkpoint.random).forEach(([name, saved]) => {
+      if (this.randomStreams[name]) this.randomStreams[name].state = saved.state;
+    });
+  }
+
+  /**
+   * Apply the next command
+   * @returns {Object|null} - executeCommand() result, null at the end or when
+   *   the command no longer fits the match (the replay is out of sync)
+   */
+  step() {
+    if (this.isFinished()) return null;
+
+    const command = this.replay.commands[this.position];
+    const check = checkCommand(this._getContext(), command);
+    const result = check.ok ? executeCommand(this._getContext(), command) : null;
+    if (!result) {
+      const reason = check.ok ? 'command failed' : check.reason;
+      console.warn(`[REPLAY] Command ${this.position + 1} (${command.type}) does not fit the match: ${reason}`);
+      this.pause();
+      this.emit('replayError', { position: this.position, command, reason });
+      return null;
+    }
+
+    this.position++;
+    if (!this.checkpoints[this.position]) this.checkpoints[this.position] = this._createCheckpoint();
+    debugLog(`Stepped to ${this.position}/${this.length}`, command);
+    this.emit('stepped', { position: this.position, command, result });
+    return result;
+  }
+
+  /**
+   * Jump to the match after a number of commands
+   * Positions seen before load their checkpoint; later ones are run from the
+   * furthest checkpoint without waiting for animations. Renderers resync
+   * through stateRestored either way.
+   * @param {number} position - Commands to have applied, clamped to the replay
+   * @returns {number} - The position reached
+   */
+  seek(position) {
+    const target = Math.max(0, Math.min(this.length, Math.floor(position)));
+    this.pause();
+
+    const start = Math.min(target, this.checkpoints.length - 1);
+    this._loadCheckpoint(this.checkpoints[start]);
+    this.position = start;
+    // Animations started on the way are cut short by the resync below
+    while (this.position < target && this.step()) { /* keep stepping */ }
+
+    this.gameState.emit('stateRestored', { reason: 'replay' });
+    this.emit('seeked', { position: this.position });
+    return this.position;
+  }
+
+  /**
+   * Play the remaining commands, waiting for each one's animations
+   * @returns {Promise<void>} - Resolves when paused or finished
+   */
+  async play() {
+    if (this.playing || this.isFinished()) return;
+    this.playing = true;
+    this.emit('playbackChanged', { playing: true });
+
+    while (this.playing && !this.isFinished()) {
+      if (!this.step()) break;
+      await this.waitForIdle();
+      await wait(this.stepDelay);
+    }
+    this.pause();
+  }
+
+  /**
+   * Stop playing after the current command
+   */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.emit('playbackChanged', { playing: false });
+  }
+}
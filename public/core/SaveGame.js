@@ -0,0 +1,227 @@
+/**
+ * SaveGame.js
+ * Saving a match in progress and picking it up again later.
+ *
+ * A save is a versioned JSON document holding everything the match needs to
+ * continue where it stopped:
+ *   {
+ *     "version": 1,
+ *     "name": "Before the big fight",
+ *     "savedAt": "2026-01-01T12:00:00.000Z",
+ *     "seed": 1234567,
+ *     "random": { "combat": { "seed", "state" }, "terrain": { ... } },
+ *     "match": { ...match definition JSON },
+ *     "map": { ...map file JSON the board was built from, or null },
+ *     "commands": [ ...commands played so far, see Replay.js ],
+ *     "state": { ...GameState.toJSON(): tiles, crystals, beasts, HP, players, turn }
+ *   }
+ * The random stream positions make rolls after loading come out as they
+ * would have without the break, and the command list lets a loaded match
+ * still be saved as a replay from its first turn.
+ *
+ * Saves go to named slots in localStorage (SaveSlots) or to a downloaded
+ * file. The game itself writes the 'autosave' slot at the end of every
+ * turn; loading it hands the turn to the next player.
+ */
+import { EventEmitter } from './EventEmitter.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[SAVE] ${message}`, data);
+  } else {
+    console.log(`[SAVE] ${message}`);
+  }
+}
+
+/**
+ * Save format version written by createSave()
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * Slot the game writes at the end of every turn
+ */
+export const AUTOSAVE_SLOT = 'autosave';
+
+/**
+ * Prefix of the localStorage keys holding save slots
+ */
+export const SAVE_KEY_PREFIX = 'beastTactics.save.';
+
+/**
+ * Capture a match in the save format
+ * @param {GameState} gameState - State to save
+ * @param {Object} options - What else the match was built from
+ * @param {string} options.name - Name shown in the slot list
+ * @param {number} options.seed - Seed of the match's Random
+ * @param {Object} options.randomStreams - Random instances by name to save the positions of
+ * @param {MatchDefinition} options.matchDefinition - Definition the match was set up from
+ * @param {MapFile} options.mapFile - Map the board was built from, if any
+ * @param {Array<Object>} options.commands - Commands played so far (ReplayRecorder.commands)
+ * @returns {Object} - Save data
+ */
+export function createSave(gameState, options = {}) {
+  const random = {};
+  Object.entries(options.randomStreams || {}).forEach(([name, stream]) => {
+    random[name] = stream.toJSON();
+  });
+
+  return {
+    version: SAVE_VERSION,
+    name: options.name || null,
+    savedAt: new Date().toISOString(),
+    seed: options.seed ?? null,
+    random,
+    match: options.matchDefinition ? options.matchDefinition.toJSON() : null,
+    map: options.mapFile ? options.mapFile.toJSON() : null,
+    commands: JSON.parse(JSON.stringify(options.commands || [])),
+    state: gameState.toJSON(),
+  };
+}
+
+/**
+ * Check parsed save data and fill in defaults
+ * @param {Object} data - Parsed save JSON
+ * @returns {Object} - Save data
+ * @throws {Error} - When the data is no save or comes from a newer game version
+ */
+export function parseSave(data) {
+  const state = data && data.state;
+  if (!state || !Array.isArray(state.tiles) || !Array.isArray(state.players) || !state.turn) {
+    throw new Error('Save has no game state');
+  }
+  // A newer format may store things this version would silently drop
+  if ((data.version || 1) > SAVE_VERSION) {
+    throw new Error(`Save v${data.version} is newer than this game (v${SAVE_VERSION})`);
+  }
+
+  return {
+    version: data.version || 1,
+    name: data.name || null,
+    savedAt: data.savedAt || null,
+    seed: data.seed ?? null,
+    random: data.random || {},
+    match: data.match || null,
+    map: data.map || null,
+    commands: Array.isArray(data.commands) ? data.commands : [],
+    state,
+  };
+}
+
+/**
+ * Put a saved match into a live state
+ * Renderers resync through stateRestored, like after an undo.
+ * @param {Object} save - parseSave() output
+ * @param {GameState} gameState - State to overwrite
+ * @param {Object} options - Optional settings
+ * @param {Object} options.randomStreams - Random instances by name to move to their saved positions
+ */
+export function restoreSave(save, gameState, options = {}) {
+  gameState.loadJSON(save.state);
+  Object.entries(options.randomStreams || {}).forEach(([name, stream]) => {
+    if (save.random[name]) stream.state = save.random[name].state;
+  });
+  gameState.emit('stateRestored', { reason: 'load' });
+  console.log(`[SAVE] Restored '${save.name || 'save'}' at turn ${gameState.turn.number}`);
+}
+
+/**
+ * Short description of a save for slot lists
+ * @param {Object} save - Save data
+ * @returns {{name: string|null, savedAt: string|null, turn: number, round: number}}
+ */
+export function describeSave(save) {
+  const turn = (save.state && save.state.turn) || {};
+  return {
+    name: save.name || null,
+    savedAt: save.savedAt || null,
+    turn: turn.number || 0,
+    round: turn.round || 0,
+  };
+}
+
+/**
+ * Class keeping named saves in a Storage (localStorage by default)
+ *
+ * Events emitted:
+ *   slotsChanged { slot, action }  ('saved' or 'deleted')
+ */
+export class SaveSlots extends EventEmitter {
+  /**
+   * @param {Storage} storage - Web Storage to keep the slots in (default: localStorage)
+   * @param {string} prefix - Key prefix telling slots apart from other entries
+   */
+  constructor(storage = globalThis.localStorage, prefix = SAVE_KEY_PREFIX) {
+    super();
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Write a save to a slot, replacing what was there
+   * @param {string} slot - Slot name
+   * @param {Object} save - Save data
+   * @returns {boolean} - false when the storage refused it (full or unavailable)
+   */
+  save(slot, save) {
+    try {
+      this.storage.setItem(this.prefix + slot, JSON.stringify(save));
+    } catch (err) {
+      console.error(`[SAVE] Could not write slot '${slot}':`, err);
+      return false;
+    }
+    debugLog(`Saved slot '${slot}'`, describeSave(save));
+    this.emit('slotsChanged', { slot, action: 'saved' });
+    return true;
+  }
+
+  /**
+   * Read the save in a slot
+   * @param {string} slot - Slot name
+   * @returns {Object|null} - parseSave() output, null for empty or unreadable slots
+   */
+  load(slot) {
+    const text = this.storage.getItem(this.prefix + slot);
+    if (text === null) return null;
+    try {
+      return parseSave(JSON.parse(text));
+    } catch (err) {
+      console.warn(`[SAVE] Slot '${slot}' holds no usable save:`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Empty a slot
+   * @param {string} slot - Slot name
+   */
+  remove(slot) {
+    this.storage.removeItem(this.prefix + slot);
+    this.emit('slotsChanged', { slot, action: 'deleted' });
+  }
+
+  /**
+   * Every filled slot, most recently saved first
+   * @returns {Array<{slot: string, name: string|null, savedAt: string|null, turn: number, round: number}>}
+   */
+  list() {
+    const slots = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key || !key.startsWith(this.prefix)) continue;
+      const slot = key.slice(this.prefix.length);
+      const save = this.load(slot);
+      if (save) slots.push({ slot, ...describeSave(save) });
+    }
+    return slots.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * StatusEffects.js
+ * Lasting conditions on beasts: burn, poison, stun, root, blind and shield.
+ *
+ * Each beast record keeps its active effects in beast.statuses as plain data
+ * ({ id, turns, stacks, ... }) so they are saved and simulated with the rest
+ * of the state. The definitions in /assets/data/statusEffects.json decide:
+ *   duration / stacking  how long an effect lasts and what reapplying does
+ *   tickDamage           damage per stack at the start of the owner's turn
+ *   blocks               actions TurnManager refuses while affected
+ *   statCaps             limits getCombatStat() applies while affected
+ *   absorb               damage Combat.applyDamage() soaks before HP
+ * Durations count down at the end of the owner's turn, so a 1-turn stun
+ * applied by an enemy costs the beast exactly its next turn.
+ *
+ * Abilities apply effects through their "status" effect type; terrain hazards
+ * apply them to beasts that end a move on a hazardous hex.
+ *
+ * Events emitted (on the GameState):
+ *   statusApplied { beast, status }
+ *   statusRemoved { beast, status, reason }
+ *   statusTicked  { beast, status, damage }
+ */
+import { loadJSON } from './DataLoader.js';
+import { getCombatStat } from './Combat.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[STATUS] ${message}`, data);
+  } else {
+    console.log(`[STATUS] ${message}`);
+  }
+}
+
+/**
+ * Default location of the status effect data file
+ */
+export const STATUS_EFFECTS_URL = '/assets/data/statusEffects.json';
+
+/**
+ * What reapplying an effect the beast already has does
+ */
+export const STACKING = {
+  REFRESH: 'refresh',
+  STACK: 'stack',
+  EXTEND: 'extend',
+  IGNORE: 'ignore',
+};
+
+/**
+ * Template for a status effect definition
+ */
+export const DEFAULT_STATUS_EFFECT = {
+  name: null,
+  icon: '?',
+  color: '#ffffff',
+  duration: 1,
+  stacking: STACKING.REFRESH,
+  maxStacks: 1,
+  tickDamage: 0,
+  blocks: [],
+  statCaps: null,
+  absorb: 0,
+};
+
+/**
+ * Built-in definitions used when the data file is missing
+ */
+const FALLBACK_EFFECTS = {
+  burn: { name: 'Burn', icon: '🔥', color: '#ff6a00', duration: 2, tickDamage: 6 },
+  poison: { name: 'Poison', icon: '☠', color: '#9acd32', duration: 3, stacking: STACKING.STACK, maxStacks: 3, tickDamage: 4 },
+  stun: { name: 'Stun', icon: '⚡', color: '#ffd700', duration: 1, stacking: STACKING.IGNORE, blocks: ['move', 'attack', 'ability'] },
+  root: { name: 'Root', icon: '🌿', color: '#2e8b57', duration: 2, blocks: ['move'] },
+  blind: { name: 'Blind', icon: '👁', color: '#6a5acd', duration: 2, statCaps: { sightRange: 1, attackRange: 1 } },
+  shield: { name: 'Shield', icon: '🛡', color: '#b0c4de', duration: 2, absorb: 25 },
+};
+
+/**
+ * Class holding the status effect definitions and terrain hazards
+ */
+export class StatusRules {
+  /**
+   * @param {Object} data - Parsed statusEffects.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+
+    this.effects = {};
+    Object.entries(data.effects || FALLBACK_EFFECTS).forEach(([id, entry]) => {
+      const effect = { ...DEFAULT_STATUS_EFFECT, ...entry, id, name: entry.name || id };
+      if (!Object.values(STACKING).includes(effect.stacking)) {
+        console.warn(`[STATUS] Unknown stacking '${effect.stacking}' for ${id}`);
+        effect.stacking = DEFAULT_STATUS_EFFECT.stacking;
+      }
+      if (typeof effect.duration !== 'number' || effect.duration < 1) {
+        console.warn(`[STATUS] Invalid duration for ${id}:`, effect.duration);
+        effect.duration = DEFAULT_STATUS_EFFECT.duration;
+      }
+      this.effects[id] = effect;
+    });
+
+    this.terrainHazards = {};
+    Object.entries(data.terrainHazards || {}).forEach(([biome, hazard]) => {
+      if (!this.effects[hazard.status]) {
+        console.warn(`[STATUS] Ignoring hazard on ${biome}: unknown status '${hazard.status}'`);
+        return;
+      }
+      this.terrainHazards[biome] = { ...hazard };
+    });
+  }
+
+  /**
+   * Load the status effect rules from their data file
+   * @param {string} url - Location of the status effects JSON
+   * @returns {Promise<StatusRules>}
+   */
+  static async load(url = STATUS_EFFECTS_URL) {
+    const data = await loadJSON(url);
+    console.log(`[STATUS] Status effects v${data.version || 1} loaded`);
+    return new StatusRules(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed status effect data
+   * @returns {StatusRules}
+   */
+  static fromJSON(data) {
+    return new StatusRules(data);
+  }
+
+  /**
+   * @param {string} statusId - Status effect id
+   * @returns {Object|null}
+   */
+  get(statusId) {
+    return this.effects[statusId] || null;
+  }
+
+  /**
+   * Hazard a beast picks up on a tile, if any
+   * Beasts are at home on their own biome and never hurt by its hazard.
+   * @param {Object} tile - Tile record
+   * @param {Object} beast - Beast record
+   * @returns {{status: string, duration: number}|null}
+   */
+  getHazard(tile, beast) {
+    if (!tile) return null;
+    if (tile.hazard) {
+      const hazard = typeof tile.hazard === 'string' ? { status: tile.hazard } : tile.hazard;
+      return this.effects[hazard.status] ? hazard : null;
+    }
+    if (beast.type === tile.element) return null;
+    return this.terrainHazards[tile.element] || null;
+  }
+
+  /**
+   * @returns {Object} - Data in the status effects JSON format
+   */
+  toJSON() {
+    const effects = {};
+    Object.entries(this.effects).forEach(([id, effect]) => {
+      const { id: _id, ...entry } = effect;
+      effects[id] = JSON.parse(JSON.stringify(entry));
+    });
+    return { version: this.version, effects, terrainHazards: JSON.parse(JSON.stringify(this.terrainHazards)) };
+  }
+}
+
+/**
+ * @param {Object} beast - Beast record
+ * @returns {Array<Object>} - Active status effects
+ */
+export function getStatuses(beast) {
+  return beast.statuses || [];
+}
+
+/**
+ * @param {Object} beast - Beast record
+ * @param {string} statusId - Status effect id
+ * @returns {Object|null} - The active effect
+ */
+export function getStatus(beast, statusId) {
+  return getStatuses(beast).find(status => status.id === statusId) || null;
+}
+
+/**
+ * Put a status effect on a beast, following its stacking rule
+ * @param {GameState} state - The game state
+ * @param {string} beastId - Affected beast id
+ * @param {string} statusId - Status effect id
+ * @param {Object} options - Optional settings
+ * @param {StatusRules} options.rules - Definitions (defaults to the built-in ones)
+ * @param {number} options.turns - Duration override
+ * @param {string} options.source - Id of the beast (or 'terrain') that caused it
+ * @returns {Object|null} - The active effect, or null if nothing changed
+ */
+export function applyStatus(state, beastId, statusId, options = {}) {
+  const rules = options.rules || new StatusRules();
+  const definition = rules.get(statusId);
+  const beast = state.getBeast(beastId);
+  if (!definition || !beast) {
+    console.warn(`[STATUS] Cannot apply ${statusId} to ${beastId}`);
+    return null;
+  }
+
+  const turns = options.turns ?? definition.duration;
+  const statuses = getStatuses(beast).map(status => ({ ...status }));
+  let status = statuses.find(existing => existing.id === statusId);
+
+  if (!status) {
+    // Copy what other modules read so they never need the definitions
+    status = {
+      id: statusId,
+      turns,
+      stacks: 1,
+      source: options.source || null,
+      ...(definition.blocks.length > 0 ? { blocks: [...definition.blocks] } : {}),
+      ...(definition.statCaps ? { statCaps: { ...definition.statCaps } } : {}),
+      ...(definition.absorb > 0 ? { absorb: definition.absorb } : {}),
+    };
+    statuses.push(status);
+  } else {
+    switch (definition.stacking) {
+      case STACKING.IGNORE:
+        return null;
+      case STACKING.EXTEND:
+        status.turns += turns;
+        break;
+      case STACKING.STACK:
+        status.stacks = Math.min(definition.maxStacks, status.stacks + 1);
+        status.turns = Math.max(status.turns, turns);
+        break;
+      default:
+        status.turns = Math.max(status.turns, turns);
+    }
+    if (definition.absorb > 0) status.absorb = Math.max(status.absorb || 0, definition.absorb);
+  }
+
+  state.updateBeast(beastId, { statuses });
+  debugLog(`${statusId} on ${beastId}`, status);
+  state.emit('statusApplied', { beast, status });
+  return status;
+}
+
+/**
+ * Take a status effect off a beast
+ * @param {GameState} state - The game state
+ * @param {string} beastId - Beast id
+ * @param {string} statusId - Status effect id
+ * @param {string} reason - Why it ended, e.g. 'expired', 'cleansed'
+ * @returns {Object|null} - The removed effect
+ */
+export function removeStatus(state, beastId, statusId, reason = 'removed') {
+  const beast = state.getBeast(beastId);
+  const status = beast ? getStatus(beast, statusId) : null;
+  if (!status) return null;
+
+  state.updateBeast(beastId, { statuses: getStatuses(beast).filter(other => other.id !== statusId) });
+  state.emit('statusRemoved', { beast, status, reason });
+  return status;
+}
+
+/**
+ * Whether an active effect stops a beast from taking an action
+ * @param {Object} beast - Beast record
+ * @param {string} action - 'move', 'attack' or 'ability'
+ * @returns {Object|null} - The blocking effect
+ */
+export function getBlockingStatus(beast, action) {
+  return getStatuses(beast).find(status => (status.blocks || []).includes(action)) || null;
+}
+
+/**
+ * Class running status effects over the turn cycle
+ */
+export class StatusEffectManager {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Drives ticks and durations
+   * @param {StatusRules} rules - Definitions and hazards
+   */
+  constructor(gameState, turnManager, rules = new StatusRules()) {
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.rules = rules;
+
+    this._unsubscribers = [
+      this.turnManager.on('turnStart', ({ player }) => this.tickTurnStart(player.id)),
+      this.turnManager.on('turnEnd', ({ player }) => this.expireTurnEnd(player.id)),
+      this.gameState.on('beastMoved', ({ beast, to }) => this.applyHazard(beast.id, to.q, to.r)),
+    ];
+  }
+
+  /**
+   * Deal damage-over-time to a player's beasts
+   * @param {string} playerId - Player whose turn starts
+   */
+  tickTurnStart(playerId) {
+    this.gameState.getBeastsByOwner(playerId).forEach(beast => {
+      getStatuses(beast).forEach(status => {
+        const definition = this.rules.get(status.id);
+        if (!definition || !definition.tickDamage) return;
+        // An earlier tick may have knocked it out
+        const current = this.gameState.getBeast(beast.id);
+        if (!current) return;
+
+        const damage = definition.tickDamage * (status.stacks || 1);
+        const hpBefore = current.hp ?? getCombatStat(current, 'maxHp');
+        const hpAfter = Math.max(0, hpBefore - damage);
+        debugLog(`${status.id} deals ${damage} to ${current.type} (${current.id})`);
+        this.gameState.emit('statusTicked', { beast: current, status, damage });
+        this.gameState.updateBeast(current.id, { hp: hpAfter });
+        if (hpAfter <= 0) this.gameState.removeBeast(current.id, 'fainted');
+      });
+    });
+  }
+
+  /**
+   * Count down a player's effects and drop the expired ones
+   * @param {string} playerId - Player whose turn ends
+   */
+  expireTurnEnd(playerId) {
+    this.gameState.getBeastsByOwner(playerId).forEach(beast => {
+      const statuses = getStatuses(beast);
+      if (statuses.length === 0) return;
+
+      const remaining = statuses.map(status => ({ ...status, turns: status.turns - 1 }));
+      this.gameState.updateBeast(beast.id, { statuses: remaining.filter(status => status.turns > 0) });
+      remaining
+        .filter(status => status.turns <= 0)
+        .forEach(status => this.gameState.emit('statusRemoved', { beast, status, reason: 'expired' }));
+    });
+  }
+
+  /**
+   * Apply the hazard of the hex a beast just stopped on
+   * @param {string} beastId - Beast id
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {Object|null} - The applied effect
+   */
+  applyHazard(beastId, q, r) {
+    const beast = this.gameState.getBeast(beastId);
+    const hazard = beast ? this.rules.getHazard(this.gameState.getTile(q, r), beast) : null;
+    if (!hazard) return null;
+    return applyStatus(this.gameState, beastId, hazard.status, {
+      rules: this.rules,
+      turns: hazard.duration,
+      source: 'terrain',
+    });
+  }
+
+  /**
+   * Stop listening to the turn cycle
+   */
+  dispose() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Summoning.js
+ * Spending crystals to bring new beasts onto a player's spawn hexes.
+ *
+ * Spawn hexes are ordinary tiles tagged with the owning player
+ * (tile.spawnOwner). Each beast type's price is the summonCost in its
+ * definition file. A summoned beast arrives without action points and
+ * acts from its owner's next turn.
+ *
+ * Events emitted (on the GameState, after beastAdded):
+ *   beastSummoned { beast, player, cost }
+ */
+import { hexDistance } from './HexGrid.js';
+import { createBeastStats } from './BeastDefinitions.js';
+import { TURN_PHASES } from './TurnManager.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[SUMMON] ${message}`, data);
+  } else {
+    console.log(`[SUMMON] ${message}`);
+  }
+}
+
+/**
+ * Radius of the spawn zone given to a player around a starting hex
+ */
+export const DEFAULT_SPAWN_ZONE_RADIUS = 1;
+
+/**
+ * Tag every tile within a radius of a hex as one player's spawn zone
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Owning player id
+ * @param {{q: number, r: number}} center - Middle of the zone
+ * @param {number} radius - Zone radius in hexes
+ * @returns {Array<Object>} - Tiles now owned by the player
+ */
+export function assignSpawnZone(state, playerId, center, radius = DEFAULT_SPAWN_ZONE_RADIUS) {
+  const zone = [];
+  state.getTiles().forEach(tile => {
+    if (hexDistance(tile, center) > radius) return;
+    // Never take over another player's zone where two overlap
+    if (tile.spawnOwner && tile.spawnOwner !== playerId) return;
+    zone.push(state.setTile(tile.q, tile.r, { spawnOwner: playerId }));
+  });
+  console.log(`[SUMMON] Assigned ${zone.length} spawn hexes to ${playerId}`);
+  return zone;
+}
+
+/**
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Player id
+ * @returns {Array<Object>} - Tiles in the player's spawn zone
+ */
+export function getSpawnHexes(state, playerId) {
+  return state.getTiles().filter(tile => tile.spawnOwner === playerId);
+}
+
+/**
+ * Spawn hexes a player could summon onto right now (no beast standing there)
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Player id
+ * @returns {Array<Object>}
+ */
+export function getFreeSpawnHexes(state, playerId) {
+  return getSpawnHexes(state, playerId).filter(tile => !state.getBeastAt(tile.q, tile.r));
+}
+
+/**
+ * Crystal price of a beast type
+ * @param {Object} definition - Beast definition
+ * @returns {number}
+ */
+export function getSummonCost(definition) {
+  return definition?.summonCost ?? 0;
+}
+
+/**
+ * Check whether a player may summon a beast type onto a hex
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Summoning player id
+ * @param {string} type - Beast type
+ * @param {number} q - Target q coordinate
+ * @param {number} r - Target r coordinate
+ * @param {Object} options - Optional settings
+ * @param {Object} options.definitions - Beast definitions keyed by type
+ * @param {TurnManager} options.turnManager - Restricts summoning to the active player's main phase
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export function canSummon(state, playerId, type, q, r, options = {}) {
+  const player = state.getPlayer(playerId);
+  if (!player) return { ok: false, reason: 'unknown player' };
+
+  const definition = options.definitions?.[type];
+  if (!definition) return { ok: false, reason: `unknown beast type ${type}` };
+
+  const turnManager = options.turnManager;
+  if (turnManager) {
+    if (!turnManager.isActivePlayer(playerId)) return { ok: false, reason: 'not your turn' };
+    if (turnManager.getPhase() !== TURN_PHASES.MAIN) return { ok: false, reason: 'not in main phase' };
+  }
+
+  const tile = state.getTile(q, r);
+  if (!tile) return { ok: false, reason: 'no such hex' };
+  if (tile.spawnOwner !== playerId) return { ok: false, reason: 'not one of your spawn hexes' };
+  if (state.getBeastAt(q, r)) return { ok: false, reason: 'hex is occupied' };
+
+  const cost = getSummonCost(definition);
+  if ((player.crystals || 0) < cost) {
+    return { ok: false, reason: `needs ${cost} crystals` };
+  }
+
+  return { ok: true, reason: null };
+}
+
+/**
+ * Spend a player's crystals and add the summoned beast to the state
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Summoning player id
+ * @param {string} type - Beast type
+ * @param {number} q - Target q coordinate
+ * @param {number} r - Target r coordinate
+ * @param {Object} options - Same as canSummon
+ * @returns {Object|null} - The new beast record, or null if not allowed
+ */
+export function summonBeast(state, playerId, type, q, r, options = {}) {
+  const check = canSummon(state, playerId, type, q, r, options);
+  if (!check.ok) {
+    console.warn(`[SUMMON] ${playerId} cannot summon ${type} at (${q}, ${r}): ${check.reason}`);
+    return null;
+  }
+
+  const definition = options.definitions[type];
+  const cost = getSummonCost(definition);
+  const player = state.updatePlayer(playerId, {
+    crystals: state.getPlayer(playerId).crystals - cost,
+  });
+
+  const beast = state.addBeast({
+    type,
+    owner: playerId,
+    q,
+    r,
+    ...createBeastStats(definition),
+  });
+
+  debugLog(`${player.name} summoned ${type} Beast ${beast.id} at (${q}, ${r}) for ${cost} crystal(s)`);
+  state.emit('beastSummoned', { beast, player, cost });
+  return beast;
+}
@@ -0,0 +1,153 @@
+/**
+ * TerrainAffinity.js
+ * Stat bonuses for beasts on their own biome and penalties on opposing ones.
+ *
+ * The multipliers and the opposing biome lists live in
+ * /assets/data/terrainAffinity.json. Combat asks for effective stats through
+ * getModifiedStat() so the bonus follows the beast as it moves.
+ */
+import { loadJSON } from './DataLoader.js';
+import { ELEMENT_TYPES } from './ElementChart.js';
+
+/**
+ * Default location of the affinity data file
+ */
+export const TERRAIN_AFFINITY_URL = '/assets/data/terrainAffinity.json';
+
+/**
+ * Possible relationships between a beast and the biome it stands on
+ */
+export const AFFINITY = {
+  MATCHING: 'matching',
+  OPPOSING: 'opposing',
+  NEUTRAL: 'neutral',
+};
+
+/**
+ * Class answering "how does this biome change this beast's stats"
+ */
+export class TerrainAffinity {
+  /**
+   * @param {Object} data - Parsed terrainAffinity.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.modifiers = {
+      [AFFINITY.MATCHING]: this._parseModifiers(data.matching, AFFINITY.MATCHING),
+      [AFFINITY.OPPOSING]: this._parseModifiers(data.opposing, AFFINITY.OPPOSING),
+      [AFFINITY.NEUTRAL]: {},
+    };
+
+    this.opposingBiomes = {};
+    ELEMENT_TYPES.forEach(element => {
+      this.opposingBiomes[element] = [];
+    });
+    Object.entries(data.opposingBiomes || {}).forEach(([element, biomes]) => {
+      if (!this.opposingBiomes[element]) {
+        console.warn(`[AFFINITY] Ignoring opposing biomes for unknown element '${element}'`);
+        return;
+      }
+      this.opposingBiomes[element] = biomes.filter(biome => {
+        const known = ELEMENT_TYPES.includes(biome);
+        if (!known) console.warn(`[AFFINITY] Ignoring unknown biome '${biome}' opposing ${element}`);
+        return known;
+      });
+    });
+  }
+
+  /**
+   * Keep only numeric, non-negative multipliers
+   * @param {Object} modifiers - Stat name to multiplier
+   * @param {string} label - Section name, for warnings
+   * @returns {Object}
+   * @private
+   */
+  _parseModifiers(modifiers = {}, label) {
+    const parsed = {};
+    Object.entries(modifiers).forEach(([stat, value]) => {
+      if (typeof value !== 'number' || value < 0) {
+        console.warn(`[AFFINITY] Invalid ${label} multiplier for ${stat}:`, value);
+        return;
+      }
+      parsed[stat] = value;
+    });
+    return parsed;
+  }
+
+  /**
+   * Load the affinity rules from their data file
+   * @param {string} url - Location of the affinity JSON
+   * @returns {Promise<TerrainAffinity>}
+   */
+  static async load(url = TERRAIN_AFFINITY_URL) {
+    const data = await loadJSON(url);
+    console.log(`[AFFINITY] Terrain affinity v${data.version || 1} loaded`);
+    return new TerrainAffinity(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed affinity data
+   * @returns {TerrainAffinity}
+   */
+  static fromJSON(data) {
+    return new TerrainAffinity(data);
+  }
+
+  /**
+   * Relationship between a beast's element and a biome
+   * @param {string} element - Beast element
+   * @param {string} biome - Element of the hex it stands on
+   * @returns {string} - One of AFFINITY
+   */
+  getAffinity(element, biome) {
+    if (!biome) return AFFINITY.NEUTRAL;
+    if (element === biome) return AFFINITY.MATCHING;
+    if ((this.opposingBiomes[element] || []).includes(biome)) return AFFINITY.OPPOSING;
+    return AFFINITY.NEUTRAL;
+  }
+
+  /**
+   * Affinity of a beast record with the tile it currently stands on
+   * @param {GameState} state - The game state
+   * @param {Object} beast - Beast record
+   * @returns {string} - One of AFFINITY
+   */
+  getBeastAffinity(state, beast) {
+    const tile = state.getTile(beast.q, beast.r);
+    return this.getAffinity(beast.type, tile ? tile.element : null);
+  }
+
+  /**
+   * Stat multipliers for an affinity
+   * @param {string} affinity - One of AFFINITY
+   * @returns {Object} - Stat name to multiplier
+   */
+  getModifiers(affinity) {
+    return this.modifiers[affinity] || {};
+  }
+
+  /**
+   * Apply the beast's current affinity to one of its stats
+   * @param {GameState} state - The game state
+   * @param {Object} beast - Beast record
+   * @param {string} stat - Stat name
+   * @param {number} value - Unmodified stat value
+   * @returns {number}
+   */
+  getModifiedStat(state, beast, stat, value) {
+    const multiplier = this.getModifiers(this.getBeastAffinity(state, beast))[stat];
+    return multiplier === undefined ? value : value * multiplier;
+  }
+
+  /**
+   * @returns {Object} - Data in the terrainAffinity.json format
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      matching: { ...this.modifiers[AFFINITY.MATCHING] },
+      opposing: { ...this.modifiers[AFFINITY.OPPOSING] },
+      opposingBiomes: JSON.parse(JSON.stringify(this.opposingBiomes)),
+    };
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * TerrainCosts.js
+ * Movement cost for each beast element entering each biome.
+ *
+ * The numbers live in /assets/data/terrainCosts.json: a base cost per biome
+ * plus per-element overrides, where "impassable" blocks the biome, and the
+ * extra cost per elevation level climbed (climbCost, with per-element
+ * climbOverrides). Movement range, pathfinding and AI all read step costs
+ * from here.
+ */
+import { loadJSON } from './DataLoader.js';
+import { ELEMENT_TYPES } from './ElementChart.js';
+
+/**
+ * Default location of the terrain cost data file
+ */
+export const TERRAIN_COSTS_URL = '/assets/data/terrainCosts.json';
+
+/**
+ * Value used in the data file to mark a biome a beast cannot enter
+ */
+export const IMPASSABLE = 'impassable';
+
+/**
+ * Class answering "what does it cost element A to step onto biome B"
+ */
+export class TerrainCosts {
+  /**
+   * @param {Object} data - Parsed terrainCosts.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.defaultCost = data.defaultCost ?? 1;
+
+    // Base cost per biome for every beast
+    this.biomeCosts = {};
+    ELEMENT_TYPES.forEach(biome => {
+      this.biomeCosts[biome] = this._parseCost(data.biomeCosts?.[biome], `biome ${biome}`);
+    });
+
+    // Normalize into a full mover x biome table so lookups never miss
+    this.table = {};
+    ELEMENT_TYPES.forEach(mover => {
+      this.table[mover] = { ...this.biomeCosts };
+    });
+
+    // Extra cost per elevation level climbed; going down is free
+    this.climbCost = this._parseCost(data.climbCost, 'climbCost');
+    this.climbOverrides = {};
+    Object.entries(data.climbOverrides || {}).forEach(([mover, value]) => {
+      if (!this.table[mover]) {
+        console.warn(`[TERRAIN] Ignoring climb override for unknown element '${mover}'`);
+        return;
+      }
+      this.climbOverrides[mover] = this._parseCost(value, `${mover} climb`);
+    });
+
+    const overrides = data.overrides || {};
+    Object.keys(overrides).forEach(mover => {
+      if (!this.table[mover]) {
+        console.warn(`[TERRAIN] Ignoring overrides for unknown element '${mover}'`);
+        return;
+      }
+      Object.keys(overrides[mover]).forEach(biome => {
+        if (this.table[mover][biome] === undefined) {
+          console.warn(`[TERRAIN] Ignoring unknown biome '${biome}' in ${mover} overrides`);
+          return;
+        }
+        this.table[mover][biome] = this._parseCost(overrides[mover][biome], `${mover} -> ${biome}`);
+      });
+    });
+  }
+
+  /**
+   * Turn a data file value into a cost number
+   * @param {number|string|undefined} value - Cost, "impassable" or missing
+   * @param {string} label - Where the value came from, for warnings
+   * @returns {number} - Cost, Infinity when impassable
+   * @private
+   */
+  _parseCost(value, label) {
+    if (value === undefined) return this.defaultCost;
+    if (value === IMPASSABLE) return Infinity;
+    if (typeof value !== 'number' || value < 0) {
+      console.warn(`[TERRAIN] Invalid cost for ${label}:`, value);
+      return this.defaultCost;
+    }
+    return value;
+  }
+
+  /**
+   * Load the costs from their data file
+   * @param {string} url - Location of the terrain cost JSON
+   * @returns {Promise<TerrainCosts>}
+   */
+  static async load(url = TERRAIN_COSTS_URL) {
+    const data = await loadJSON(url);
+    console.log(`[TERRAIN] Terrain costs v${data.version || 1} loaded`);
+    return new TerrainCosts(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed terrain cost data
+   * @returns {TerrainCosts}
+   */
+  static fromJSON(data) {
+    return new TerrainCosts(data);
+  }
+
+  /**
+   * Cost for a beast of one element to step onto a biome
+   * @param {string} mover - Moving beast's element
+   * @param {string} biome - Element of the hex being entered
+   * @returns {number} - Cost, Infinity when the biome is impassable
+   */
+  getCost(mover, biome) {
+    const row = this.table[mover] || this.biomeCosts;
+    return row[biome] ?? this.defaultCost;
+  }
+
+  /**
+   * Extra cost for a beast of one element to climb up some levels
+   * @param {string} mover - Moving beast's element
+   * @param {number} levels - Elevation gained by the step (0 or less is free)
+   * @returns {number}
+   */
+  getClimbCost(mover, levels) {
+    if (levels <= 0) return 0;
+    return (this.climbOverrides[mover] ?? this.climbCost) * levels;
+  }
+
+  /**
+   * @param {string} mover - Moving beast's element
+   * @param {string} biome - Element of the hex being entered
+   * @returns {boolean}
+   */
+  isPassable(mover, biome) {
+    return Number.isFinite(this.getCost(mover, biome));
+  }
+
+  /**
+   * @returns {Object} - Data in the terrainCosts.json format
+   */
+  toJSON() {
+    const encode = cost => (Number.isFinite(cost) ? cost : IMPASSABLE);
+    const biomeCosts = {};
+    Object.keys(this.biomeCosts).forEach(biome => {
+      biomeCosts[biome] = encode(this.biomeCosts[biome]);
+    });
+
+    // Only write the entries that differ from the biome's base cost
+    const overrides = {};
+    Object.keys(this.table).forEach(mover => {
+      Object.keys(this.table[mover]).forEach(biome => {
+        if (this.table[mover][biome] === this.biomeCosts[biome]) return;
+        overrides[mover] = overrides[mover] || {};
+        overrides[mover][biome] = encode(this.table[mover][biome]);
+      });
+    });
+
+    const climbOverrides = {};
+    Object.keys(this.climbOverrides).forEach(mover => {
+      climbOverrides[mover] = encode(this.climbOverrides[mover]);
+    });
+
+    return {
+      version: this.version,
+      defaultCost: this.defaultCost,
+      biomeCosts,
+      overrides,
+      climbCost: encode(this.climbCost),
+      climbOverrides,
+    };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * TerrainTransform.js
+ * Runtime biome changes: Fire scorching Plant into Earth, Water flooding Fire
+ * hexes, Corrosion creeping over its neighbours.
+ *
+ * A transformation only rewrites tile.element in the GameState; movement
+ * costs, affinity, vision and hazards all read the tile, so they follow on
+ * their own. MapGenerator swaps the hex material and plays the transition
+ * when it sees the tileChanged event.
+ *
+ * Two sources change biomes, both described in
+ * /assets/data/terrainTransforms.json:
+ *   reactions  abilities with a "transform" effect turn the hexes they hit
+ *              according to the ability's element
+ *   spread     at the start of every round, biomes such as Corrosion may
+ *              take over adjacent hexes
+ *
+ * Events emitted (on the GameState):
+ *   tileTransformed { tile, from, to, reason, source }
+ */
+import { loadJSON } from './DataLoader.js';
+import { hexNeighbors } from './HexGrid.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[TERRAIN] ${message}`, data);
+  } else {
+    console.log(`[TERRAIN] ${message}`);
+  }
+}
+
+/**
+ * Default location of the terrain transformation data file
+ */
+export const TERRAIN_TRANSFORMS_URL = '/assets/data/terrainTransforms.json';
+
+/**
+ * Class holding the reaction table and spread rules
+ */
+export class TerrainTransformRules {
+  /**
+   * @param {Object} data - Parsed terrainTransforms.json contents
+   */
+  constructor(data = {}) {
+    this.version = data.version || 1;
+    this.reactions = JSON.parse(JSON.stringify(data.reactions || {}));
+
+    this.spread = (Array.isArray(data.spread) ? data.spread : []).filter(rule => {
+      const valid = rule && rule.element && Array.isArray(rule.into) && typeof rule.chance === 'number';
+      if (!valid) console.warn('[TERRAIN] Ignoring invalid spread rule:', rule);
+      return valid;
+    }).map(rule => ({ maxPerRound: Infinity, ...rule, into: [...rule.into] }));
+  }
+
+  /**
+   * Load the transformation rules from their data file
+   * @param {string} url - Location of the terrain transforms JSON
+   * @returns {Promise<TerrainTransformRules>}
+   */
+  static async load(url = TERRAIN_TRANSFORMS_URL) {
+    const data = await loadJSON(url);
+    console.log(`[TERRAIN] Terrain transforms v${data.version || 1} loaded`);
+    return new TerrainTransformRules(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed terrain transform data
+   * @returns {TerrainTransformRules}
+   */
+  static fromJSON(data) {
+    return new TerrainTransformRules(data);
+  }
+
+  /**
+   * Biome a hex becomes when hit by an element
+   * @param {string} element - Element of the ability
+   * @param {string} biome - Current hex element
+   * @returns {string|null} - New biome, or null when nothing happens
+   */
+  getReaction(element, biome) {
+    return (this.reactions[element] && this.reactions[element][biome]) || null;
+  }
+
+  /**
+   * @returns {Object} - Data in the terrain transforms JSON format
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      reactions: JSON.parse(JSON.stringify(this.reactions)),
+      spread: this.spread.map(rule => {
+        const { maxPerRound, ...entry } = rule;
+        return Number.isFinite(maxPerRound) ? { ...entry, maxPerRound } : entry;
+      }),
+    };
+  }
+}
+
+/**
+ * Change the biome of a hex
+ * Crystals, spawn zones and anything else on the tile stay as they are.
+ * @param {GameState} state - The game state
+ * @param {number} q - q coordinate
+ * @param {number} r - r coordinate
+ * @param {string} element - New biome
+ * @param {Object} options - Optional settings
+ * @param {string} options.reason - Why it changed, e.g. 'ability', 'spread'
+ * @param {string} options.source - Id of the beast or rule that caused it
+ * @returns {Object|null} - The updated tile, or null if nothing changed
+ */
+export function transformTile(state, q, r, element, options = {}) {
+  const tile = state.getTile(q, r);
+  if (!tile || !element || tile.element === element) return null;
+
+  const from = tile.element;
+  const updated = state.setTile(q, r, { element });
+  debugLog(`(${q}, ${r}) ${from} -> ${element}`, options);
+  state.emit('tileTransformed', {
+    tile: updated,
+    from,
+    to: element,
+    reason: options.reason || 'transformed',
+    source: options.source || null,
+  });
+  return updated;
+}
+
+/**
+ * Class running the spreading biomes at the start of every round
+ */
+export class TerrainTransformManager {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {TurnManager} turnManager - Drives the round-start spread
+   * @param {TerrainTransformRules} rules - Spread rules
+   * @param {Object} options - Optional settings
+   * @param {Function} options.random - Returns a float in [0, 1), defaults to Math.random
+   */
+  constructor(gameState, turnManager, rules = new TerrainTransformRules(), options = {}) {
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.rules = rules;
+    this.random = options.random || Math.random;
+
+    // Last round the spread ran in, so it happens once per round, not per turn
+    this.lastRound = null;
+
+    this._unsubscribe = this.turnManager.on('turnStart', ({ turn }) => {
+      const round = turn.round || 1;
+      if (round === this.lastRound) return;
+      this.lastRound = round;
+      // Nothing spreads before anyone has had a turn
+      if (round > 1) this.spreadAll();
+    });
+    // A restored state is always past its turn's start, so its round has spread already
+    this._unsubscribeRestore = this.gameState.on('stateRestored', () => {
+      this.lastRound = this.gameState.turn.round || 1;
+    });
+  }
+
+  /**
+   * Run every spread rule once
+   * @returns {Array<Object>} - Transformed tiles
+   */
+  spreadAll() {
+    const changed = [];
+    this.rules.spread.forEach(rule => {
+      // Roll against the board as it was, so new hexes don't spread this round
+      const sources = this.gameState.getTiles().filter(tile => tile.element === rule.element);
+      let count = 0;
+
+      for (const source of sources) {
+        if (count >= rule.maxPerRound) break;
+        if (this.random() >= rule.chance) continue;
+
+        const targets = hexNeighbors(source.q, source.r)
+          .map(({ q, r }) => this.gameState.getTile(q, r))
+          .filter(tile => tile && rule.into.includes(tile.element));
+        if (targets.length === 0) continue;
+
+        const target = targets[Math.floor(this.random() * targets.length)];
+        const tile = transformTile(this.gameState, target.q, target.r, rule.element, {
+          reason: 'spread',
+          source: rule.element,
+        });
+        if (tile) {
+          changed.push(tile);
+          count++;
+        }
+      }
+    });
+
+    if (changed.length > 0) debugLog(`${changed.length} hex(es) overtaken by spreading biomes`);
+    return changed;
+  }
+
+  /**
+   * Stop listening to the turn cycle
+   */
+  dispose() {
+    this._unsubscribe();
+    this._unsubscribeRestore();
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * TurnManager.js
+ * Owns the turn cycle: active player, per-beast action points and the
+ * turn-start / main / turn-end phases.
+ *
+ * Turn data lives in the GameState (state.turn, beast.actions and
+ * beast.cooldowns) so it is serialized with everything else; this class only
+ * drives the transitions.
+ *
+ * Events emitted:
+ *   phaseChanged { phase, turn }
+ *   turnStart    { turn, player }
+ *   turnEnd      { turn, player }
+ *   actionSpent  { beast, action, remaining }
+ */
+import { EventEmitter } from './EventEmitter.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[TURN] ${message}`, data);
+  } else {
+    console.log(`[TURN] ${message}`);
+  }
+}
+
+/**
+ * Phases a turn goes through
+ */
+export const TURN_PHASES = {
+  SETUP: 'setup',
+  TURN_START: 'turnStart',
+  MAIN: 'main',
+  TURN_END: 'turnEnd',
+  GAME_OVER: 'gameOver',
+};
+
+/**
+ * Action points every beast gets at the start of its owner's turn
+ */
+export const DEFAULT_ACTION_POINTS = {
+  move: 1,
+  attack: 1,
+  ability: 1,
+};
+
+/**
+ * Class managing whose turn it is and what each beast may still do
+ */
+export class TurnManager extends EventEmitter {
+  /**
+   * @param {GameState} gameState - The state holding turn and beast data
+   * @param {Object} options - Optional settings
+   * @param {Object} options.actionPoints - Override for DEFAULT_ACTION_POINTS
+   */
+  constructor(gameState, options = {}) {
+    super();
+    this.gameState = gameState;
+    this.actionPoints = { ...DEFAULT_ACTION_POINTS, ...(options.actionPoints || {}) };
+  }
+
+  /**
+   * Start the first turn with the first registered player
+   */
+  startMatch() {
+    const players = this.gameState.getPlayers();
+    if (players.length === 0) {
+      console.warn('[TURN] Cannot start match without players');
+      return;
+    }
+
+    console.log(`[TURN] Starting match with ${players.length} player(s)`);
+    this.gameState.setTurn({ number: 1, round: 1, activePlayer: players[0].id });
+    this.startTurn();
+  }
+
+  /**
+   * Stop the turn cycle for good; no further actions are allowed
+   */
+  endMatch() {
+    console.log(`[TURN] Match over on turn ${this.gameState.turn.number}`);
+    this._setPhase(TURN_PHASES.GAME_OVER);
+  }
+
+  /**
+   * @returns {Object|null} - The player whose turn it is
+   */
+  getActivePlayer() {
+    return this.gameState.getPlayer(this.gameState.turn.activePlayer);
+  }
+
+  /**
+   * @param {string} playerId - Player id
+   * @returns {boolean}
+   */
+  isActivePlayer(playerId) {
+    return this.gameState.turn.activePlayer === playerId;
+  }
+
+  /**
+   * @returns {string} - Current phase, one of TURN_PHASES
+   */
+  getPhase() {
+    return this.gameState.turn.phase;
+  }
+
+  /**
+   * Run the turn-start phase for the active player and enter the main phase
+   */
+  startTurn() {
+    const player = this.getActivePlayer();
+    this._setPhase(TURN_PHASES.TURN_START);
+
+    // Refill action points and count ability cooldowns down for every beast
+    // the active player owns
+    this.gameState.getBeastsByOwner(player.id).forEach(beast => {
+      const changes = { actions: this.getFullActionPoints(beast) };
+      if (beast.cooldowns) changes.cooldowns = this._tickCooldowns(beast.cooldowns);
+      this.gameState.updateBeast(beast.id, changes);
+    });
+
+    debugLog(`Turn ${this.gameState.turn.number} started for ${player.name}`);
+    this.emit('turnStart', { turn: this.gameState.turn, player });
+
+    this._setPhase(TURN_PHASES.MAIN);
+  }
+
+  /**
+   * Run the turn-end phase and hand over to the next player
+   */
+  endTurn() {
+    if (this.getPhase() !== TURN_PHASES.MAIN) {
+      console.warn(`[TURN] Cannot end turn during ${this.getPhase()} phase`);
+      return;
+    }
+
+    const player = this.getActivePlayer();
+    this._setPhase(TURN_PHASES.TURN_END);
+    debugLog(`Turn ${this.gameState.turn.number} ended for ${player.name}`);
+    this.emit('turnEnd', { turn: this.gameState.turn, player });
+
+    // A turn-end listener may have decided the match (e.g. turn limit)
+    if (this.getPhase() === TURN_PHASES.GAME_OVER) return;
+
+    this.nextTurn();
+  }
+
+  /**
+   * Hand over from a finished turn to the next player and start their turn
+   * endTurn() calls this once the turn-end phase is done; a match loaded
+   * from a save made during that phase calls it to carry on.
+   */
+  nextTurn() {
+    if (this.getPhase() !== TURN_PHASES.TURN_END) {
+      console.warn(`[TURN] Cannot hand over the turn during ${this.getPhase()} phase`);
+      return;
+    }
+
+    // Advance to the next player, wrapping into a new round
+    const player = this.getActivePlayer();
+    const players = this.gameState.getPlayers();
+    const currentIndex = players.findIndex(p => p.id === player.id);
+    const nextIndex = (currentIndex + 1) % players.length;
+    const turn = this.gameState.turn;
+
+    this.gameState.setTurn({
+      number: turn.number + 1,
+      round: nextIndex === 0 ? (turn.round || 1) + 1 : (turn.round || 1),
+      activePlayer: players[nextIndex].id,
+    });
+
+    this.startTurn();
+  }
+
+  /**
+   * Action points a beast starts its turn with
+   * @param {Object} beast - Beast record
+   * @returns {Object} - Points per action type
+   */
+  getFullActionPoints(beast) {
+    return { ...this.actionPoints };
+  }
+
+  /**
+   * @param {string} beastId - Beast id
+   * @returns {Object} - Remaining points per action type (all zero if none)
+   */
+  getActionPoints(beastId) {
+    const beast = this.gameState.getBeast(beastId);
+    return (beast && beast.actions) || { move: 0, attack: 0, ability: 0 };
+  }
+
+  /**
+   * Whether a beast may perform an action right now
+   * @param {string} beastId - Beast id
+   * @param {string} action - 'move', 'attack' or 'ability'
+   * @param {number} amount - Points the action costs
+   * @returns {boolean}
+   */
+  canPerform(beastId, action, amount = 1) {
+    const beast = this.gameState.getBeast(beastId);
+    if (!beast) return false;
+    if (this.getPhase() !== TURN_PHASES.MAIN) return false;
+    if (!this.isActivePlayer(beast.owner)) return false;
+    // Status effects such as stun and root (see StatusEffects.js)
+    if ((beast.statuses || []).some(status => (status.blocks || []).includes(action))) return false;
+    return (this.getActionPoints(beastId)[action] || 0) >= amount;
+  }
+
+  /**
+   * Spend action points if the beast has them
+   * @param {string} beastId - Beast id
+   * @param {string} action - 'move', 'attack' or 'ability'
+   * @param {number} amount - Points to spend
+   * @returns {boolean} - Whether the points were spent
+   */
+  spendAction(beastId, action, amount = 1) {
+    if (!this.canPerform(beastId, action, amount)) {
+      console.warn(`[TURN] ${beastId} cannot spend ${amount} ${action} point(s)`);
+      return false;
+    }
+
+    const actions = { ...this.getActionPoints(beastId) };
+    actions[action] -= amount;
+    const beast = this.gameState.updateBeast(beastId, { actions });
+
+    this.emit('actionSpent', { beast, action, remaining: actions[action] });
+    return true;
+  }
+
+  /**
+   * One turn off every ability cooldown, dropping the finished ones
+   * @param {Object} cooldowns - Turns left per ability id
+   * @returns {Object}
+   * @private
+   */
+  _tickCooldowns(cooldowns) {
+    const ticked = {};
+    Object.entries(cooldowns).forEach(([abilityId, turns]) => {
+      if (turns > 1) ticked[abilityId] = turns - 1;
+    });
+    return ticked;
+  }
+
+  /**
+   * Update the phase in the game state and notify listeners
+   * @param {string} phase - One of TURN_PHASES
+   * @private
+   */
+  _setPhase(phase) {
+    this.gameState.setTurn({ phase });
+    this.emit('phaseChanged', { phase, turn: this.gameState.turn });
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * Vision.js
+ * Fog of war: which hexes each team can see.
+ *
+ * A team sees every hex within sightRange of one of its beasts, as long as
+ * the straight hex line between them doesn't pass through a sight-blocking
+ * biome (Earth and Metal by default). The blocking hex itself is visible, the
+ * hexes behind it are not. A team always sees its own spawn zones.
+ *
+ * Sight lines run between eye heights above each end's elevation, so raised
+ * hexes hide what lies behind them, and a beast on high ground can look over
+ * low obstacles: a blocking biome only blocks while its top (elevation plus
+ * blockerHeight levels) rises above the line.
+ *
+ * Enemy beasts and crystals on hexes a team cannot see are hidden from it:
+ * renderers ask FogOfWar what to draw, and getPlayerView() builds the
+ * stripped-down snapshot a player (or the AI playing them) is allowed to read.
+ * Values live in /assets/data/vision.json.
+ *
+ * Events emitted by FogOfWar:
+ *   visibilityChanged {}  (something moved, ask again for the hexes you need)
+ */
+import { loadJSON } from './DataLoader.js';
+import { EventEmitter } from './EventEmitter.js';
+import { hexKey, hexLine, hexesInRadius } from './HexGrid.js';
+import { getCombatStat } from './Combat.js';
+import { getElevation } from './Elevation.js';
+
+// Debug flag
+const DEBUG = false;
+
+/**
+ * Enhanced logging function that only logs in debug mode
+ * @param {string} message - Log message
+ * @param {Object} data - Optional data to log
+ */
+function debugLog(message, data = null) {
+  if (!DEBUG) return;
+  if (data) {
+    console.log(`[VISION] ${message}`, data);
+  } else {
+    console.log(`[VISION] ${message}`);
+  }
+}
+
+/**
+ * Default location of the vision data file
+ */
+export const VISION_URL = '/assets/data/vision.json';
+
+/**
+ * Values used when the data file is missing or incomplete
+ */
+export const DEFAULT_VISION = {
+  enabled: true,
+  defaultSightRange: 4,
+  blockingBiomes: ['Earth', 'Metal'],
+  revealSpawnZones: true,
+  eyeHeight: 0.5,
+  blockerHeight: 1,
+};
+
+/**
+ * Class holding the fog of war rules
+ */
+export class VisionRules {
+  /**
+   * @param {Object} data - Parsed vision.json contents
+   */
+  constructor(data = {}) {
+    const merged = { ...DEFAULT_VISION, ...data };
+    this.version = merged.version || 1;
+    this.enabled = merged.enabled !== false;
+    this.revealSpawnZones = merged.revealSpawnZones !== false;
+
+    this.defaultSightRange = merged.defaultSightRange;
+    if (typeof this.defaultSightRange !== 'number' || this.defaultSightRange < 0) {
+      console.warn('[VISION] Invalid defaultSightRange:', this.defaultSightRange);
+      this.defaultSightRange = DEFAULT_VISION.defaultSightRange;
+    }
+
+    this.blockingBiomes = Array.isArray(merged.blockingBiomes) ? [...merged.blockingBiomes] : [];
+
+    // Heights in elevation levels
+    ['eyeHeight', 'blockerHeight'].forEach(key => {
+      this[key] = merged[key];
+      if (typeof this[key] !== 'number' || this[key] < 0) {
+        console.warn(`[VISION] Invalid ${key}:`, this[key]);
+        this[key] = DEFAULT_VISION[key];
+      }
+    });
+  }
+
+  /**
+   * Load the vision rules from their data file
+   * @param {string} url - Location of the vision JSON
+   * @returns {Promise<VisionRules>}
+   */
+  static async load(url = VISION_URL) {
+    const data = await loadJSON(url);
+    console.log(`[VISION] Vision rules v${data.version || 1} loaded`);
+    return new VisionRules(data);
+  }
+
+  /**
+   * @param {Object} data - Parsed vision data
+   * @returns {VisionRules}
+   */
+  static fromJSON(data) {
+    return new VisionRules(data);
+  }
+
+  /**
+   * @param {string} biome - Hex element
+   * @returns {boolean} - Whether the biome stops sight passing through it
+   */
+  blocksSight(biome) {
+    return this.blockingBiomes.includes(biome);
+  }
+
+  /**
+   * How far a beast can see
+   * @param {Object} beast - Beast record
+   * @returns {number}
+   */
+  getSightRange(beast) {
+    return getCombatStat(beast, 'sightRange') ?? this.defaultSightRange;
+  }
+
+  /**
+   * @returns {Object} - Data in the vision JSON format
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      enabled: this.enabled,
+      defaultSightRange: this.defaultSightRange,
+      blockingBiomes: [...this.blockingBiomes],
+      revealSpawnZones: this.revealSpawnZones,
+      eyeHeight: this.eyeHeight,
+      blockerHeight: this.blockerHeight,
+    };
+  }
+}
+
+/**
+ * Whether nothing stands between two hexes
+ * Only the hexes strictly between the ends can block; off-map gaps block too.
+ * A hex blocks when its top (elevation, plus blockerHeight for blocking
+ * biomes) rises above the sight line at that point.
+ * @param {GameState} state - The game state
+ * @param {{q: number, r: number}} from - Viewer hex
+ * @param {{q: number, r: number}} to - Target hex
+ * @param {VisionRules} rules - Which biomes block sight and how tall things are
+ * @returns {boolean}
+ */
+export function hasLineOfSight(state, from, to, rules = new VisionRules()) {
+  const line = hexLine(from, to);
+  const fromHeight = getElevation(state.getTile(from.q, from.r)) + rules.eyeHeight;
+  const toHeight = getElevation(state.getTile(to.q, to.r)) + rules.eyeHeight;
+
+  for (let i = 1; i < line.length - 1; i++) {
+    const tile = state.getTile(line[i].q, line[i].r);
+    if (!tile) return false;
+
+    const lineHeight = fromHeight + (toHeight - fromHeight) * (i / (line.length - 1));
+    const top = getElevation(tile) + (rules.blocksSight(tile.element) ? rules.blockerHeight : 0);
+    if (top > lineHeight) return false;
+  }
+  return true;
+}
+
+/**
+ * Every hex a player's team can see right now
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Viewing player id
+ * @param {VisionRules} rules - Fog of war rules
+ * @returns {Set<string>} - "q,r" keys of the visible hexes
+ */
+export function getVisibleHexes(state, playerId, rules = new VisionRules()) {
+  const visible = new Set();
+
+  if (!rules.enabled) {
+    state.getTiles().forEach(tile => visible.add(hexKey(tile.q, tile.r)));
+    return visible;
+  }
+
+  state.getBeasts(beast => state.areAllies(beast.owner, playerId)).forEach(beast => {
+    const range = rules.getSightRange(beast);
+    hexesInRadius(range).forEach(offset => {
+      const hex = { q: beast.q + offset.q, r: beast.r + offset.r };
+      const key = hexKey(hex.q, hex.r);
+      if (visible.has(key) || !state.getTile(hex.q, hex.r)) return;
+      if (hasLineOfSight(state, beast, hex, rules)) visible.add(key);
+    });
+  });
+
+  if (rules.revealSpawnZones) {
+    state.getTiles().forEach(tile => {
+      if (tile.spawnOwner && state.areAllies(tile.spawnOwner, playerId)) {
+        visible.add(hexKey(tile.q, tile.r));
+      }
+    });
+  }
+
+  return visible;
+}
+
+/**
+ * Snapshot of the state as one player is allowed to see it
+ * Hidden hexes keep their biome but lose crystal info and get visible: false;
+ * enemy beasts standing on them are left out. Biomes and spawn owners of
+ * hidden hexes are public: the fog renderer only dims those hexes and the
+ * tooltip names spawn zones anywhere. Opponents' crystal pools and match
+ * stats are dropped (the HUD hides them from the viewer the same way), and
+ * the beast id counter only counts visible beasts, so summons made out of
+ * sight stay hidden too. Load it with GameState.fromJSON().
+ * @param {GameState} state - The game state
+ * @param {string} playerId - Viewing player id
+ * @param {VisionRules} rules - Fog of war rules
+ * @returns {Object} - Snapshot in the GameState.toJSON() format
+ */
+export function getPlayerView(state, playerId, rules = new VisionRules()) {
+  const snapshot = state.toJSON();
+  const visible = getVisibleHexes(state, playerId, rules);
+
+  snapshot.tiles.forEach(tile => {
+    if (visible.has(hexKey(tile.q, tile.r))) return;
+    delete tile.crystal;
+    delete tile.crystalRespawnRound;
+    tile.visible = false;
+  });
+
+  snapshot.beasts = snapshot.beasts.filter(beast =>
+    state.areAllies(beast.owner, playerId) || visible.has(hexKey(beast.q, beast.r)));
+
+  snapshot.players.forEach(player => {
+    if (!state.areAllies(player.id, playerId)) delete player.crystals;
+  });
+  Object.keys(snapshot.match.stats || {}).forEach(id => {
+    if (!state.areAllies(id, playerId)) delete snapshot.match.stats[id];
+  });
+  // New ids only have to stay clear of the beasts in the view
+  snapshot.nextBeastId = snapshot.beasts.reduce((next, beast) => {
+    const match = /^beast-(\d+)$/.exec(beast.id);
+    return match ? Math.max(next, Number(match[1]) + 1) : next;
+  }, 1);
+
+  debugLog(`View for ${playerId}: ${visible.size} visible hexes, ${snapshot.beasts.length} beasts`);
+  return snapshot;
+}
+
+/**
+ * Class keeping each team's visible hexes up to date as the state changes
+ */
+export class FogOfWar extends EventEmitter {
+  /**
+   * @param {GameState} gameState - The game state
+   * @param {VisionRules} rules - Fog of war rules
+   */
+  constructor(gameState, rules = new VisionRules()) {
+    super();
+    this.gameState = gameState;
+    this.rules = rules;
+
+    // Visible hex keys by team id, recomputed lazily after a change
+    this.cache = new Map();
+
+    const invalidate = () => this.invalidate();
+    this._unsubscribers = [
+      'beastAdded', 'beastMoved', 'beastRemoved', 'beastUpdated',
+      'tileChanged', 'tilesCleared', 'crystalChanged', 'stateRestored',
+    ].map(event => this.gameState.on(event, invalidate));
+  }
+
+  /**
+   * Drop cached visibility and tell listeners to redraw
+   */
+  invalidate() {
+    this.cache.clear();
+    this.emit('visibilityChanged', {});
+  }
+
+  /**
+   * Every hex a player's team can see
+   * @param {string} playerId - Viewing player id
+   * @returns {Set<string>} - "q,r" keys
+   */
+  getVisibleHexes(playerId) {
+    const player = this.gameState.getPlayer(playerId);
+    const teamId = player ? (player.team ?? player.id) : playerId;
+    if (!this.cache.has(teamId)) {
+      this.cache.set(teamId, getVisibleHexes(this.gameState, playerId, this.rules));
+    }
+    return this.cache.get(teamId);
+  }
+
+  /**
+   * @param {string} playerId - Viewing player id
+   * @param {number} q - q coordinate
+   * @param {number} r - r coordinate
+   * @returns {boolean}
+   */
+  isVisible(playerId, q, r) {
+    if (!this.rules.enabled) return true;
+    return this.getVisibleHexes(playerId).has(hexKey(q, r));
+  }
+
+  /**
+   * Whether a player can see a beast: allies always, enemies only in vision
+   * @param {string} playerId - Viewing player id
+   * @param {Object} beast - Beast record
+   * @returns {boolean}
+   */
+  canSeeBeast(playerId, beast) {
+    return this.gameState.areAllies(beast.owner, playerId) || this.isVisible(playerId, beast.q, beast.r);
+  }
+
+  /**
+   * @param {string} playerId - Viewing player id
+   * @returns {Object} - See getPlayerView()
+   */
+  getPlayerView(playerId) {
+    return getPlayerView(this.gameState, playerId, this.rules);
+  }
+
+  /**
+   * Stop watching the state
+   */
+  dispose() {
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.cache.clear();
+  }
+}
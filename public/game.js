@@ -3,7 +3,41 @@ import { CameraManager } from "./camera.js";
 import { DebugMenu } from "./tools/diagnostics/DebugMenu.js";
 import { Beast } from './beast.js';
 // Import the new MapGenerator module and the textureLoadingTracker
-import { MapGenerator, ELEMENT_TYPES, textureLoadingTracker } from './MapGeneration.js';
+import { MapGenerator, ELEMENT_TYPES, textureLoadingTracker, getHexTopY } from './MapGeneration.js';
+// Headless game state that the map and beasts render from
+import { GameState } from './core/GameState.js';
+import { TurnManager, TURN_PHASES } from './core/TurnManager.js';
+import { ElementChart } from './core/ElementChart.js';
+import { TerrainCosts } from './core/TerrainCosts.js';
+import { TerrainAffinity } from './core/TerrainAffinity.js';
+import { CrystalManager, loadCrystalConfig, DEFAULT_CRYSTAL_CONFIG } from './core/CrystalManager.js';
+import { loadBeastDefinitions } from './core/BeastDefinitions.js';
+import { GameHUD } from './ui/GameHUD.js';
+import { HexTooltip } from './ui/HexTooltip.js';
+import { SummonPanel } from './ui/SummonPanel.js';
+import { MovementRangeOverlay } from './MovementRangeOverlay.js';
+import { SelectionManager } from './SelectionManager.js';
+import { MatchDefinition } from './core/MatchDefinition.js';
+import { setupMatch, Match } from './core/Match.js';
+import { ResultsScreen } from './ui/ResultsScreen.js';
+import { VisionRules, FogOfWar } from './core/Vision.js';
+import { FogOfWarRenderer } from './FogOfWarRenderer.js';
+import { AbilityBook } from './core/Abilities.js';
+import { StatusRules, StatusEffectManager } from './core/StatusEffects.js';
+import { TerrainTransformRules, TerrainTransformManager } from './core/TerrainTransform.js';
+import { ElevationRules } from './core/Elevation.js';
+import { CommandHistory } from './core/CommandHistory.js';
+import { COMMAND_TYPES } from './core/Commands.js';
+import { AIController, loadAIConfig, isAIPlayer, AI_DIFFICULTIES, DEFAULT_AI_CONFIG } from './core/AI.js';
+import { AbilityBar } from './ui/AbilityBar.js';
+import { DifficultyMenu } from './ui/DifficultyMenu.js';
+import { Random } from './core/Random.js';
+import { ReplayRecorder, ReplayPlayer, loadReplay, parseReplay } from './core/Replay.js';
+import { ReplayViewer } from './ui/ReplayViewer.js';
+import { downloadJSON, pickJSONFile } from './ui/FileTransfer.js';
+import { SaveSlots, createSave, parseSave, restoreSave, AUTOSAVE_SLOT } from './core/SaveGame.js';
+import { SaveMenu } from './ui/SaveMenu.js';
+import { MapFile, MAP_FOLDER_URL } from './core/MapFile.js';
 
 // Log the imported textureLoadingTracker to verify it's properly loaded
 console.log('[GAME] Imported textureLoadingTracker:', textureLoadingTracker);
@@ -15,6 +49,29 @@ import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 // Global THREE variable
 let THREE;
 
+// Designer-editable game data loaded from /assets before the game starts
+const gameData = {
+  elementChart: null,
+  terrainCosts: null,
+  terrainAffinity: null,
+  crystalConfig: null,
+  matchDefinition: null,
+  beastDefinitions: {},
+  // Recorded match being watched, null in a normal game
+  replay: null,
+  // Saved match being continued, null for a new game
+  save: null,
+  // Board to build instead of rolling one, null for a random map
+  mapFile: null,
+};
+
+// Where Load Replay hands the picked file to the reloaded page
+const REPLAY_SESSION_KEY = "beastTactics.replay";
+// Where the Save / Load menu hands the chosen save to the reloaded page
+const SAVE_SESSION_KEY = "beastTactics.load";
+// Where Import Map hands the picked map file to the reloaded page
+const MAP_SESSION_KEY = "beastTactics.map";
+
 /**
  * Main game initialization function - called after all modules are loaded
  */
@@ -56,6 +113,9 @@ async function loadModules() {
     await loadScript("/libs/SpriteMixer.js");
     console.log("[GAME] SpriteMixer library loaded successfully");
     
+    // Load gameplay data files
+    await loadGameData();
+    
     // Initialize the game after all modules are loaded
     initGame();
   } catch (err) {
@@ -64,6 +124,150 @@ async function loadModules() {
   }
 }
 
+/**
+ * Load the JSON data files that drive gameplay rules
+ * Missing files fall back to neutral defaults so the game still starts
+ */
+async function loadGameData() {
+  try {
+    gameData.elementChart = await ElementChart.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load element chart, using neutral matchups:", err);
+    gameData.elementChart = new ElementChart();
+  }
+
+  try {
+    gameData.terrainCosts = await TerrainCosts.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load terrain costs, every hex costs 1:", err);
+    gameData.terrainCosts = new TerrainCosts();
+  }
+
+  try {
+    gameData.terrainAffinity = await TerrainAffinity.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load terrain affinity, biomes give no bonuses:", err);
+    gameData.terrainAffinity = new TerrainAffinity();
+  }
+
+  try {
+    gameData.crystalConfig = await loadCrystalConfig();
+  } catch (err) {
+    console.error("[GAME] Failed to load crystal config, using defaults:", err);
+    gameData.crystalConfig = { ...DEFAULT_CRYSTAL_CONFIG };
+  }
+
+  try {
+    gameData.visionRules = await VisionRules.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load vision rules, using defaults:", err);
+    gameData.visionRules = new VisionRules();
+  }
+
+  try {
+    gameData.abilities = await AbilityBook.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load abilities, beasts can only move and attack:", err);
+    gameData.abilities = new AbilityBook();
+  }
+
+  try {
+    gameData.statusRules = await StatusRules.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load status effects, using defaults:", err);
+    gameData.statusRules = new StatusRules();
+  }
+
+  try {
+    gameData.terrainTransforms = await TerrainTransformRules.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load terrain transforms, biomes will not change:", err);
+    gameData.terrainTransforms = new TerrainTransformRules();
+  }
+
+  try {
+    gameData.elevationRules = await ElevationRules.load();
+  } catch (err) {
+    console.error("[GAME] Failed to load elevation rules, using defaults:", err);
+    gameData.elevationRules = new ElevationRules();
+  }
+
+  try {
+    gameData.aiConfig = await loadAIConfig();
+  } catch (err) {
+    console.error("[GAME] Failed to load AI config, using defaults:", err);
+    gameData.aiConfig = { ...DEFAULT_AI_CONFIG };
+  }
+
+  // ?match=<name> picks /assets/data/matches/<name>.json
+  const matchName = new URLSearchParams(window.location.search).get("match");
+  try {
+    gameData.matchDefinition = await MatchDefinition.load(
+      matchName ? `/assets/data/matches/${matchName}.json` : undefined,
+    );
+  } catch (err) {
+    console.error("[GAME] Failed to load match definition, using a plain two-player match:", err);
+    gameData.matchDefinition = new MatchDefinition({
+      players: [
+        { id: "player1", name: "Player 1", spawnZone: { element: "Fire" }, startingBeasts: ["Fire"] },
+        { id: "player2", name: "Player 2", spawnZone: { element: "Water" }, startingBeasts: ["Water"] },
+      ],
+    });
+  }
+
+  // ?replay=<url> watches a recorded match, ?replay=session the file picked with Load Replay
+  const replayParam = new URLSearchParams(window.location.search).get("replay");
+  if (replayParam) {
+    try {
+      gameData.replay = replayParam === "session"
+        ? parseReplay(JSON.parse(sessionStorage.getItem(REPLAY_SESSION_KEY)))
+        : await loadReplay(replayParam);
+      gameData.matchDefinition = MatchDefinition.fromJSON(gameData.replay.match);
+    } catch (err) {
+      console.error("[GAME] Failed to load replay, starting a normal match:", err);
+      gameData.replay = null;
+    }
+  }
+
+  // ?load=<slot> continues a saved game, ?load=session the save picked in the Save / Load menu
+  const loadParam = new URLSearchParams(window.location.search).get("load");
+  if (loadParam && !gameData.replay) {
+    try {
+      gameData.save = loadParam === "session"
+        ? parseSave(JSON.parse(sessionStorage.getItem(SAVE_SESSION_KEY)))
+        : new SaveSlots().load(loadParam);
+      if (!gameData.save) throw new Error(`No save in slot '${loadParam}'`);
+      if (gameData.save.match) gameData.matchDefinition = MatchDefinition.fromJSON(gameData.save.match);
+    } catch (err) {
+      console.error("[GAME] Failed to load saved game, starting a new match:", err);
+      gameData.save = null;
+    }
+  }
+
+  // ?map=<name> builds /assets/data/maps/<name>.json, ?map=session the file picked with Import Map;
+  // replays and saves bring the map they were played on
+  const mapParam = new URLSearchParams(window.location.search).get("map");
+  const recordedMap = gameData.replay ? gameData.replay.map : gameData.save?.map;
+  try {
+    if (recordedMap) {
+      gameData.mapFile = MapFile.fromJSON(recordedMap);
+    } else if (mapParam && !gameData.replay && !gameData.save) {
+      gameData.mapFile = mapParam === "session"
+        ? MapFile.fromJSON(JSON.parse(sessionStorage.getItem(MAP_SESSION_KEY)))
+        : await MapFile.load(`${MAP_FOLDER_URL}/${mapParam}.json`);
+    }
+  } catch (err) {
+    console.error("[GAME] Failed to load map, rolling one from the seed:", err);
+    gameData.mapFile = null;
+  }
+
+  // One definition per beast type; missing files fall back to default stats
+  gameData.beastDefinitions = await loadBeastDefinitions(ELEMENT_TYPES);
+
+  // Make game data available globally for diagnostics and live tuning
+  window.gameData = gameData;
+}
+
 /**
  * Helper function to load scripts via DOM
  */
@@ -486,6 +690,13 @@ function setupScene() {
     // Clear previous hover
     window.hoveredHex = null;
 
+    // Describe the hovered hex (biome, movement cost) next to the cursor
+    if (intersects.length > 0) {
+      hexTooltip.show(intersects[0].object, event.clientX, event.clientY);
+    } else {
+      hexTooltip.hide();
+    }
+
     // If we found a new hex to hover
     if (intersects.length > 0) {
       try {
@@ -599,8 +810,8 @@ function setupScene() {
         
         console.log(`[HOVER] Using hex rotation: ${hexRotationY.toFixed(4)} radians`);
         
-        // Position higher above hex to avoid z-fighting
-        strokeMesh.position.y = 0.05;
+        // Sit just under the hex top (raised hexes have taller columns)
+        strokeMesh.position.y = hex.geometry.parameters.height / 2 - 0.05;
         
         // Set very high rendering order to ensure visibility
         strokeMesh.renderOrder = 1000;
@@ -643,9 +854,121 @@ function setupScene() {
     new THREE.MeshPhongMaterial({ color: 0xc6e2ff, shininess: 50, specular: 0x555555 }), // Wind
   ];
 
+  // Create the plain-data game state shared by rules and renderers
+  debugLog("Creating game state...");
+  const gameState = new GameState();
+  // Players come from the match definition once the map exists
+
+  // Every random roll comes from one seed, ?seed=<number or text> replays a game
+  const seed = gameData.replay?.seed ?? gameData.save?.seed
+    ?? new URLSearchParams(window.location.search).get("seed");
+  const random = seed !== null && seed !== "" ? new Random(seed) : new Random();
+  console.log(`[GAME] Match seed: ${random.seed}`);
+  // Streams rolled during play; replays checkpoint their positions
+  const randomStreams = {
+    terrain: random.fork("terrain"),
+    combat: random.fork("combat"),
+  };
+
+  // Turn manager owns the active player and per-beast action points
+  const turnManager = new TurnManager(gameState);
+
+  // Crystal harvesting and respawn timers
+  const crystalManager = new CrystalManager(gameState, turnManager, gameData.crystalConfig);
+
+  // Status effect ticks, expiry and terrain hazards
+  const statusEffects = new StatusEffectManager(gameState, turnManager, gameData.statusRules);
+
+  // Spreading biomes; ability reactions go through the ability bar rules
+  const terrainTransforms = new TerrainTransformManager(gameState, turnManager, gameData.terrainTransforms, {
+    random: randomStreams.terrain.next,
+  });
+
+  // Per-team visibility, drawn for whoever's turn it is
+  const fogOfWar = new FogOfWar(gameState, gameData.visionRules);
+
+  // Player commands run through the history so this turn's moves and summons can be undone
+  const commandHistory = new CommandHistory(gameState, turnManager, {
+    elementChart: gameData.elementChart,
+    terrainAffinity: gameData.terrainAffinity,
+    terrainCosts: gameData.terrainCosts,
+    fogOfWar,
+    visionRules: gameData.visionRules,
+    abilities: gameData.abilities,
+    statusRules: gameData.statusRules,
+    terrainTransforms: gameData.terrainTransforms,
+    definitions: gameData.beastDefinitions,
+    random: randomStreams.combat.next,
+  });
+
+  // Computer players issue the same commands, paced so each one can be watched;
+  // a replay already holds their commands
+  const aiController = gameData.replay ? null : new AIController(gameState, turnManager, commandHistory, {
+    config: gameData.aiConfig,
+    crystalConfig: gameData.crystalConfig,
+    waitForIdle: () => Promise.all(beastViews.map((view) => view.whenIdle())),
+    random: random.fork("ai").next,
+  });
+
+  // Every command that runs is written down for Save Replay
+  const replayRecorder = gameData.replay ? null : new ReplayRecorder(gameState, commandHistory, {
+    seed: random.seed,
+    matchDefinition: gameData.matchDefinition,
+    mapFile: gameData.mapFile,
+  });
+
+  // Tooltip for the hovered hex, fed by the hover handler above
+  const hexTooltip = new HexTooltip(
+    gameState, turnManager, gameData.terrainCosts, gameData.terrainAffinity, fogOfWar,
+  );
+
+  // Make game state available globally for diagnostics
+  window.gameState = gameState;
+  window.turnManager = turnManager;
+  window.crystalManager = crystalManager;
+  window.statusEffects = statusEffects;
+  window.terrainTransforms = terrainTransforms;
+  window.fogOfWar = fogOfWar;
+  window.commandHistory = commandHistory;
+  window.aiController = aiController;
+  window.replayRecorder = replayRecorder;
+
+  // Named saves and the autosave live in the browser's storage
+  const saveSlots = new SaveSlots();
+  // A command still running isn't in the recorder yet; pending adds it
+  const createGameSave = (name, pending = []) => createSave(gameState, {
+    name,
+    seed: random.seed,
+    randomStreams,
+    matchDefinition: gameData.matchDefinition,
+    mapFile: gameData.mapFile,
+    commands: replayRecorder ? [...replayRecorder.commands, ...pending] : [],
+  });
+  window.saveSlots = saveSlots;
+
+  // A loaded save fills the state before the map is built, so the map renders its tiles
+  if (gameData.save) {
+    restoreSave(gameData.save, gameState, { randomStreams });
+    if (replayRecorder) replayRecorder.commands = JSON.parse(JSON.stringify(gameData.save.commands));
+  }
+
+  /**
+   * Reload the page into a saved match
+   * @param {Object} save - parseSave() output
+   */
+  function continueSave(save) {
+    sessionStorage.setItem(SAVE_SESSION_KEY, JSON.stringify(save));
+    window.location.search = "?load=session";
+  }
+  window.gameRandom = random;
+
   // Initialize map generator with scene and THREE
   debugLog("Initializing MapGenerator...");
-  const mapGenerator = new MapGenerator(scene, THREE);
+  const mapGenerator = new MapGenerator(scene, THREE, gameState, {
+    elevationRules: gameData.elevationRules,
+    random,
+    mapFile: gameData.mapFile,
+  });
   
   // Define variable to store hexagons with immediate initialization from MapGenerator
   // This helps avoid race conditions where code tries to access hexagons before they're ready
@@ -703,6 +1026,23 @@ function setupScene() {
     // Connect grid generator to debug menu
     debugMenu.setGridGenerator(generateHexagonGrid);
 
+    // Good boards can be exported for curation, and any map file played on
+    debugMenu.setMapTransfer(
+      () => downloadJSON(mapGenerator.exportMap(), `beast-tactics-map-${random.seed}.json`),
+      () => pickJSONFile()
+        .then((data) => {
+          if (MapFile.fromJSON(data).tiles.length === 0) throw new Error("Map has no tiles");
+          sessionStorage.setItem(MAP_SESSION_KEY, JSON.stringify(data));
+          // A new match on the map, keeping the chosen match and difficulty
+          const params = new URLSearchParams(window.location.search);
+          params.delete("replay");
+          params.delete("load");
+          params.set("map", "session");
+          window.location.search = params.toString();
+        })
+        .catch((err) => console.error("[GAME] Could not open map:", err)),
+    );
+
     // Make debug menu globally accessible immediately
     window.gameDebugMenu = debugMenu;
 
@@ -821,6 +1161,7 @@ function setupScene() {
     <div id="debug-camera">Camera: --</div>
     <div id="debug-textures">Textures: Loading...</div>
     <div id="debug-hovered">Hovered: None</div>
+    <div id="debug-seed">Seed: ${random.seed}</div>
   `;
   document.body.appendChild(debugInfo);
 
@@ -882,12 +1223,12 @@ function setupScene() {
       // Force an immediate animation update to ensure beast animations start
       animationDebugger.update();
 
-      // If fire beast already exists, register it with the animation debugger
-      if (fireBeast && fireBeast.beastTexture) {
-        console.log("[DEBUG] Registering existing Fire Beast with animation debugger");
-        fireBeast.animationDebuggerIndex = animationDebugger.registerTexture(
-          fireBeast.beastTexture, 
-          "FireBeast"
+      // If the first beast already exists, register it with the animation debugger
+      if (firstBeast && firstBeast.beastTexture) {
+        console.log(`[DEBUG] Registering existing ${firstBeast.type} Beast with animation debugger`);
+        firstBeast.animationDebuggerIndex = animationDebugger.registerTexture(
+          firstBeast.beastTexture, 
+          `${firstBeast.type}Beast`
         );
       }
     })
@@ -914,8 +1255,25 @@ function setupScene() {
       console.error("[DEBUG] Failed to load GIF debugging tools:", err);
     });
 
-  // Add Beast to scene after grid generation
-  let fireBeast = null;
+  // Beasts are added to the scene once the grid exists and the match starts
+  let firstBeast = null;
+  let match = null;
+  let gameHUD = null;
+  let summonPanel = null;
+  let abilityBar = null;
+  let resultsScreen = null;
+  // Every Beast view on the board, updated from the animation loop
+  const beastViews = [];
+
+  // Play the harvest effect once the collecting beast has walked onto the crystal
+  gameState.on("crystalCollected", ({ tile, beast }) => {
+    // The view starts walking from its own beastMoved listener, which may run
+    // after this one, so look for the walk on the next microtask
+    const view = beastViews.find((b) => b.id === beast.id);
+    Promise.resolve()
+      .then(() => (view ? view.whenIdle() : null))
+      .then(() => mapGenerator.playCrystalCollection(tile.q, tile.r));
+  });
   let arrowDebugger = null;
 
 
@@ -975,96 +1333,187 @@ function setupScene() {
     console.error("Failed to initialize Arrow Debugger:", error);
   }
 
-  // Function to spawn a Fire Beast on a random Fire tile
-  function spawnFireBeast() {
-    debugLog("Attempting to spawn Fire Beast on a random Fire tile");
+  /**
+   * Hook a beast up to the arrow debugger and debug menu
+   * @param {Beast} beast - Beast the debug tools should follow
+   */
+  function connectDebugTools(beast) {
+    // Connect beast to arrow debugger if available
+    if (arrowDebugger) {
+      debugLog("Connecting beast to Arrow Debugger");
+      arrowDebugger.setBeast(beast);
+    } else {
+      debugLog("Arrow Debugger not yet available, will connect when loaded");
 
-    if (hexagons.length === 0) {
-      console.warn("Cannot spawn beast: No hexagons in scene");
-      return null;
+      // Try again after a short delay
+      setTimeout(() => {
+        if (window.arrowDebugger && beast) {
+          debugLog("Connecting beast to Arrow Debugger (delayed)");
+          window.arrowDebugger.setBeast(beast);
+        }
+      }, 2000);
     }
 
-    // Find a random Fire hex using the Beast class static method
-    console.log("[GAME] Searching for Fire hex using Beast.findRandomHexOfElement");
-    const fireHex = Beast.findRandomHexOfElement(hexagons, "Fire");
-
-    if (!fireHex) {
-      console.warn("No Fire hexagons found, using first available hex instead");
-      // Fallback to any hex
-      const randomHex = hexagons[Math.floor(Math.random() * hexagons.length)];
-      createBeastAtHex(randomHex);
+    // Connect beast to arrow debugger in debug menu if it exists
+    if (window.gameDebugMenu) {
+      debugLog("Connecting beast to Debug Menu Arrow Debugger");
+      window.gameDebugMenu.initArrowDebugger(beast);
     } else {
-      createBeastAtHex(fireHex);
-    }
+      // Check if we need to look for a debug menu in parent scope
+      debugLog("Global gameDebugMenu not found, checking for alternatives");
 
-    function createBeastAtHex(hex) {
-      // Create beast at hex position (slightly elevated)
-      const beastPosition = {
-        x: hex.position.x,
-        y: hex.position.y + 0.7, // Raise above the hex
-        z: hex.position.z,
-      };
-
-      debugLog(`Creating Fire Beast at position`, beastPosition);
-
-      // Create the beast
-      fireBeast = new Beast("Fire", scene, camera, beastPosition, 1);
-
-      // Set up click handling for beast movement
-      fireBeast.setupClickHandling(hexagons);
-
-      // Update the current hex position with additional logging
-      fireBeast.currentAxialPos = { q: hex.userData.q, r: hex.userData.r };
-      console.log("[BEAST] Initial hex position set:", fireBeast.currentAxialPos);
-
-      // Connect beast to arrow debugger if available
-      if (arrowDebugger) {
-        debugLog("Connecting Fire Beast to Arrow Debugger");
-        arrowDebugger.setBeast(fireBeast);
-      } else {
-        debugLog("Arrow Debugger not yet available, will connect when loaded");
-
-        // Try again after a short delay
-        setTimeout(() => {
-          if (window.arrowDebugger && fireBeast) {
-            debugLog("Connecting Fire Beast to Arrow Debugger (delayed)");
-            window.arrowDebugger.setBeast(fireBeast);
-          }
-        }, 2000);
+      // Try to find any existing debug menu instance
+      const existingMenus = document.querySelectorAll('#debug-menu');
+      if (existingMenus.length > 0) {
+        debugLog("Found existing debug menu in DOM, but no global reference");
       }
 
-      // Connect beast to arrow debugger in debug menu if it exists
-      if (window.gameDebugMenu) {
-        debugLog("Connecting Fire Beast to Debug Menu Arrow Debugger");
-        window.gameDebugMenu.initArrowDebugger(fireBeast);
-      } else {
-        // Check if we need to look for a debug menu in parent scope
-        debugLog("Global gameDebugMenu not found, checking for alternatives");
-
-        // Try to find any existing debug menu instance
-        const existingMenus = document.querySelectorAll('#debug-menu');
-        if (existingMenus.length > 0) {
-          debugLog("Found existing debug menu in DOM, but no global reference");
-        }
+      // Log diagnostic information to help track down the issue
+      console.log("[BEAST] Debug state:", {
+        globalDebugMenu: !!window.gameDebugMenu,
+        arrowDebugger: !!arrowDebugger,
+        beastObject: !!beast,
+        beastType: beast ? beast.type : 'undefined'
+      });
+    }
+  }
 
-        // Log diagnostic information to help track down the issue
-        console.log("[BEAST] Debug state:", {
-          globalDebugMenu: !!window.gameDebugMenu,
-          arrowDebugger: !!arrowDebugger,
-          beastObject: !!fireBeast,
-          beastType: fireBeast ? fireBeast.type : 'undefined'
-        });
-      }
+  /**
+   * Set up players, spawn zones and starting beasts from the match
+   * definition, then give every starting beast a view
+   */
+  function startMatchFromDefinition() {
+    if (hexagons.length === 0) {
+      console.warn("[GAME] Cannot start match: No hexagons in scene");
+      return;
+    }
 
-      // Log the hex where the beast spawned
-      debugLog(`Fire Beast spawned on hex`, {
-        position: hex.position,
-        element: hex.userData.element,
-        coords: { q: hex.userData.q, r: hex.userData.r },
-      });
+    const startingBeasts = setupMatch(gameState, gameData.matchDefinition, {
+      definitions: gameData.beastDefinitions,
+      random: random.fork("spawns").next,
+      spawnPoints: gameData.mapFile ? gameData.mapFile.spawns : [],
+    });
+    startingBeasts.forEach((record) => createBeastView(record));
+
+    // The debug tools follow the first player's first beast
+    firstBeast = beastViews[0] || null;
+    if (firstBeast) connectDebugTools(firstBeast);
+
+    match = new Match(gameState, turnManager);
+    window.match = match;
+  }
+
+  /**
+   * Give every beast of a loaded save a view and pick the match up mid-turn
+   */
+  function resumeSavedMatch() {
+    gameState.getBeasts().forEach((record) => createBeastView(record));
+
+    firstBeast = beastViews[0] || null;
+    if (firstBeast) connectDebugTools(firstBeast);
+
+    match = new Match(gameState, turnManager);
+    window.match = match;
+    console.log(`[GAME] Continuing saved match at turn ${gameState.turn.number}`);
+  }
+
+  /**
+   * Create the Beast that renders a beast record already in the game state
+   * @param {Object} beastRecord - Beast record from the game state
+   * @returns {Beast|null} - The beast view, or null if its hex isn't rendered
+   */
+  function createBeastView(beastRecord) {
+    const { type, owner } = beastRecord;
+    const hex = mapGenerator.findHexByCoordinates(beastRecord.q, beastRecord.r);
+    if (!hex) {
+      console.warn(`[GAME] No hex at (${beastRecord.q}, ${beastRecord.r}) for beast ${beastRecord.id}`);
+      return null;
     }
+
+    const beastPosition = {
+      x: hex.position.x,
+      y: getHexTopY(hex) + 0.6, // Raise above the hex top
+      z: hex.position.z,
+      ground: hex.userData.height || 0,
+    };
+    const definition = gameData.beastDefinitions[type];
+
+    const beast = new Beast(type, scene, camera, beastPosition, 1, {
+      gameState,
+      beastId: beastRecord.id,
+      turnManager,
+      elementChart: gameData.elementChart,
+      terrainCosts: gameData.terrainCosts,
+      terrainAffinity: gameData.terrainAffinity,
+      fogOfWar,
+      statusRules: gameData.statusRules,
+      commandHistory,
+      random: randomStreams.combat.next,
+      definition,
+    });
+
+    // Moves and attacks are routed through the selection manager
+    beast.setupClickHandling(hexagons);
+    selectionManager.addBeast(beast);
+    beast.currentAxialPos = { q: hex.userData.q, r: hex.userData.r };
+    console.log(`[GAME] Spawned ${type} beast ${beastRecord.id} for ${owner} at`, beast.currentAxialPos);
+
+    beastViews.push(beast);
+    fogRenderer.refresh();
+    return beast;
+  }
+
+  // Only the selected beast listens to clicks on the board
+  const selectionManager = new SelectionManager(camera, THREE, gameState, turnManager, {
+    getHexagons: () => hexagons,
+    // Replays are watched, not played
+    enabled: !gameData.replay,
+  });
+  window.selectionManager = selectionManager;
+
+  // Darken what the active player can't see; hotseat players take turns
+  // looking at the screen, so the view follows the turn
+  const fogRenderer = new FogOfWarRenderer(THREE, fogOfWar, {
+    getHexagons: () => hexagons,
+    getBeastViews: () => beastViews,
+    getViewer: () => turnManager.getActivePlayer()?.id ?? null,
+  });
+  turnManager.on("turnStart", () => fogRenderer.refresh());
+  window.fogRenderer = fogRenderer;
+
+  // Summoned beasts only exist in the state until we give them a view
+  gameState.on("beastSummoned", ({ beast }) => createBeastView(beast));
+
+  // Redoing a summon brings back a record whose view was disposed by the undo
+  gameState.on("stateRestored", () => {
+    gameState.getBeasts().forEach((record) => {
+      if (!beastViews.some((view) => view.id === record.id && view.group)) createBeastView(record);
+    });
+  });
+
+  // Highlights free spawn hexes while the summon panel is placing a beast
+  const summonOverlay = new MovementRangeOverlay(scene, THREE);
+  const summonRaycaster = new THREE.Raycaster();
+
+  /**
+   * Hex mesh under the cursor for a mouse event
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object|null}
+   */
+  function pickHex(event) {
+    const pointer = new THREE.Vector2(
+      (event.clientX / window.innerWidth) * 2 - 1,
+      -(event.clientY / window.innerHeight) * 2 + 1,
+    );
+    summonRaycaster.setFromCamera(pointer, camera);
+    const intersects = summonRaycaster.intersectObjects(hexagons, false);
+    return intersects.length > 0 ? intersects[0].object : null;
   }
 
+  // Ability targets and the preview of what the aimed ability would hit
+  const abilityOverlay = new MovementRangeOverlay(scene, THREE);
+  const abilityPreviewOverlay = new MovementRangeOverlay(scene, THREE);
+
   // Add beast update to animation loop
   let originalAnimate = animate;
   
@@ -1086,12 +1535,23 @@ function setupScene() {
     // Call original animation function first
     originalAnimate();
 
-    // Update beast if it exists with delta time
-    if (fireBeast) {
+    summonOverlay.update();
+    abilityOverlay.update();
+    abilityPreviewOverlay.update();
+    fogRenderer.update();
+
+    // Update every beast still on the board with delta time
+    for (let i = beastViews.length - 1; i >= 0; i--) {
+      const beast = beastViews[i];
+      if (!beast.group) {
+        // Disposed (fainted or removed), stop updating it
+        beastViews.splice(i, 1);
+        continue;
+      }
       try {
-        fireBeast.update(delta);
+        beast.update(delta);
       } catch (err) {
-        console.error('[GAME] Error updating Fire Beast:', err);
+        console.error(`[GAME] Error updating ${beast.type} Beast:`, err);
       }
     }
 
@@ -1111,21 +1571,124 @@ function setupScene() {
   // Replace the animate function with our enhanced version
   animate = enhancedAnimate;
 
-  // Trigger beast spawn after grid is generated
-  debugLog("Setting up Fire Beast spawn after grid generation");
+  // Trigger match setup after grid is generated
+  debugLog("Setting up match start after grid generation");
+
+  /**
+   * Start the recorded match and hand it to the replay controls
+   */
+  function startReplay() {
+    match.start();
+    const replayPlayer = new ReplayPlayer(gameState, turnManager, gameData.replay, {
+      rules: commandHistory.rules,
+      randomStreams,
+      waitForIdle: () => Promise.all(beastViews.map((view) => view.whenIdle())),
+    });
+    new ReplayViewer(gameState, replayPlayer);
+    window.replayPlayer = replayPlayer;
+    console.log(`[GAME] Watching a replay of ${gameData.replay.commands.length} command(s)`);
+  }
 
-  // Spawn the Fire Beast when the map generation is complete
+  // Start the match when the map generation is complete
   mapGenerator.onMapGenerated((generatedHexagons) => {
     // Wait a bit to make sure grid is fully set up
-    setTimeout(() => {
-      if (!fireBeast) {
-        debugLog("Grid generation complete, spawning Fire Beast");
-        spawnFireBeast();
+    setTimeout(async () => {
+      if (!match) {
+        debugLog("Grid generation complete, starting match");
+        if (gameData.save) {
+          resumeSavedMatch();
+        } else {
+          startMatchFromDefinition();
+        }
+
+        // Autosave at the end of every turn, after the match's own turn-end
+        // checks; the end-turn command that got us here is still running
+        if (!gameData.replay) {
+          turnManager.on("turnEnd", ({ player }) => {
+            if (turnManager.getPhase() === TURN_PHASES.GAME_OVER) return;
+            const endTurn = { type: COMMAND_TYPES.END_TURN, playerId: player.id };
+            saveSlots.save(AUTOSAVE_SLOT, createGameSave("Autosave", [endTurn]));
+          });
+        }
+
+        if (gameData.replay) {
+          startReplay();
+          return;
+        }
+
+        // Computer players need their level before the first turn:
+        // ?difficulty=<easy|normal|hard> skips the menu
+        const computerPlayers = gameState.getPlayers().filter(isAIPlayer);
+        if (computerPlayers.length > 0 && !gameData.save) {
+          let difficulty = new URLSearchParams(window.location.search).get("difficulty");
+          if (!Object.values(AI_DIFFICULTIES).includes(difficulty)) {
+            difficulty = await new DifficultyMenu({
+              defaultDifficulty: gameData.aiConfig.difficulty,
+            }).choose();
+          }
+          computerPlayers.forEach((player) => gameState.updatePlayer(player.id, { difficulty }));
+        }
+
+        // Begin the first turn once the starting beasts are on the board;
+        // a saved match is already in a turn
+        if (!gameData.save) match.start();
+        if (!gameHUD) {
+          const saveMenu = new SaveMenu(saveSlots, { createSave: createGameSave, onLoad: continueSave });
+          gameHUD = new GameHUD(gameState, turnManager, {
+            commandHistory,
+            // Same viewer as the fog, so the HUD shows what the board shows
+            getViewer: () => turnManager.getActivePlayer()?.id ?? null,
+            onOpenSaveMenu: () => saveMenu.toggle(),
+            onSaveReplay: () => downloadJSON(replayRecorder.toJSON(), `beast-tactics-replay-${random.seed}.json`),
+            onLoadReplay: () => pickJSONFile()
+              .then((data) => {
+                parseReplay(data);
+                sessionStorage.setItem(REPLAY_SESSION_KEY, JSON.stringify(data));
+                window.location.search = "?replay=session";
+              })
+              .catch((err) => console.error("[GAME] Could not open replay:", err)),
+          });
+          summonPanel = new SummonPanel(gameState, turnManager, gameData.beastDefinitions, {
+            overlay: summonOverlay,
+            pickHex,
+            findHex: (q, r) => mapGenerator.findHexByCoordinates(q, r),
+            onPlacementStart: () => selectionManager.deselect(),
+            commandHistory,
+          });
+          abilityBar = new AbilityBar(gameState, turnManager, gameData.abilities, {
+            selectionManager,
+            overlay: abilityOverlay,
+            previewOverlay: abilityPreviewOverlay,
+            pickHex,
+            findHex: (q, r) => mapGenerator.findHexByCoordinates(q, r),
+            rules: {
+              elementChart: gameData.elementChart,
+              terrainAffinity: gameData.terrainAffinity,
+              terrainCosts: gameData.terrainCosts,
+              fogOfWar,
+              visionRules: gameData.visionRules,
+              statusRules: gameData.statusRules,
+              terrainTransforms: gameData.terrainTransforms,
+              random: randomStreams.combat.next,
+            },
+            commandHistory,
+          });
+          resultsScreen = new ResultsScreen(gameState);
+        }
+
+        // The autosave stops as a turn ends, so hand over to the next player;
+        // a save made during the computer's turn continues where it stopped
+        const activePlayer = turnManager.getActivePlayer();
+        if (gameData.save && turnManager.getPhase() === TURN_PHASES.TURN_END) {
+          turnManager.nextTurn();
+        } else if (gameData.save && isAIPlayer(activePlayer) && turnManager.getPhase() === TURN_PHASES.MAIN) {
+          aiController.playTurn(activePlayer.id);
+        }
       }
     }, 1000);
   });
 
-  debugLog("Fire Beast integration complete");
+  debugLog("Match integration complete");
   debugLog("Three.js setup complete - game should be visible now");
 } catch (error) {
   console.error("CRITICAL ERROR:", error);
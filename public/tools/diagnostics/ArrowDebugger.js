@@ -195,7 +195,7 @@ export class ArrowDebugger {
     this._removeHighlight();
 
     // Find the arrow in the beast's directional arrows
-    const arrow = this.beast.directionalArrows.find(a => a.directionId === arrowId);
+    const arrow = this.beast.directionalArrows?.find(a => a.directionId === arrowId);
 
     if (!arrow) {
       console.warn(`[ARROW-DEBUG] Arrow #${arrowId} not found`);
@@ -627,6 +627,37 @@ export class DebugMenu {
         this.gridDefaults.verticalFactor;
     });
     container.appendChild(resetButton);
+
+    // Save the board as a map file, or start over on one
+    const exportButton = document.createElement("button");
+    exportButton.textContent = "Export Map";
+    exportButton.style.width = "100%";
+    exportButton.style.padding = "5px";
+    exportButton.style.marginTop = "10px";
+    exportButton.addEventListener("click", () => {
+      if (this.mapExportFn) {
+        console.log("[DEBUG] Exporting map");
+        this.mapExportFn();
+      } else {
+        console.warn("[DEBUG] Map export function not set");
+      }
+    });
+    container.appendChild(exportButton);
+
+    const importButton = document.createElement("button");
+    importButton.textContent = "Import Map";
+    importButton.style.width = "100%";
+    importButton.style.padding = "5px";
+    importButton.style.marginTop = "10px";
+    importButton.addEventListener("click", () => {
+      if (this.mapImportFn) {
+        console.log("[DEBUG] Importing map");
+        this.mapImportFn();
+      } else {
+        console.warn("[DEBUG] Map import function not set");
+      }
+    });
+    container.appendChild(importButton);
   }
 
   /**
@@ -764,6 +795,17 @@ export class DebugMenu {
     console.log("[DEBUG] Grid generator function connected to debug menu");
   }
 
+  /**
+   * Set the functions behind the Export Map and Import Map buttons
+   * @param {Function} mapExportFn - Saves the current board as a map file
+   * @param {Function} mapImportFn - Picks a map file and plays on it
+   */
+  setMapTransfer(mapExportFn, mapImportFn) {
+    this.mapExportFn = mapExportFn;
+    this.mapImportFn = mapImportFn;
+    console.log("[DEBUG] Map import/export connected to debug menu");
+  }
+
   /**
    * Initialize the Arrow Debugger tab
    * @param {Object} beast - The beast object to debug arrows for
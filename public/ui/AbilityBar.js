@@ -0,0 +1,343 @@
+/**
+ * AbilityBar.js - Ability buttons and targeting for the selected beast
+ *
+ * Shows the selected beast's abilities at the bottom of the screen with their
+ * cost and cooldown. Picking one highlights the hexes it can be aimed at;
+ * hovering one of those previews every hex the ability would hit, clicking
+ * it uses the ability. Clicking anywhere else (or pressing Escape) cancels.
+ */
+import {
+  isAbilityReady,
+  useAbility,
+  getTargetableHexes,
+  getAffectedHexes,
+  getCooldown,
+} from "../core/Abilities.js";
+import { COMMAND_TYPES } from "../core/Commands.js";
+
+/**
+ * How long the hit hexes stay lit after an ability resolves (ms)
+ */
+const IMPACT_FLASH_DURATION = 600;
+
+/**
+ * Class managing the ability bar and ability targeting
+ */
+export class AbilityBar {
+  /**
+   * Create the bar
+   * @param {GameState} gameState - The game state abilities act on
+   * @param {TurnManager} turnManager - Gates abilities to the active player
+   * @param {AbilityBook} abilities - Ability definitions
+   * @param {Object} options - Scene hooks supplied by game.js
+   * @param {SelectionManager} options.selectionManager - Source of the selected beast
+   * @param {MovementRangeOverlay} options.overlay - Highlights the hexes that can be aimed at
+   * @param {MovementRangeOverlay} options.previewOverlay - Highlights the hexes that would be hit
+   * @param {Function} options.pickHex - (event) => hex mesh under the cursor, or null
+   * @param {Function} options.findHex - (q, r) => hex mesh at those coordinates, or null
+   * @param {Object} options.rules - Extra useAbility() options (elementChart, terrainAffinity, terrainCosts, fogOfWar, visionRules, statusRules, terrainTransforms, random)
+   * @param {CommandHistory} options.commandHistory - Runs abilities so the undo history sees them
+   */
+  constructor(gameState, turnManager, abilities, options = {}) {
+    console.log("[ABILITY] Initializing ability bar");
+
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.abilities = abilities;
+    this.selectionManager = options.selectionManager;
+    this.overlay = options.overlay;
+    this.previewOverlay = options.previewOverlay;
+    this.pickHex = options.pickHex;
+    this.findHex = options.findHex;
+    this.rules = options.rules || {};
+    this.commandHistory = options.commandHistory || null;
+
+    // Ability being aimed, the beast view aiming it and how many hexes it
+    // could target; null when not aiming
+    this.pendingAbility = null;
+    this.caster = null;
+    this.targetCount = 0;
+    this._previewKey = null;
+    this._flashTimer = null;
+
+    this._createUI();
+
+    // Capture phase so an aiming click never reaches the selection manager
+    this._onWindowClick = (event) => this._handleTargetClick(event);
+    this._onMouseMove = (event) => this._handleTargetHover(event);
+    this._onKeyDown = (event) => {
+      if (event.key === "Escape") this.cancelTargeting();
+    };
+    window.addEventListener("click", this._onWindowClick, true);
+    window.addEventListener("mousemove", this._onMouseMove);
+    window.addEventListener("keydown", this._onKeyDown);
+
+    const refresh = () => this.refresh();
+    this._unsubscribers = [
+      this.selectionManager.on("selectionChanged", () => {
+        this.cancelTargeting();
+        this.refresh();
+      }),
+      this.turnManager.on("phaseChanged", () => {
+        this.cancelTargeting();
+        this.refresh();
+      }),
+      ...["beastUpdated", "beastMoved", "playerUpdated", "stateRestored"].map((event) =>
+        this.gameState.on(event, refresh)),
+    ];
+
+    this.refresh();
+  }
+
+  /**
+   * Build the bar DOM elements
+   * @private
+   */
+  _createUI() {
+    this.container = document.createElement("div");
+    this.container.id = "ability-bar";
+    this.container.style.position = "absolute";
+    this.container.style.bottom = "10px";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translateX(-50%)";
+    this.container.style.backgroundColor = "rgba(0,0,0,0.7)";
+    this.container.style.color = "white";
+    this.container.style.padding = "8px 10px";
+    this.container.style.fontFamily = "monospace";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "1000";
+    this.container.style.textAlign = "center";
+    this.container.style.display = "none";
+
+    this.title = document.createElement("div");
+    this.title.style.fontWeight = "bold";
+    this.title.style.marginBottom = "6px";
+    this.container.appendChild(this.title);
+
+    this.buttonRow = document.createElement("div");
+    this.buttonRow.style.display = "flex";
+    this.buttonRow.style.gap = "6px";
+    this.buttonRow.style.justifyContent = "center";
+    this.container.appendChild(this.buttonRow);
+
+    this.status = document.createElement("div");
+    this.status.style.marginTop = "6px";
+    this.status.style.fontSize = "11px";
+    this.status.style.color = "#00e5ff";
+    this.status.style.minHeight = "13px";
+    this.container.appendChild(this.status);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Create a button styled like the HUD buttons
+   * @param {Object} ability - Ability definition
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(ability) {
+    const button = document.createElement("button");
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "4px 8px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+    button.style.fontSize = "11px";
+
+    button.addEventListener("click", (event) => {
+      // Keep bar clicks from reaching the beast click handlers
+      event.stopPropagation();
+      this.startTargeting(ability.id);
+    });
+
+    return button;
+  }
+
+  /**
+   * Rules passed to the core ability functions
+   * @returns {Object}
+   * @private
+   */
+  _getRules() {
+    return { ...this.rules, abilities: this.abilities, turnManager: this.turnManager };
+  }
+
+  /**
+   * Begin aiming an ability: highlight the hexes it can target
+   * @param {string} abilityId - Ability to aim
+   */
+  startTargeting(abilityId) {
+    const view = this.selectionManager.getSelected();
+    const record = view ? view.getStateRecord() : null;
+    const ability = this.abilities.get(abilityId);
+    if (!record || !ability) return;
+
+    this.cancelTargeting();
+    const targets = getTargetableHexes(this.gameState, record.id, ability, this._getRules());
+    const hexes = targets.map(({ q, r }) => this.findHex(q, r)).filter(Boolean);
+    if (hexes.length === 0) {
+      this.status.textContent = `${ability.name}: no target in range`;
+      return;
+    }
+
+    this.pendingAbility = ability;
+    this.caster = view;
+    this.targetCount = hexes.length;
+    view.setTargeting(true);
+    this.overlay.showKind(hexes, "ability");
+    this.status.textContent = `Aim ${ability.name}: click a highlighted hex (Esc to cancel)`;
+
+    // Abilities with a single possible target (self casts) preview right away
+    if (targets.length === 1) this._showPreview(targets[0].q, targets[0].r);
+    console.log(`[ABILITY] Aiming ${ability.name}, ${hexes.length} possible target(s)`);
+  }
+
+  /**
+   * Stop aiming without using the ability
+   */
+  cancelTargeting() {
+    if (!this.pendingAbility) return;
+    if (this.caster) this.caster.setTargeting(false);
+    this.pendingAbility = null;
+    this.caster = null;
+    this.targetCount = 0;
+    this._previewKey = null;
+    this.overlay.clear();
+    this.previewOverlay.clear();
+    this.status.textContent = "";
+  }
+
+  /**
+   * Highlight every hex the pending ability would hit from a target hex
+   * @param {number} q - Target q coordinate
+   * @param {number} r - Target r coordinate
+   * @private
+   */
+  _showPreview(q, r) {
+    const key = `${q},${r}`;
+    if (key === this._previewKey) return;
+    this._previewKey = key;
+
+    const caster = this.caster.getStateRecord();
+    const hexes = getAffectedHexes(this.gameState, caster, this.pendingAbility, { q, r })
+      .map((hex) => this.findHex(hex.q, hex.r))
+      .filter(Boolean);
+    this.previewOverlay.showKind(hexes, "area");
+  }
+
+  /**
+   * Preview the area of the ability for the hovered target hex
+   * @param {MouseEvent} event - Window mousemove
+   * @private
+   */
+  _handleTargetHover(event) {
+    if (!this.pendingAbility || this._flashTimer) return;
+
+    const hex = this.pickHex(event);
+    if (hex && this.overlay.getHighlightKind(hex.userData.q, hex.userData.r) === "ability") {
+      this._showPreview(hex.userData.q, hex.userData.r);
+    } else if (this._previewKey && this.targetCount > 1) {
+      this._previewKey = null;
+      this.previewOverlay.clear();
+    }
+  }
+
+  /**
+   * Use the pending ability on the clicked hex, or cancel aiming
+   * @param {MouseEvent} event - Window click
+   * @private
+   */
+  _handleTargetClick(event) {
+    if (!this.pendingAbility) return;
+
+    // Let bar buttons through so picking another ability switches aim
+    if (this.container.contains(event.target)) return;
+    event.stopPropagation();
+
+    const ability = this.pendingAbility;
+    const caster = this.caster.getStateRecord();
+    const hex = this.pickHex(event);
+    const isTarget = hex && this.overlay.getHighlightKind(hex.userData.q, hex.userData.r) === "ability";
+    this.cancelTargeting();
+    if (!isTarget || !caster) return;
+
+    const { q, r } = hex.userData;
+    const result = this.commandHistory
+      ? this.commandHistory.execute({ type: COMMAND_TYPES.ABILITY, beastId: caster.id, abilityId: ability.id, q, r })
+      : useAbility(this.gameState, caster.id, ability.id, q, r, this._getRules());
+    if (!result) return;
+
+    const hits = result.results.filter((entry) => entry.type === "damage").length;
+    this.status.textContent = hits > 0
+      ? `${ability.name} hit ${hits} beast${hits === 1 ? "" : "s"}`
+      : `${ability.name} used`;
+    this._flashImpact(result.hexes);
+  }
+
+  /**
+   * Briefly light up the hexes an ability hit
+   * @param {Array<{q: number, r: number}>} hexes - Affected hexes
+   * @private
+   */
+  _flashImpact(hexes) {
+    const meshes = hexes.map(({ q, r }) => this.findHex(q, r)).filter(Boolean);
+    this.previewOverlay.showKind(meshes, "area");
+    clearTimeout(this._flashTimer);
+    this._flashTimer = setTimeout(() => {
+      this._flashTimer = null;
+      if (!this.pendingAbility) this.previewOverlay.clear();
+    }, IMPACT_FLASH_DURATION);
+  }
+
+  /**
+   * Rebuild the buttons for the selected beast
+   */
+  refresh() {
+    const view = this.selectionManager.getSelected();
+    const record = view ? view.getStateRecord() : null;
+    const known = record ? this.abilities.getBeastAbilities(record) : [];
+    if (known.length === 0) {
+      this.container.style.display = "none";
+      return;
+    }
+
+    this.container.style.display = "block";
+    this.title.textContent = `${record.type} Beast abilities`;
+    this.buttonRow.innerHTML = "";
+
+    const rules = this._getRules();
+    known.forEach((ability) => {
+      const button = this._createButton(ability);
+      const cooldown = getCooldown(record, ability.id);
+      const cost = ability.cost.crystals > 0 ? ` ${ability.cost.crystals}c` : "";
+      button.textContent = cooldown > 0 ? `${ability.name} (${cooldown})` : `${ability.name}${cost}`;
+
+      // Targets are checked when aiming, here only turn, points and costs
+      const check = isAbilityReady(this.gameState, record.id, ability.id, rules);
+      button.disabled = !check.ok;
+      button.title = check.ok ? ability.description : `${ability.description} (${check.reason})`;
+      button.style.opacity = button.disabled ? "0.5" : "1";
+      button.style.cursor = button.disabled ? "default" : "pointer";
+      if (this.pendingAbility && this.pendingAbility.id === ability.id) {
+        button.style.borderColor = "#00e5ff";
+      }
+      this.buttonRow.appendChild(button);
+    });
+  }
+
+  /**
+   * Remove the bar and its listeners
+   */
+  dispose() {
+    this.cancelTargeting();
+    clearTimeout(this._flashTimer);
+    window.removeEventListener("click", this._onWindowClick, true);
+    window.removeEventListener("mousemove", this._onMouseMove);
+    window.removeEventListener("keydown", this._onKeyDown);
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.container.remove();
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * DifficultyMenu.js - Pre-match choice of the computer opponent's level
+ *
+ * Shown before the first turn when the match has computer players. The
+ * chosen level is stored on those players' records (difficulty field), where
+ * the AIController reads it.
+ */
+import { AI_DIFFICULTIES } from "../core/AI.js";
+
+/**
+ * Button label and hint for each level
+ */
+const DIFFICULTY_TEXT = {
+  [AI_DIFFICULTIES.EASY]: { label: "Easy", hint: "Plays random legal moves" },
+  [AI_DIFFICULTIES.NORMAL]: { label: "Normal", hint: "Takes the best move it can see right now" },
+  [AI_DIFFICULTIES.HARD]: { label: "Hard", hint: "Thinks a few moves ahead, including your replies" },
+};
+
+/**
+ * Class managing the difficulty overlay
+ */
+export class DifficultyMenu {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {string} options.defaultDifficulty - Level highlighted as the default
+   */
+  constructor(options = {}) {
+    this.defaultDifficulty = options.defaultDifficulty || AI_DIFFICULTIES.NORMAL;
+    this.element = null;
+  }
+
+  /**
+   * Show the menu and wait for a level to be picked
+   * @returns {Promise<string>} - One of AI_DIFFICULTIES
+   */
+  choose() {
+    this.hide();
+    console.log("[DIFFICULTY] Waiting for a difficulty choice");
+
+    return new Promise((resolve) => {
+      this.element = document.createElement("div");
+      this.element.id = "difficulty-menu";
+      this.element.style.position = "absolute";
+      this.element.style.top = "50%";
+      this.element.style.left = "50%";
+      this.element.style.transform = "translate(-50%, -50%)";
+      this.element.style.backgroundColor = "rgba(0,0,0,0.9)";
+      this.element.style.color = "white";
+      this.element.style.padding = "20px 24px";
+      this.element.style.fontFamily = "monospace";
+      this.element.style.borderRadius = "8px";
+      this.element.style.border = "2px solid #DAA520";
+      this.element.style.zIndex = "2000";
+      this.element.style.minWidth = "320px";
+      this.element.style.textAlign = "center";
+
+      // Keep clicks on the menu away from the board
+      this.element.addEventListener("click", (event) => event.stopPropagation());
+
+      this.element.innerHTML = `
+        <div style="font-size:20px;font-weight:bold;margin-bottom:12px">Computer difficulty</div>
+      `;
+
+      Object.values(AI_DIFFICULTIES).forEach((difficulty) => {
+        const text = DIFFICULTY_TEXT[difficulty];
+        const isDefault = difficulty === this.defaultDifficulty;
+
+        const button = document.createElement("button");
+        button.innerHTML = `<b>${text.label}</b><br><span style="font-size:11px;color:#ccc">${text.hint}</span>`;
+        button.style.display = "block";
+        button.style.width = "100%";
+        button.style.marginTop = "8px";
+        button.style.background = "#444";
+        button.style.color = "white";
+        button.style.border = `1px solid ${isDefault ? "#DAA520" : "#666"}`;
+        button.style.padding = "6px 14px";
+        button.style.cursor = "pointer";
+        button.style.borderRadius = "3px";
+        button.style.fontFamily = "monospace";
+        button.addEventListener("click", () => {
+          console.log(`[DIFFICULTY] Chose ${difficulty}`);
+          this.hide();
+          resolve(difficulty);
+        });
+        this.element.appendChild(button);
+      });
+
+      document.body.appendChild(this.element);
+    });
+  }
+
+  /**
+   * Remove the overlay
+   */
+  hide() {
+    if (!this.element) return;
+    this.element.remove();
+    this.element = null;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * FileTransfer.js - Saving JSON to a downloaded file and reading one back
+ *
+ * Used for replays and saved games: the browser saves a file through a
+ * temporary download link and opens one through a hidden file input.
+ */
+
+/**
+ * Offer data as a JSON file download
+ * @param {Object} data - JSON-safe data
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  console.log(`[FILES] Offered ${filename} for download`);
+}
+
+/**
+ * Let the player pick a JSON file and parse it
+ * @returns {Promise<Object>} - Parsed contents; rejects on unreadable or invalid files
+ */
+export function pickJSONFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+
+    input.addEventListener("change", () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        reject(new Error("No file chosen"));
+        return;
+      }
+      file.text()
+        .then((text) => {
+          console.log(`[FILES] Read ${file.name}`);
+          resolve(JSON.parse(text));
+        })
+        .catch(reject);
+    });
+
+    input.click();
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * GameHUD.js - On-screen game interface for Beast Tactics
+ *
+ * Shows turn information, how to win, each player's crystal pool and
+ * gameplay controls (Undo, Redo, End Turn, saving the game, saving and
+ * watching replays) in an overlay at the top-left of the screen. Ctrl+Z undoes and Ctrl+Y (or
+ * Ctrl+Shift+Z) redoes.
+ * The debug overlay stays top-right.
+ */
+import { COMMAND_TYPES } from "../core/Commands.js";
+import { isAIPlayer } from "../core/AI.js";
+import { createPlayerName } from "./PlayerName.js";
+
+/**
+ * Class managing the gameplay HUD overlay
+ */
+export class GameHUD {
+  /**
+   * Create the HUD
+   * @param {GameState} gameState - The game state to display
+   * @param {TurnManager} turnManager - Turn manager driving the turn display
+   * @param {Object} options - Optional settings
+   * @param {CommandHistory} options.commandHistory - Backs the Undo/Redo buttons and ends turns
+   * @param {Function} options.onSaveReplay - Called by the Save Replay button (no button without it)
+   * @param {Function} options.onLoadReplay - Called by the Load Replay button (no button without it)
+   * @param {Function} options.onOpenSaveMenu - Called by the Save / Load button (no button without it)
+   * @param {Function} options.getViewer - () => id of the player the HUD is shown to, or null for
+   *   everything; opponents' crystal pools are hidden from them, as in getPlayerView()
+   */
+  constructor(gameState, turnManager, options = {}) {
+    console.log("[HUD] Initializing game HUD");
+
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.commandHistory = options.commandHistory || null;
+    this.onSaveReplay = options.onSaveReplay || null;
+    this.onLoadReplay = options.onLoadReplay || null;
+    this.onOpenSaveMenu = options.onOpenSaveMenu || null;
+    this.getViewer = options.getViewer || (() => null);
+
+    this._createUI();
+
+    // Refresh whenever the turn changes
+    this.turnManager.on("phaseChanged", () => this.refresh());
+    this.turnManager.on("actionSpent", () => this.refresh());
+    this.gameState.on("playerUpdated", () => this.refresh());
+    this.gameState.on("stateRestored", () => this.refresh());
+
+    if (this.commandHistory) {
+      this.commandHistory.on("historyChanged", () => this.refresh());
+      window.addEventListener("keydown", (event) => this._handleKeyDown(event));
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Build the HUD DOM elements
+   * @private
+   */
+  _createUI() {
+    this.container = document.createElement("div");
+    this.container.id = "game-hud";
+    this.container.style.position = "absolute";
+    this.container.style.top = "10px";
+    this.container.style.left = "10px";
+    this.container.style.backgroundColor = "rgba(0,0,0,0.7)";
+    this.container.style.color = "white";
+    this.container.style.padding = "10px";
+    this.container.style.fontFamily = "monospace";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "1000";
+    this.container.style.minWidth = "180px";
+
+    // Turn information
+    this.turnInfo = document.createElement("div");
+    this.turnInfo.id = "hud-turn";
+    this.turnInfo.style.marginBottom = "8px";
+    this.container.appendChild(this.turnInfo);
+
+    // Victory conditions of the current match
+    this.goalInfo = document.createElement("div");
+    this.goalInfo.id = "hud-goal";
+    this.goalInfo.style.marginBottom = "8px";
+    this.goalInfo.style.fontSize = "11px";
+    this.goalInfo.style.color = "#ccc";
+    this.container.appendChild(this.goalInfo);
+
+    // Crystal pools, one line per player
+    this.crystalInfo = document.createElement("div");
+    this.crystalInfo.id = "hud-crystals";
+    this.crystalInfo.style.marginBottom = "8px";
+    this.container.appendChild(this.crystalInfo);
+
+    // Take back moves and summons made this turn
+    if (this.commandHistory) {
+      this.undoButton = this._createButton("Undo", () => this.commandHistory.undo());
+      this.undoButton.title = "Undo (Ctrl+Z)";
+      this.undoButton.style.marginRight = "5px";
+      this.container.appendChild(this.undoButton);
+
+      this.redoButton = this._createButton("Redo", () => this.commandHistory.redo());
+      this.redoButton.title = "Redo (Ctrl+Y)";
+      this.redoButton.style.marginRight = "5px";
+      this.container.appendChild(this.redoButton);
+    }
+
+    // End turn button
+    this.endTurnButton = this._createButton("End Turn", () => {
+      console.log("[HUD] End Turn clicked");
+      const player = this.turnManager.getActivePlayer();
+      if (this.commandHistory && player) {
+        this.commandHistory.execute({ type: COMMAND_TYPES.END_TURN, playerId: player.id });
+      } else {
+        this.turnManager.endTurn();
+      }
+    });
+    this.container.appendChild(this.endTurnButton);
+
+    // Saved games and replays: download this match's commands, or watch a downloaded match
+    if (this.onOpenSaveMenu || this.onSaveReplay || this.onLoadReplay) {
+      const replayRow = document.createElement("div");
+      replayRow.style.marginTop = "6px";
+      if (this.onOpenSaveMenu) {
+        const saveMenuButton = this._createButton("Save / Load", () => this.onOpenSaveMenu());
+        saveMenuButton.style.marginRight = "5px";
+        replayRow.appendChild(saveMenuButton);
+      }
+      if (this.onSaveReplay) {
+        const saveButton = this._createButton("Save Replay", () => this.onSaveReplay());
+        saveButton.style.marginRight = "5px";
+        replayRow.appendChild(saveButton);
+      }
+      if (this.onLoadReplay) {
+        replayRow.appendChild(this._createButton("Load Replay", () => this.onLoadReplay()));
+      }
+      this.container.appendChild(replayRow);
+    }
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * @param {...(string|Node)} parts - Text and elements making up the line
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  _createLine(...parts) {
+    const line = document.createElement("div");
+    line.append(...parts);
+    return line;
+  }
+
+  /**
+   * Create a button styled like the debug menu buttons
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "5px 10px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+
+    button.addEventListener("click", (event) => {
+      // Keep HUD clicks from reaching the beast click handlers
+      event.stopPropagation();
+      onClick();
+    });
+
+    return button;
+  }
+
+  /**
+   * Undo on Ctrl+Z, redo on Ctrl+Y or Ctrl+Shift+Z
+   * @param {KeyboardEvent} event - Window keydown
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (isAIPlayer(this.turnManager.getActivePlayer())) return;
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      this.commandHistory.undo();
+    } else if (key === "y" || (key === "z" && event.shiftKey)) {
+      event.preventDefault();
+      this.commandHistory.redo();
+    }
+  }
+
+  /**
+   * Update the displayed turn information
+   */
+  refresh() {
+    const turn = this.gameState.turn;
+    const player = this.turnManager.getActivePlayer();
+    // Nothing on the HUD acts for the computer while it plays
+    const isComputerTurn = isAIPlayer(player);
+    const controllerText = player?.difficulty ? `computer, ${player.difficulty}` : "computer";
+
+    this.turnInfo.replaceChildren(
+      this._createLine(`Turn ${turn.number} (Round ${turn.round || 0})`),
+      this._createLine(
+        "Active: ",
+        createPlayerName(player),
+        isComputerTurn ? ` (${controllerText})` : "",
+      ),
+      this._createLine(`Phase: ${turn.phase}`),
+    );
+
+    const victory = this.gameState.match.victory || {};
+    const goals = [];
+    if (victory.elimination) goals.push("eliminate all enemies");
+    if (victory.crystalTarget > 0) goals.push(`bank ${victory.crystalTarget} crystals`);
+    if (victory.turnLimit > 0) goals.push(`lead after round ${victory.turnLimit}`);
+    this.goalInfo.textContent = goals.length > 0 ? `Win: ${goals.join(" or ")}` : "";
+
+    const viewer = this.getViewer();
+    this.crystalInfo.replaceChildren(...this.gameState.getPlayers().map((p) => {
+      const crystals = document.createElement("span");
+      crystals.style.color = "#c77dff";
+      const hidden = viewer && !this.gameState.areAllies(viewer, p.id);
+      crystals.textContent = `${hidden ? "?" : p.crystals || 0} crystal(s)`;
+      return this._createLine(createPlayerName(p), ": ", crystals);
+    }));
+
+    this.endTurnButton.disabled = turn.phase !== "main" || isComputerTurn;
+    this.endTurnButton.style.opacity = this.endTurnButton.disabled ? "0.5" : "1";
+
+    if (this.commandHistory) {
+      this.undoButton.disabled = isComputerTurn || !this.commandHistory.canUndo();
+      this.undoButton.style.opacity = this.undoButton.disabled ? "0.5" : "1";
+      this.redoButton.disabled = isComputerTurn || !this.commandHistory.canRedo();
+      this.redoButton.style.opacity = this.redoButton.disabled ? "0.5" : "1";
+    }
+  }
+}
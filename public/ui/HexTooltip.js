@@ -0,0 +1,158 @@
+/**
+ * HexTooltip.js - Hover tooltip describing the hex under the cursor
+ *
+ * Shows the biome, coordinates, elevation, any crystal, spawn zone or beast on the hex,
+ * and what it costs the active player's beasts to step onto it (plus whether
+ * the biome would boost or weaken them).
+ * Hexes in the active player's fog of war only show their biome.
+ */
+
+/**
+ * Escape text for use inside innerHTML
+ * Names, biomes and statuses may come from a loaded save file.
+ * @param {*} value - Text to show
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(value).replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Class managing the floating hex tooltip
+ */
+export class HexTooltip {
+  /**
+   * Create the tooltip
+   * @param {GameState} gameState - The game state to describe
+   * @param {TurnManager} turnManager - Used to find the active player's beasts
+   * @param {TerrainCosts} terrainCosts - Per-biome movement costs
+   * @param {TerrainAffinity} terrainAffinity - Biome bonus/penalty rules (optional)
+   * @param {FogOfWar} fogOfWar - Hides what the active player cannot see (optional)
+   */
+  constructor(gameState, turnManager, terrainCosts, terrainAffinity = null, fogOfWar = null) {
+    console.log("[TOOLTIP] Initializing hex tooltip");
+
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.terrainCosts = terrainCosts;
+    this.terrainAffinity = terrainAffinity;
+    this.fogOfWar = fogOfWar;
+
+    this._createUI();
+  }
+
+  /**
+   * Build the tooltip element
+   * @private
+   */
+  _createUI() {
+    this.element = document.createElement("div");
+    this.element.id = "hex-tooltip";
+    this.element.style.position = "absolute";
+    this.element.style.pointerEvents = "none";
+    this.element.style.backgroundColor = "rgba(0,0,0,0.8)";
+    this.element.style.color = "white";
+    this.element.style.padding = "6px 8px";
+    this.element.style.fontFamily = "monospace";
+    this.element.style.fontSize = "12px";
+    this.element.style.borderRadius = "4px";
+    this.element.style.border = "1px solid #DAA520";
+    this.element.style.zIndex = "1001";
+    this.element.style.display = "none";
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Describe a hex next to the cursor
+   * @param {Object} hex - Hovered hex mesh or one of its children
+   * @param {number} clientX - Cursor x in pixels
+   * @param {number} clientY - Cursor y in pixels
+   */
+  show(hex, clientX, clientY) {
+    // Raycasts can land on a hex's children (hover stroke), use the hex itself
+    while (hex && hex.userData?.q === undefined) hex = hex.parent;
+    if (!hex) {
+      this.hide();
+      return;
+    }
+
+    const { q, r } = hex.userData;
+    const tile = this.gameState.getTile(q, r);
+    if (!tile) {
+      this.hide();
+      return;
+    }
+
+    const biome = escapeHTML(tile.element);
+    const elevation = Number(tile.elevation) || 0;
+    const lines = [`<div><b>${biome}</b> (${q}, ${r})${elevation ? `, elevation ${elevation}` : ""}</div>`];
+
+    const player = this.turnManager.getActivePlayer();
+    const hidden = this.fogOfWar && player && !this.fogOfWar.isVisible(player.id, q, r);
+    if (hidden) {
+      lines.push(`<div style="color:#888">Out of sight</div>`);
+    } else if (tile.crystal) {
+      lines.push(`<div style="color:#c77dff">Crystal shard</div>`);
+    } else if (tile.crystalRespawnRound != null) {
+      lines.push(`<div style="color:#8a6fb0">Crystal regrows in round ${tile.crystalRespawnRound}</div>`);
+    }
+
+    if (tile.spawnOwner) {
+      const spawnOwner = this.gameState.getPlayer(tile.spawnOwner);
+      const ownerName = escapeHTML(spawnOwner ? spawnOwner.name : tile.spawnOwner);
+      lines.push(`<div>Spawn zone: ${ownerName}</div>`);
+    }
+
+    const occupant = this.gameState.getBeastAt(q, r);
+    if (occupant && (!this.fogOfWar || !player || this.fogOfWar.canSeeBeast(player.id, occupant))) {
+      const owner = this.gameState.getPlayer(occupant.owner);
+      const type = escapeHTML(occupant.type);
+      const ownerName = escapeHTML(owner ? owner.name : occupant.owner);
+      lines.push(`<div>${type} Beast (${ownerName})</div>`);
+      (occupant.statuses || []).forEach(status => {
+        const label = escapeHTML(status.id);
+        const stacks = Number(status.stacks) > 1 ? ` x${Number(status.stacks)}` : "";
+        const turns = Number(status.turns) || 0;
+        lines.push(`<div style="color:#ffcc66">${label}${stacks}, ${turns} turn${turns === 1 ? "" : "s"} left</div>`);
+      });
+    }
+
+    // Movement cost for each beast type the active player fields
+    if (player && this.terrainCosts) {
+      const types = new Set(this.gameState.getBeastsByOwner(player.id).map(beast => beast.type));
+      types.forEach(type => {
+        const cost = this.terrainCosts.getCost(type, tile.element);
+        const label = Number.isFinite(cost) ? `move cost ${cost}` : `<span style="color:#ff6666">impassable</span>`;
+        lines.push(`<div>${escapeHTML(type)}: ${label}${this._describeAffinity(type, tile.element)}</div>`);
+      });
+    }
+
+    this.element.innerHTML = lines.join("");
+    this.element.style.left = `${clientX + 16}px`;
+    this.element.style.top = `${clientY + 16}px`;
+    this.element.style.display = "block";
+  }
+
+  /**
+   * Short note on how a biome affects a beast type
+   * @param {string} type - Beast type/element
+   * @param {string} biome - Hex element
+   * @returns {string} - HTML snippet, empty when neutral
+   * @private
+   */
+  _describeAffinity(type, biome) {
+    if (!this.terrainAffinity) return "";
+    const affinity = this.terrainAffinity.getAffinity(type, biome);
+    if (affinity === "matching") return ` <span style="color:#7CFC00">(bonus)</span>`;
+    if (affinity === "opposing") return ` <span style="color:#ff6666">(penalty)</span>`;
+    return "";
+  }
+
+  /**
+   * Hide the tooltip
+   */
+  hide() {
+    this.element.style.display = "none";
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * PlayerName.js - A player or team name in its color
+ *
+ * Names and colors can come from a loaded save or replay file, so the name is
+ * set as text rather than markup: a name like "<img onerror=...>" shows up as
+ * typed instead of running. The HUD, results screen and replay viewer all
+ * build names through here.
+ */
+
+/**
+ * Create a span showing a name in its color
+ * @param {Object|null} player - Player or team with name and color; null shows "--"
+ * @returns {HTMLSpanElement}
+ */
+export function createPlayerName(player) {
+  const span = document.createElement("span");
+  span.style.color = (player && player.color) || "white";
+  span.textContent = player ? player.name : "--";
+  return span;
+}
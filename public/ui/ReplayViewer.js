@@ -0,0 +1,229 @@
+/**
+ * ReplayViewer.js - Playback controls for watching a recorded match
+ *
+ * Replaces the gameplay HUD in replay mode: shows the turn and whose it is,
+ * the replay's seed and position, and Restart / Back / Play-Pause / Step
+ * buttons above a slider that scrubs to any command. Space toggles playback
+ * and the arrow keys step.
+ */
+import { createPlayerName } from "./PlayerName.js";
+
+/**
+ * Class managing the replay controls overlay
+ */
+export class ReplayViewer {
+  /**
+   * @param {GameState} gameState - The live state the replay plays on
+   * @param {ReplayPlayer} player - Replay being watched
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onExit - Called by the Exit button (default: back to a normal game)
+   */
+  constructor(gameState, player, options = {}) {
+    console.log("[REPLAY] Initializing replay viewer");
+
+    this.gameState = gameState;
+    this.player = player;
+    this.onExit = options.onExit || (() => { window.location.search = ""; });
+
+    this._createUI();
+
+    this._unsubscribers = [
+      this.player.on("stepped", () => this.refresh()),
+      this.player.on("seeked", () => {
+        // A jump back to a position that played fine clears the warning
+        this.errorInfo.textContent = "";
+        this.refresh();
+      }),
+      this.player.on("playbackChanged", () => this.refresh()),
+      this.player.on("replayError", ({ position, reason }) => {
+        this.errorInfo.textContent = `Out of sync at command ${position + 1}: ${reason}`;
+      }),
+    ];
+
+    this._onKeyDown = (event) => this._handleKeyDown(event);
+    window.addEventListener("keydown", this._onKeyDown);
+
+    this.refresh();
+  }
+
+  /**
+   * Build the controls DOM elements
+   * @private
+   */
+  _createUI() {
+    this.container = document.createElement("div");
+    this.container.id = "replay-viewer";
+    this.container.style.position = "absolute";
+    this.container.style.bottom = "20px";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translateX(-50%)";
+    this.container.style.backgroundColor = "rgba(0,0,0,0.8)";
+    this.container.style.color = "white";
+    this.container.style.padding = "10px 14px";
+    this.container.style.fontFamily = "monospace";
+    this.container.style.borderRadius = "5px";
+    this.container.style.border = "1px solid #DAA520";
+    this.container.style.zIndex = "1000";
+    this.container.style.minWidth = "420px";
+    this.container.style.textAlign = "center";
+
+    // Keep clicks on the controls away from the board
+    this.container.addEventListener("click", (event) => event.stopPropagation());
+
+    this.titleInfo = document.createElement("div");
+    this.titleInfo.style.fontWeight = "bold";
+    this.titleInfo.style.marginBottom = "4px";
+    this.titleInfo.textContent = `Replay - seed ${this.player.replay.seed}`;
+    this.container.appendChild(this.titleInfo);
+
+    this.turnInfo = document.createElement("div");
+    this.turnInfo.style.marginBottom = "6px";
+    this.turnInfo.style.fontSize = "12px";
+    this.container.appendChild(this.turnInfo);
+
+    const buttonRow = document.createElement("div");
+    buttonRow.style.marginBottom = "6px";
+    this.restartButton = this._createButton("Restart", () => this.player.seek(0));
+    this.backButton = this._createButton("Back", () => this.player.seek(this.player.position - 1));
+    this.playButton = this._createButton("Play", () => this._togglePlayback());
+    this.stepButton = this._createButton("Step", () => {
+      this.player.pause();
+      this.player.step();
+    });
+    this.exitButton = this._createButton("Exit", () => this.onExit());
+    [this.restartButton, this.backButton, this.playButton, this.stepButton, this.exitButton].forEach((button) => {
+      button.style.margin = "0 3px";
+      buttonRow.appendChild(button);
+    });
+    this.container.appendChild(buttonRow);
+
+    // Scrubbing jumps straight to the chosen command
+    this.slider = document.createElement("input");
+    this.slider.type = "range";
+    this.slider.min = "0";
+    this.slider.max = String(this.player.length);
+    this.slider.step = "1";
+    this.slider.style.width = "100%";
+    this.slider.addEventListener("input", () => this.player.seek(Number(this.slider.value)));
+    this.container.appendChild(this.slider);
+
+    this.positionInfo = document.createElement("div");
+    this.positionInfo.style.fontSize = "11px";
+    this.positionInfo.style.color = "#ccc";
+    this.container.appendChild(this.positionInfo);
+
+    this.errorInfo = document.createElement("div");
+    this.errorInfo.style.fontSize = "11px";
+    this.errorInfo.style.color = "#ff6b6b";
+    this.container.appendChild(this.errorInfo);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Create a button styled like the HUD buttons
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "5px 10px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+    button.addEventListener("click", () => onClick());
+    return button;
+  }
+
+  /**
+   * Play from here, or pause when playing
+   * @private
+   */
+  _togglePlayback() {
+    if (this.player.playing) {
+      this.player.pause();
+    } else {
+      this.player.play();
+    }
+  }
+
+  /**
+   * Space plays or pauses, left and right arrows step back and forward
+   * @param {KeyboardEvent} event - Window keydown
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (event.target instanceof HTMLInputElement && event.target !== this.slider) return;
+    if (event.key === " ") {
+      event.preventDefault();
+      this._togglePlayback();
+    } else if (event.key === "ArrowRight") {
+      event.preventDefault();
+      this.player.pause();
+      this.player.step();
+    } else if (event.key === "ArrowLeft") {
+      event.preventDefault();
+      this.player.seek(this.player.position - 1);
+    }
+  }
+
+  /**
+   * Update the turn, position and button states
+   */
+  refresh() {
+    const { turn, match } = this.gameState;
+    const active = this.gameState.getPlayer(turn.activePlayer);
+    const winner = match.result ? match.teams.find((team) => team.id === match.result.winner) : null;
+
+    if (match.result) {
+      this.turnInfo.replaceChildren("Finished - ");
+      if (winner) {
+        this.turnInfo.append(createPlayerName(winner), " wins");
+      } else {
+        this.turnInfo.append("draw");
+      }
+    } else {
+      this.turnInfo.replaceChildren(
+        `Turn ${turn.number} (Round ${turn.round || 0}) - `,
+        createPlayerName(active),
+      );
+    }
+
+    const { position, length } = this.player;
+    const next = this.player.replay.commands[position];
+    this.positionInfo.textContent = `Command ${position} / ${length}${next ? ` - next: ${next.type}` : ""}`;
+    this.slider.value = String(position);
+
+    this.playButton.textContent = this.player.playing ? "Pause" : "Play";
+    this._setEnabled(this.backButton, position > 0);
+    this._setEnabled(this.restartButton, position > 0);
+    this._setEnabled(this.stepButton, !this.player.isFinished());
+    this._setEnabled(this.playButton, this.player.playing || !this.player.isFinished());
+  }
+
+  /**
+   * @param {HTMLButtonElement} button - Button to enable or disable
+   * @param {boolean} enabled - Whether it can be clicked
+   * @private
+   */
+  _setEnabled(button, enabled) {
+    button.disabled = !enabled;
+    button.style.opacity = enabled ? "1" : "0.5";
+  }
+
+  /**
+   * Stop listening and remove the controls
+   */
+  dispose() {
+    this.player.pause();
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    window.removeEventListener("keydown", this._onKeyDown);
+    this.container.remove();
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * ResultsScreen.js - End-of-match summary
+ *
+ * Appears when state.match.status becomes 'finished': shows the winning team
+ * (or a draw), why the match ended and a per-player table of what happened.
+ */
+import { MATCH_STATUS, VICTORY_REASONS } from "../core/Match.js";
+import { createPlayerName } from "./PlayerName.js";
+
+/**
+ * Human-readable explanation for each victory reason
+ */
+const REASON_TEXT = {
+  [VICTORY_REASONS.ELIMINATION]: "Last team standing",
+  [VICTORY_REASONS.CRYSTAL_TARGET]: "Crystal target reached",
+  [VICTORY_REASONS.TURN_LIMIT]: "Turn limit reached",
+};
+
+/**
+ * Class managing the results overlay
+ */
+export class ResultsScreen {
+  /**
+   * @param {GameState} gameState - The game state to summarize
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onPlayAgain - Called by the Play Again button (default: reload)
+   */
+  constructor(gameState, options = {}) {
+    console.log("[RESULTS] Initializing results screen");
+
+    this.gameState = gameState;
+    this.onPlayAgain = options.onPlayAgain || (() => window.location.reload());
+    this.element = null;
+
+    this._unsubscribe = this.gameState.on("matchChanged", ({ match, previous }) => {
+      if (match.status === MATCH_STATUS.FINISHED && previous.status !== MATCH_STATUS.FINISHED) {
+        this.show();
+      }
+    });
+  }
+
+  /**
+   * Show the summary of the finished match
+   */
+  show() {
+    const { match } = this.gameState;
+    const result = match.result;
+    if (!result) return;
+    this.hide();
+
+    const winner = match.teams.find((team) => team.id === result.winner);
+
+    this.element = document.createElement("div");
+    this.element.id = "results-screen";
+    this.element.style.position = "absolute";
+    this.element.style.top = "50%";
+    this.element.style.left = "50%";
+    this.element.style.transform = "translate(-50%, -50%)";
+    this.element.style.backgroundColor = "rgba(0,0,0,0.9)";
+    this.element.style.color = "white";
+    this.element.style.padding = "20px 24px";
+    this.element.style.fontFamily = "monospace";
+    this.element.style.borderRadius = "8px";
+    this.element.style.border = `2px solid ${winner ? winner.color : "#DAA520"}`;
+    this.element.style.zIndex = "2000";
+    this.element.style.minWidth = "360px";
+    this.element.style.textAlign = "center";
+
+    // Keep clicks on the summary away from the board
+    this.element.addEventListener("click", (event) => event.stopPropagation());
+
+    const title = document.createElement("div");
+    title.style.fontSize = "22px";
+    title.style.fontWeight = "bold";
+    title.style.marginBottom = "6px";
+    if (winner) {
+      title.append(createPlayerName(winner), " wins!");
+    } else {
+      title.textContent = "Draw";
+    }
+    this.element.appendChild(title);
+
+    const reason = document.createElement("div");
+    reason.style.marginBottom = "12px";
+    reason.style.color = "#ccc";
+    reason.textContent = `${REASON_TEXT[result.reason] || result.reason} - round ${result.round}, turn ${result.turn}`;
+    this.element.appendChild(reason);
+
+    this.element.appendChild(this._renderPlayerTable(match));
+
+    const button = document.createElement("button");
+    button.textContent = "Play Again";
+    button.style.marginTop = "14px";
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "6px 14px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+    button.addEventListener("click", () => this.onPlayAgain());
+    this.element.appendChild(button);
+
+    document.body.appendChild(this.element);
+    console.log("[RESULTS] Showing results", result);
+  }
+
+  /**
+   * One row per player with their match stats
+   * @param {Object} match - state.match
+   * @returns {HTMLTableElement}
+   * @private
+   */
+  _renderPlayerTable(match) {
+    const cell = "padding:3px 8px";
+    const table = document.createElement("table");
+    table.style.borderCollapse = "collapse";
+    table.style.margin = "0 auto";
+    table.style.fontSize = "12px";
+    // The header is fixed text, only the player rows need building by hand
+    table.innerHTML = `
+      <tr style="color:#DAA520">
+        <th style="${cell};text-align:left">Player</th>
+        <th style="${cell}" title="Beasts still on the board">Left</th>
+        <th style="${cell}">KOs</th>
+        <th style="${cell}">Lost</th>
+        <th style="${cell}">Damage</th>
+        <th style="${cell}" title="Collected / banked">Crystals</th>
+        <th style="${cell}">Summons</th>
+      </tr>
+    `;
+
+    this.gameState.getPlayers().forEach((player) => {
+      const stats = match.stats[player.id] || {};
+      const beastsLeft = this.gameState.getBeastsByOwner(player.id).length;
+      const row = table.insertRow();
+      [
+        player.name,
+        beastsLeft,
+        stats.beastsDefeated || 0,
+        stats.beastsLost || 0,
+        stats.damageDealt || 0,
+        `${stats.crystalsCollected || 0} / ${player.crystals || 0}`,
+        stats.beastsSummoned || 0,
+      ].forEach((value) => {
+        const td = row.insertCell();
+        td.style.cssText = cell;
+        td.textContent = String(value);
+      });
+      row.cells[0].style.textAlign = "left";
+      row.cells[0].style.color = player.color || "white";
+    });
+
+    return table;
+  }
+
+  /**
+   * Remove the overlay
+   */
+  hide() {
+    if (!this.element) return;
+    this.element.remove();
+    this.element = null;
+  }
+
+  /**
+   * Stop listening and remove the overlay
+   */
+  dispose() {
+    this.hide();
+    this._unsubscribe();
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * SaveMenu.js - Save and load overlay
+ *
+ * Lists the save slots kept in the browser with Load and Delete buttons,
+ * saves the current match under a typed name, and downloads or uploads save
+ * files. Opened from the HUD's Save / Load button.
+ */
+import { parseSave, AUTOSAVE_SLOT } from "../core/SaveGame.js";
+import { downloadJSON, pickJSONFile } from "./FileTransfer.js";
+
+/**
+ * Class managing the save/load overlay
+ */
+export class SaveMenu {
+  /**
+   * @param {SaveSlots} slots - Slots in the browser's storage
+   * @param {Object} options - Callbacks into the game
+   * @param {Function} options.createSave - (name) => save data of the current match
+   * @param {Function} options.onLoad - (save) => continue a saved match
+   */
+  constructor(slots, options = {}) {
+    console.log("[SAVE] Initializing save menu");
+
+    this.slots = slots;
+    this.createSave = options.createSave;
+    this.onLoad = options.onLoad;
+    this.element = null;
+
+    this._unsubscribe = this.slots.on("slotsChanged", () => {
+      if (this.element) this._renderSlots();
+    });
+  }
+
+  /**
+   * @returns {boolean} - Whether the menu is open
+   */
+  isOpen() {
+    return !!this.element;
+  }
+
+  /**
+   * Open the menu, or close it when open
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Open the menu
+   */
+  show() {
+    this.hide();
+
+    this.element = document.createElement("div");
+    this.element.id = "save-menu";
+    this.element.style.position = "absolute";
+    this.element.style.top = "50%";
+    this.element.style.left = "50%";
+    this.element.style.transform = "translate(-50%, -50%)";
+    this.element.style.backgroundColor = "rgba(0,0,0,0.9)";
+    this.element.style.color = "white";
+    this.element.style.padding = "20px 24px";
+    this.element.style.fontFamily = "monospace";
+    this.element.style.borderRadius = "8px";
+    this.element.style.border = "2px solid #DAA520";
+    this.element.style.zIndex = "2000";
+    this.element.style.minWidth = "380px";
+
+    // Keep clicks and typing in the menu away from the board
+    this.element.addEventListener("click", (event) => event.stopPropagation());
+    this.element.addEventListener("keydown", (event) => event.stopPropagation());
+
+    const title = document.createElement("div");
+    title.style.fontSize = "20px";
+    title.style.fontWeight = "bold";
+    title.style.marginBottom = "12px";
+    title.style.textAlign = "center";
+    title.textContent = "Save / Load";
+    this.element.appendChild(title);
+
+    // Save under a new or existing name
+    const saveRow = document.createElement("div");
+    saveRow.style.display = "flex";
+    saveRow.style.gap = "6px";
+    saveRow.style.marginBottom = "12px";
+    this.nameInput = document.createElement("input");
+    this.nameInput.type = "text";
+    this.nameInput.placeholder = "Save name";
+    this.nameInput.style.flex = "1";
+    this.nameInput.style.fontFamily = "monospace";
+    this.nameInput.style.background = "#222";
+    this.nameInput.style.color = "white";
+    this.nameInput.style.border = "1px solid #666";
+    this.nameInput.style.padding = "4px";
+    this.nameInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") this._saveToSlot();
+    });
+    saveRow.appendChild(this.nameInput);
+    saveRow.appendChild(this._createButton("Save", () => this._saveToSlot()));
+    this.element.appendChild(saveRow);
+
+    this.slotList = document.createElement("div");
+    this.slotList.style.maxHeight = "240px";
+    this.slotList.style.overflowY = "auto";
+    this.slotList.style.marginBottom = "12px";
+    this.element.appendChild(this.slotList);
+    this._renderSlots();
+
+    this.statusInfo = document.createElement("div");
+    this.statusInfo.style.fontSize = "11px";
+    this.statusInfo.style.color = "#ccc";
+    this.statusInfo.style.marginBottom = "8px";
+    this.element.appendChild(this.statusInfo);
+
+    const fileRow = document.createElement("div");
+    fileRow.style.textAlign = "center";
+    [
+      this._createButton("Download", () => this._download()),
+      this._createButton("Upload", () => this._upload()),
+      this._createButton("Close", () => this.hide()),
+    ].forEach((button) => {
+      button.style.margin = "0 3px";
+      fileRow.appendChild(button);
+    });
+    this.element.appendChild(fileRow);
+
+    document.body.appendChild(this.element);
+    this.nameInput.focus();
+  }
+
+  /**
+   * One line per filled slot
+   * @private
+   */
+  _renderSlots() {
+    this.slotList.innerHTML = "";
+    const slots = this.slots.list();
+    if (slots.length === 0) {
+      this.slotList.innerHTML = `<div style="color:#888;text-align:center">No saved games yet</div>`;
+      return;
+    }
+
+    slots.forEach((entry) => {
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.alignItems = "center";
+      row.style.gap = "6px";
+      row.style.padding = "4px 0";
+      row.style.borderBottom = "1px solid #333";
+
+      const label = document.createElement("div");
+      label.style.flex = "1";
+      const savedAt = entry.savedAt ? new Date(entry.savedAt).toLocaleString() : "unknown time";
+      const name = entry.slot === AUTOSAVE_SLOT ? "Autosave" : entry.slot;
+      const nameLine = document.createElement("div");
+      nameLine.textContent = name;
+      const detailLine = document.createElement("div");
+      detailLine.style.fontSize = "11px";
+      detailLine.style.color = "#aaa";
+      detailLine.textContent = `Turn ${entry.turn} (Round ${entry.round}) - ${savedAt}`;
+      label.appendChild(nameLine);
+      label.appendChild(detailLine);
+      row.appendChild(label);
+
+      row.appendChild(this._createButton("Load", () => {
+        const save = this.slots.load(entry.slot);
+        if (save) this.onLoad(save);
+      }));
+      row.appendChild(this._createButton("Delete", () => this.slots.remove(entry.slot)));
+      this.slotList.appendChild(row);
+    });
+  }
+
+  /**
+   * Save the match under the typed name
+   * @private
+   */
+  _saveToSlot() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      this.statusInfo.textContent = "Type a name for the save first";
+      return;
+    }
+    const saved = this.slots.save(name, this.createSave(name));
+    this.statusInfo.textContent = saved ? `Saved as '${name}'` : "Could not save: browser storage is full or blocked";
+    if (saved) this.nameInput.value = "";
+  }
+
+  /**
+   * Offer the match as a save file
+   * @private
+   */
+  _download() {
+    const save = this.createSave(this.nameInput.value.trim() || "download");
+    downloadJSON(save, `beast-tactics-save-turn-${save.state.turn.number}.json`);
+  }
+
+  /**
+   * Load a save file picked by the player
+   * @private
+   */
+  _upload() {
+    pickJSONFile()
+      .then((data) => this.onLoad(parseSave(data)))
+      .catch((err) => {
+        console.error("[SAVE] Could not open save file:", err);
+        this.statusInfo.textContent = `Could not open save file: ${err.message}`;
+      });
+  }
+
+  /**
+   * Create a button styled like the HUD buttons
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "4px 10px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+    button.addEventListener("click", () => onClick());
+    return button;
+  }
+
+  /**
+   * Close the menu
+   */
+  hide() {
+    if (!this.element) return;
+    this.element.remove();
+    this.element = null;
+  }
+
+  /**
+   * Stop listening and close the menu
+   */
+  dispose() {
+    this._unsubscribe();
+    this.hide();
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * SummonPanel.js - Buy and place new beasts with harvested crystals
+ *
+ * Lists every beast type with its crystal cost at the bottom-left of the
+ * screen. Picking one highlights the active player's free spawn hexes;
+ * clicking a highlighted hex summons the beast there, clicking anywhere
+ * else (or pressing Escape) cancels.
+ */
+import { summonBeast, canSummon, getFreeSpawnHexes, getSummonCost } from "../core/Summoning.js";
+import { COMMAND_TYPES } from "../core/Commands.js";
+import { isAIPlayer } from "../core/AI.js";
+
+/**
+ * Class managing the summon panel and spawn hex placement
+ */
+export class SummonPanel {
+  /**
+   * Create the panel
+   * @param {GameState} gameState - The game state to summon into
+   * @param {TurnManager} turnManager - Used to find the active player
+   * @param {Object} definitions - Beast definitions keyed by type
+   * @param {Object} options - Scene hooks supplied by game.js
+   * @param {MovementRangeOverlay} options.overlay - Overlay used to highlight spawn hexes
+   * @param {Function} options.pickHex - (event) => hex mesh under the cursor, or null
+   * @param {Function} options.findHex - (q, r) => hex mesh at those coordinates, or null
+   * @param {Function} options.onPlacementStart - Called before spawn hexes are highlighted
+   * @param {CommandHistory} options.commandHistory - Runs summons so they can be undone this turn
+   */
+  constructor(gameState, turnManager, definitions, options = {}) {
+    console.log("[SUMMON] Initializing summon panel");
+
+    this.gameState = gameState;
+    this.turnManager = turnManager;
+    this.definitions = definitions;
+    this.overlay = options.overlay;
+    this.pickHex = options.pickHex;
+    this.findHex = options.findHex;
+    this.onPlacementStart = options.onPlacementStart || null;
+    this.commandHistory = options.commandHistory || null;
+
+    // Beast type waiting to be placed, null when not placing
+    this.pendingType = null;
+
+    this._createUI();
+
+    // Capture phase so a placement click never reaches the beast click handlers
+    this._onWindowClick = (event) => this._handlePlacementClick(event);
+    this._onKeyDown = (event) => {
+      if (event.key === "Escape") this.cancelPlacement();
+    };
+    window.addEventListener("click", this._onWindowClick, true);
+    window.addEventListener("keydown", this._onKeyDown);
+
+    const refresh = () => this.refresh();
+    this._unsubscribers = [
+      this.turnManager.on("phaseChanged", () => {
+        this.cancelPlacement();
+        this.refresh();
+      }),
+      ...["playerUpdated", "beastAdded", "beastMoved", "beastRemoved", "stateRestored"].map((event) =>
+        this.gameState.on(event, refresh)),
+    ];
+
+    this.refresh();
+  }
+
+  /**
+   * Build the panel DOM elements
+   * @private
+   */
+  _createUI() {
+    this.container = document.createElement("div");
+    this.container.id = "summon-panel";
+    this.container.style.position = "absolute";
+    this.container.style.bottom = "10px";
+    this.container.style.left = "10px";
+    this.container.style.backgroundColor = "rgba(0,0,0,0.7)";
+    this.container.style.color = "white";
+    this.container.style.padding = "10px";
+    this.container.style.fontFamily = "monospace";
+    this.container.style.borderRadius = "5px";
+    this.container.style.zIndex = "1000";
+    this.container.style.maxWidth = "360px";
+
+    const title = document.createElement("div");
+    title.textContent = "Summon";
+    title.style.fontWeight = "bold";
+    title.style.marginBottom = "6px";
+    this.container.appendChild(title);
+
+    this.buttonGrid = document.createElement("div");
+    this.buttonGrid.style.display = "grid";
+    this.buttonGrid.style.gridTemplateColumns = "repeat(3, 1fr)";
+    this.buttonGrid.style.gap = "4px";
+    this.container.appendChild(this.buttonGrid);
+
+    // One button per beast type, labelled with its cost
+    this.buttons = {};
+    Object.values(this.definitions).forEach((definition) => {
+      const button = this._createButton(
+        `${definition.type} (${getSummonCost(definition)})`,
+        () => this.startPlacement(definition.type),
+      );
+      this.buttons[definition.type] = button;
+      this.buttonGrid.appendChild(button);
+    });
+
+    this.status = document.createElement("div");
+    this.status.style.marginTop = "6px";
+    this.status.style.fontSize = "11px";
+    this.status.style.color = "#c77dff";
+    this.container.appendChild(this.status);
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Create a button styled like the HUD buttons
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.background = "#444";
+    button.style.color = "white";
+    button.style.border = "1px solid #666";
+    button.style.padding = "4px 6px";
+    button.style.cursor = "pointer";
+    button.style.borderRadius = "3px";
+    button.style.fontFamily = "monospace";
+    button.style.fontSize = "11px";
+
+    button.addEventListener("click", (event) => {
+      // Keep panel clicks from reaching the beast click handlers
+      event.stopPropagation();
+      onClick();
+    });
+
+    return button;
+  }
+
+  /**
+   * Begin placing a beast: highlight the free spawn hexes
+   * @param {string} type - Beast type to summon
+   */
+  startPlacement(type) {
+    const player = this.turnManager.getActivePlayer();
+    if (!player) return;
+
+    const hexes = getFreeSpawnHexes(this.gameState, player.id)
+      .map((tile) => this.findHex(tile.q, tile.r))
+      .filter(Boolean);
+    if (hexes.length === 0) {
+      this.status.textContent = "No free spawn hex";
+      return;
+    }
+
+    if (this.onPlacementStart) this.onPlacementStart();
+    this.pendingType = type;
+    this.overlay.showKind(hexes, "summon");
+    this.status.textContent = `Place ${type} Beast on a spawn hex (Esc to cancel)`;
+    console.log(`[SUMMON] ${player.name} placing ${type} Beast, ${hexes.length} spawn hex(es) free`);
+  }
+
+  /**
+   * Stop placing without summoning
+   */
+  cancelPlacement() {
+    if (!this.pendingType) return;
+    this.pendingType = null;
+    this.overlay.clear();
+    this.status.textContent = "";
+  }
+
+  /**
+   * Summon onto the clicked spawn hex, or cancel placement
+   * @param {MouseEvent} event - Window click
+   * @private
+   */
+  _handlePlacementClick(event) {
+    if (!this.pendingType) return;
+
+    // Let panel buttons through so picking another type switches placement
+    if (this.container.contains(event.target)) return;
+    event.stopPropagation();
+
+    const type = this.pendingType;
+    const hex = this.pickHex(event);
+    const isSpawnHex = hex && this.overlay.getHighlightKind(hex.userData.q, hex.userData.r) === "summon";
+    this.cancelPlacement();
+    if (!isSpawnHex) return;
+
+    const player = this.turnManager.getActivePlayer();
+    if (this.commandHistory) {
+      this.commandHistory.execute({
+        type: COMMAND_TYPES.SUMMON,
+        playerId: player.id,
+        beastType: type,
+        q: hex.userData.q,
+        r: hex.userData.r,
+      });
+      return;
+    }
+    summonBeast(this.gameState, player.id, type, hex.userData.q, hex.userData.r, {
+      definitions: this.definitions,
+      turnManager: this.turnManager,
+    });
+  }
+
+  /**
+   * Enable the types the active player can afford right now
+   */
+  refresh() {
+    const player = this.turnManager.getActivePlayer();
+    const freeHex = player ? getFreeSpawnHexes(this.gameState, player.id)[0] : null;
+
+    Object.entries(this.buttons).forEach(([type, button]) => {
+      // Checking against any free spawn hex covers turn, phase and crystal rules
+      let check = player && freeHex
+        ? canSummon(this.gameState, player.id, type, freeHex.q, freeHex.r, {
+          definitions: this.definitions,
+          turnManager: this.turnManager,
+        })
+        : { ok: false, reason: "No free spawn hex" };
+      if (isAIPlayer(player)) check = { ok: false, reason: "Computer's turn" };
+      button.disabled = !check.ok;
+      button.title = check.ok ? this.definitions[type].name : check.reason;
+      button.style.opacity = button.disabled ? "0.5" : "1";
+      button.style.cursor = button.disabled ? "default" : "pointer";
+    });
+  }
+
+  /**
+   * Remove the panel and its listeners
+   */
+  dispose() {
+    this.cancelPlacement();
+    window.removeEventListener("click", this._onWindowClick, true);
+    window.removeEventListener("keydown", this._onKeyDown);
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.container.remove();
+  }
+}